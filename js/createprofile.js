@@ -66,8 +66,162 @@ window.addEventListener('unhandledrejection', function(event) {
 // ============================================
 const API_BASE_URL = window.API_BASE_URL || 'https://builderhubonbase-production.up.railway.app/api';
 
-// Contract verification removed - all submissions go to manual review
-// Users now confirm ownership via button click
+// ============================================
+// Contract Ownership Signatures
+// ============================================
+// Proofs signed for the contracts currently entered in the form
+let ownershipProofs = [];
+
+// Contracts entered in the form as [{ address, label }], main contract first
+function getProjectContracts() {
+    const contracts = [{
+        address: document.getElementById('mainContract')?.value.trim().toLowerCase(),
+        label: 'Main Contract'
+    }];
+
+    document.querySelectorAll('.additional-contract-row').forEach(row => {
+        contracts.push({
+            address: row.querySelector('.additional-contract-address').value.trim().toLowerCase(),
+            label: row.querySelector('.additional-contract-label').value.trim() || null
+        });
+    });
+
+    return contracts.filter(contract => contract.address);
+}
+
+function getEnteredContracts() {
+    return getProjectContracts().map(contract => contract.address);
+}
+
+// Add an empty label/address row to the additional contracts list
+function addContractRow() {
+    const container = document.getElementById('additionalContracts');
+    if (!container) return;
+
+    const row = document.createElement('div');
+    row.className = 'additional-contract-row';
+    row.innerHTML = `
+        <input type="text" class="additional-contract-label" placeholder="Label (e.g. Token)" maxlength="100">
+        <input type="text" class="additional-contract-address" placeholder="0x..." pattern="^0x[a-fA-F0-9]{40}$">
+        <button type="button" class="btn btn-secondary remove-contract-btn" title="Remove contract">✕</button>
+    `;
+    container.appendChild(row);
+}
+
+// Request a challenge from the server for each contract and sign it with the connected wallet
+async function signOwnershipProofs(contractAddresses) {
+    const proofs = [];
+
+    for (const contractAddress of contractAddresses) {
+        const response = await fetch(`${API_BASE_URL}/ownership-challenge`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                walletAddress: userAddress,
+                contractAddress: contractAddress
+            })
+        });
+        const challenge = await response.json();
+
+        if (!challenge.success) {
+            throw new Error(challenge.message || 'Failed to get ownership challenge');
+        }
+
+        const signature = await signer.signMessage(challenge.message);
+        proofs.push({
+            contractAddress: contractAddress,
+            nonce: challenge.nonce,
+            signature: signature
+        });
+    }
+
+    return proofs;
+}
+
+// ============================================
+// Project Metadata
+// ============================================
+const MAX_LOGO_BYTES = 256 * 1024;
+
+// Fill the category dropdown from the server's managed list
+async function loadCategories() {
+    const select = document.getElementById('category');
+    if (!select) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/categories`);
+        const data = await response.json();
+
+        if (data.success) {
+            data.categories.forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.value;
+                option.textContent = category.label;
+                select.appendChild(option);
+            });
+        }
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+}
+
+// Read the selected logo file as a data URL (null if none selected)
+function readLogoFile() {
+    const file = document.getElementById('logoFile')?.files[0];
+    if (!file) return Promise.resolve(null);
+
+    if (file.size > MAX_LOGO_BYTES) {
+        return Promise.reject(new Error('Logo image must be 256KB or smaller'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Could not read logo file'));
+        reader.readAsDataURL(file);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', loadCategories);
+
+// ============================================
+// Contract Disputes
+// ============================================
+// Offer to dispute contracts that another developer already registered
+async function openContractDisputes(contractAddresses, message) {
+    for (const contractAddress of contractAddresses) {
+        const wantsDispute = confirm(`${message}\n\nOpen a dispute for ${contractAddress}?`);
+        if (!wantsDispute) continue;
+
+        const evidence = prompt('Describe your ownership evidence (deployment tx, links, anything that helps the admin decide):');
+        if (evidence === null) continue;
+
+        try {
+            const [proof] = await signOwnershipProofs([contractAddress]);
+
+            const response = await fetch(`${API_BASE_URL}/disputes`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    walletAddress: userAddress,
+                    contractAddress: contractAddress,
+                    ownershipProof: { nonce: proof.nonce, signature: proof.signature },
+                    evidence: evidence
+                })
+            });
+            const data = await response.json();
+
+            alert(data.message || (data.success ? 'Dispute submitted.' : 'Failed to open dispute.'));
+        } catch (error) {
+            console.error('Error opening dispute:', error);
+            alert('Error opening dispute: ' + error.message);
+        }
+    }
+}
 
 // ============================================
 // Form Submission
@@ -92,12 +246,16 @@ document.getElementById('profileForm')?.addEventListener('submit', async (e) =>
     const projectDescriptionEl = document.getElementById('projectDescription');
     const formData = {
         walletAddress: userAddress,
+        projectName: document.getElementById('projectName').value.trim(),
+        category: document.getElementById('category').value,
+        tags: document.getElementById('tags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+        website: document.getElementById('website').value.trim() || null,
+        logoUrl: document.getElementById('logoUrl').value.trim() || null,
         xUsername: document.getElementById('xUsername').value.trim(),
         projectX: document.getElementById('projectX').value.trim() || null,
         githubLink: document.getElementById('githubLink').value.trim() || null,
         mainContract: document.getElementById('mainContract').value.trim().toLowerCase(),
-        optionalContract1: document.getElementById('optionalContract1').value.trim().toLowerCase() || null,
-        optionalContract2: document.getElementById('optionalContract2').value.trim().toLowerCase() || null,
+        contracts: getProjectContracts(),
         projectDescription: projectDescriptionEl ? projectDescriptionEl.value.trim() : ''
     };
 
@@ -105,13 +263,26 @@ document.getElementById('profileForm')?.addEventListener('submit', async (e) =>
         walletAddress: formData.walletAddress,
         xUsername: formData.xUsername,
         mainContract: formData.mainContract,
+        contractCount: formData.contracts.length,
         hasDescription: !!formData.projectDescription,
         descriptionLength: formData.projectDescription ? formData.projectDescription.length : 0
     });
 
     // Validate required fields
-    if (!formData.xUsername || !formData.mainContract || !formData.projectDescription) {
-        alert('Please fill in all required fields (X Username, Main Contract Address, and Project Description)');
+    if (!formData.projectName || !formData.category || !formData.xUsername || !formData.mainContract || !formData.projectDescription) {
+        alert('Please fill in all required fields (Project Name, Category, X Username, Main Contract Address, and Project Description)');
+        return;
+    }
+
+    if (formData.tags.length > 10) {
+        alert('Please use at most 10 tags');
+        return;
+    }
+
+    try {
+        formData.logoImage = await readLogoFile();
+    } catch (error) {
+        alert(error.message);
         return;
     }
 
@@ -127,15 +298,18 @@ document.getElementById('profileForm')?.addEventListener('submit', async (e) =>
         return;
     }
 
-    // Check if contract ownership is confirmed
-    const contractConfirmed = document.getElementById('contractConfirmed');
-    if (!contractConfirmed || contractConfirmed.value !== 'true') {
-        alert('Please confirm that this is your contract address by clicking the confirmation button.');
+    // Check that every entered contract has a signed ownership proof
+    const enteredContracts = getEnteredContracts();
+    const missingProof = enteredContracts.find(address =>
+        !ownershipProofs.some(proof => proof.contractAddress === address)
+    );
+    if (missingProof) {
+        alert('Please sign the ownership proof for your contracts before submitting.');
         return;
     }
+    formData.ownershipProofs = ownershipProofs;
 
-    // Contract verification removed - all submissions go to manual review
-    console.log('📝 Proceeding with submission - will be reviewed manually by admin');
+    console.log('📝 Proceeding with submission - ownership signatures attached for', enteredContracts.length, 'contract(s)');
 
     // Validate X username format
     if (!formData.xUsername.startsWith('@')) {
@@ -166,7 +340,11 @@ document.getElementById('profileForm')?.addEventListener('submit', async (e) =>
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({ message: 'Unknown error' }));
             console.error('API Error:', errorData);
-            alert(errorData.message || 'Failed to submit profile. Please try again.');
+            if (errorData.canDispute) {
+                await openContractDisputes(errorData.conflicts || [], errorData.message);
+            } else {
+                alert(errorData.message || 'Failed to submit profile. Please try again.');
+            }
             submitBtn.disabled = false;
             submitBtn.textContent = 'Submit Profile';
             return;
@@ -194,47 +372,94 @@ document.getElementById('profileForm')?.addEventListener('submit', async (e) =>
     }
 });
 
-// Contract ownership confirmation button
+// Contract ownership signature button
 document.addEventListener('DOMContentLoaded', () => {
-    const confirmBtn = document.getElementById('confirmContractBtn');
-    const contractInput = document.getElementById('mainContract');
+    const signBtn = document.getElementById('signOwnershipBtn');
     const confirmationStatus = document.getElementById('confirmationStatus');
-    const contractConfirmed = document.getElementById('contractConfirmed');
-
-    if (confirmBtn && contractInput && contractConfirmed) {
-        confirmBtn.addEventListener('click', () => {
-            const contractAddress = contractInput.value.trim();
-            
-            if (!contractAddress || !contractAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-                alert('Please enter a valid contract address first');
-                return;
-            }
+    const additionalContracts = document.getElementById('additionalContracts');
+
+    if (!signBtn) return;
+
+    document.getElementById('addContractBtn')?.addEventListener('click', addContractRow);
+
+    signBtn.addEventListener('click', async () => {
+        if (!userAddress || !signer) {
+            alert('Please connect your wallet first');
+            return;
+        }
+
+        const contracts = getEnteredContracts();
+        const mainContract = document.getElementById('mainContract')?.value.trim();
+
+        if (!mainContract || !mainContract.match(/^0x[a-fA-F0-9]{40}$/)) {
+            alert('Please enter a valid contract address first');
+            return;
+        }
+
+        const invalidContract = contracts.find(address => !address.match(/^0x[a-fA-F0-9]{40}$/));
+        if (invalidContract) {
+            alert(`Please enter a valid contract address: ${invalidContract}`);
+            return;
+        }
+
+        signBtn.disabled = true;
+        signBtn.textContent = 'Waiting for signature...';
+
+        try {
+            ownershipProofs = await signOwnershipProofs(contracts);
+
+            signBtn.textContent = `✓ Ownership Signed (${ownershipProofs.length} contract${ownershipProofs.length > 1 ? 's' : ''})`;
+            signBtn.classList.remove('btn-secondary');
+            signBtn.classList.add('btn-primary');
 
-            // Confirm ownership
-            contractConfirmed.value = 'true';
-            confirmBtn.textContent = '✓ Confirmed - This Is My Contract';
-            confirmBtn.classList.remove('btn-secondary');
-            confirmBtn.classList.add('btn-primary');
-            confirmBtn.disabled = true;
-            
             if (confirmationStatus) {
-                confirmationStatus.textContent = 'Contract ownership confirmed. You can now submit the form.';
+                confirmationStatus.textContent = 'Ownership signatures ready. You can now submit the form.';
                 confirmationStatus.style.color = '#10b981';
             }
-        });
+        } catch (error) {
+            console.error('Error signing ownership proof:', error);
+            ownershipProofs = [];
+            signBtn.disabled = false;
+            signBtn.textContent = '✍️ Sign Ownership Proof';
 
-        // Reset confirmation when contract address changes
-        contractInput.addEventListener('input', () => {
-            contractConfirmed.value = 'false';
-            confirmBtn.textContent = '✓ I Confirm This Is My Contract Address';
-            confirmBtn.classList.remove('btn-primary');
-            confirmBtn.classList.add('btn-secondary');
-            confirmBtn.disabled = false;
-            
             if (confirmationStatus) {
-                confirmationStatus.textContent = '';
+                confirmationStatus.textContent = error.code === 4001 || error.code === 'ACTION_REJECTED'
+                    ? 'Signature request was rejected.'
+                    : `Failed to sign ownership proof: ${error.message}`;
+                confirmationStatus.style.color = '#ef4444';
             }
-        });
+        }
+    });
+
+    // Reset signatures when the contract list changes
+    function resetOwnershipProofs() {
+        ownershipProofs = [];
+        signBtn.textContent = '✍️ Sign Ownership Proof';
+        signBtn.classList.remove('btn-primary');
+        signBtn.classList.add('btn-secondary');
+        signBtn.disabled = false;
+
+        if (confirmationStatus) {
+            confirmationStatus.textContent = '';
+        }
     }
-});
 
+    document.getElementById('mainContract')?.addEventListener('input', resetOwnershipProofs);
+
+    additionalContracts?.addEventListener('input', event => {
+        if (event.target.classList.contains('additional-contract-address')) {
+            resetOwnershipProofs();
+        }
+    });
+
+    additionalContracts?.addEventListener('click', event => {
+        const removeBtn = event.target.closest('.remove-contract-btn');
+        if (!removeBtn) return;
+
+        const row = removeBtn.closest('.additional-contract-row');
+        if (row.querySelector('.additional-contract-address').value.trim()) {
+            resetOwnershipProofs();
+        }
+        row.remove();
+    });
+});
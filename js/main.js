@@ -218,7 +218,7 @@ document.addEventListener('DOMContentLoaded', () => {
     checkExistingConnection();
 
     // Load leaderboard
-    loadLeaderboard('transactions');
+    loadLeaderboard('overall');
     
     // Load stats
     loadStats();
@@ -227,17 +227,26 @@ document.addEventListener('DOMContentLoaded', () => {
 // ============================================
 // Leaderboard
 // ============================================
-async function loadLeaderboard(sortBy = 'transactions') {
+let currentSort = 'overall';
+// Active filters, keyed by leaderboard query parameter
+let leaderboardFilters = {};
+
+async function loadLeaderboard(sortBy = currentSort) {
     const tableBody = document.getElementById('leaderboardBody');
     
     if (!tableBody) return;
 
+    currentSort = sortBy;
+
     try {
-        const response = await fetch(`${API_BASE_URL}/leaderboard?sort=${sortBy}`);
+        const params = new URLSearchParams({ sort: sortBy, ...leaderboardFilters });
+        const response = await fetch(`${API_BASE_URL}/leaderboard?${params}`);
         const data = await response.json();
 
         if (data.success && data.leaderboard) {
             displayLeaderboard(data.leaderboard);
+            displayFilterChips(data.facets);
+            displayRankingTabs(data.rankings);
         } else {
             tableBody.innerHTML = '<tr><td colspan="6" class="loading">No data available</td></tr>';
         }
@@ -247,6 +256,40 @@ async function loadLeaderboard(sortBy = 'transactions') {
     }
 }
 
+// 7d transaction growth over the previous 7 days
+function renderGrowthBadge(window7d) {
+    if (!window7d || window7d.transactionGrowth === null || window7d.transactionGrowth === undefined) return '';
+
+    const growth = window7d.transactionGrowth;
+    return `<div class="growth-badge ${growth >= 0 ? 'up' : 'down'}">${growth >= 0 ? '+' : ''}${growth.toFixed(1)}% 7d</div>`;
+}
+
+// Wei amount (decimal string) as ETH, rounded for display
+function formatEth(wei) {
+    const eth = parseFloat(ethers.utils.formatEther(wei || '0'));
+    return eth > 0 && eth < 0.0001 ? '<0.0001 ETH' : `${eth.toLocaleString(undefined, { maximumFractionDigits: 4 })} ETH`;
+}
+
+// The metric the quality and gas tabs sort by, under the transaction count
+function renderSortMetric(project) {
+    if (currentSort === 'quality') {
+        return `<div class="project-meta">Quality score ${formatNumber(project.qualityScore || 0)}${project.suspicionScore > 0 ? ` · ${project.suspicionScore}% suspicious` : ''}</div>`;
+    }
+    if (!project.gas) return '';
+    if (currentSort === 'fees') return `<div class="project-meta">${formatEth(project.gas.feesWei)} fees</div>`;
+    if (currentSort === 'gas') return `<div class="project-meta">${formatNumber(Number(project.gas.gasUsed))} gas</div>`;
+    if (currentSort === 'failureRate') {
+        return `<div class="project-meta">${project.gas.failureRate !== null ? `${project.gas.failureRate}% failed` : 'no transactions'}</div>`;
+    }
+    return '';
+}
+
+// Logo URL, or the uploaded logo served by the API
+function projectLogoSrc(project) {
+    if (project.logoUrl) return project.logoUrl;
+    return project.hasLogoImage ? `${API_BASE_URL}/projects/${project.walletAddress}/logo` : null;
+}
+
 function displayLeaderboard(data) {
     const tableBody = document.getElementById('leaderboardBody');
     
@@ -256,16 +299,32 @@ function displayLeaderboard(data) {
     }
 
     tableBody.innerHTML = data.map((project, index) => {
-        // Use weighted rank if available, otherwise use index + 1
-        const displayRank = project.rank || (index + 1);
+        // Rank in the selected ranking; unranked projects (below its minimums) have none
+        const displayRank = project.rank ? `#${project.rank}` : '—';
         const xUsername = project.xUsername ? (project.xUsername.startsWith('@') ? project.xUsername.slice(1) : project.xUsername) : '';
         
         return `
         <tr style="cursor: pointer;" onclick="window.location.href='profile.html?wallet=${project.walletAddress}'">
-            <td class="rank">#${displayRank}</td>
-            <td>${project.projectName || 'Unnamed Project'}</td>
+            <td class="rank">${displayRank}</td>
+            <td>
+                <div class="project-cell">
+                    ${projectLogoSrc(project) ? `<img class="project-logo" src="${projectLogoSrc(project)}" alt="" loading="lazy">` : ''}
+                    <div>
+                        <div>${project.projectName || 'Unnamed Project'}</div>
+                        <div class="project-meta">
+                            ${project.categoryLabel ? `<span class="category-badge">${project.categoryLabel}</span>` : ''}
+                            ${(project.tags || []).map(tag => `<span class="project-tag">#${tag}</span>`).join('')}
+                            ${project.website ? `<a href="${project.website}" target="_blank" rel="noopener" onclick="event.stopPropagation();">Website</a>` : ''}
+                        </div>
+                    </div>
+                </div>
+            </td>
             <td class="contract-address">${project.contractAddress}</td>
-            <td>${formatNumber(project.totalTransactions || 0)}</td>
+            <td>
+                ${formatNumber(project.totalTransactions || 0)}
+                ${renderGrowthBadge(project.windows && project.windows['7d'])}
+                ${renderSortMetric(project)}
+            </td>
             <td>${formatNumber(project.uniqueWallets || 0)}</td>
             <td><a href="https://twitter.com/${xUsername}" target="_blank" onclick="event.stopPropagation();">@${xUsername || 'N/A'}</a></td>
         </tr>
@@ -273,21 +332,124 @@ function displayLeaderboard(data) {
     }).join('');
 }
 
+// ============================================
+// Leaderboard Filters
+// ============================================
+const ACTIVE_FILTER_LABELS = {
+    category: value => value,
+    tag: value => `#${value}`,
+    minTransactions: value => `${formatNumber(parseInt(value))}+ transactions`,
+    registeredAfter: value => `Registered since ${value}`
+};
+
+function setLeaderboardFilter(name, value) {
+    if (value) {
+        leaderboardFilters[name] = value;
+    } else {
+        delete leaderboardFilters[name];
+    }
+    loadLeaderboard();
+}
+
+// Category and tag chips come from the facets returned with the leaderboard
+function displayFilterChips(facets) {
+    const categoryChips = document.getElementById('categoryChips');
+    const tagChips = document.getElementById('tagChips');
+    const activeFilters = document.getElementById('activeFilters');
+    if (!categoryChips || !tagChips || !activeFilters || !facets) return;
+
+    const categories = [{ value: '', label: 'All', count: null }, ...facets.categories];
+    categoryChips.innerHTML = categories.map(category => `
+        <button class="filter-chip ${(leaderboardFilters.category || '') === category.value ? 'active' : ''}" data-category="${category.value}">
+            ${category.label}${category.count !== null ? ` <span class="chip-count">${category.count}</span>` : ''}
+        </button>
+    `).join('');
+
+    tagChips.innerHTML = facets.tags.map(({ tag }) => `
+        <button class="filter-chip tag-chip ${leaderboardFilters.tag === tag ? 'active' : ''}" data-tag="${tag}">#${tag}</button>
+    `).join('');
+
+    const categoryLabels = Object.fromEntries(facets.categories.map(category => [category.value, category.label]));
+    activeFilters.innerHTML = Object.entries(leaderboardFilters).map(([name, value]) => `
+        <span class="filter-chip active">
+            ${ACTIVE_FILTER_LABELS[name](name === 'category' ? (categoryLabels[value] || value) : value)}
+            <button class="clear-filter" data-filter-name="${name}" title="Remove filter">✕</button>
+        </span>
+    `).join('');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const categoryChips = document.getElementById('categoryChips');
+    const tagChips = document.getElementById('tagChips');
+    const activeFilters = document.getElementById('activeFilters');
+    const minActivityFilter = document.getElementById('minActivityFilter');
+    const registeredFilter = document.getElementById('registeredFilter');
+    if (!categoryChips) return;
+
+    categoryChips.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-category]');
+        if (chip) setLeaderboardFilter('category', chip.dataset.category);
+    });
+
+    tagChips.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-tag]');
+        if (!chip) return;
+        // Clicking the active tag again clears it
+        setLeaderboardFilter('tag', leaderboardFilters.tag === chip.dataset.tag ? '' : chip.dataset.tag);
+    });
+
+    activeFilters.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-filter-name]');
+        if (!button) return;
+
+        const name = button.dataset.filterName;
+        if (name === 'minTransactions') minActivityFilter.value = '';
+        if (name === 'registeredAfter') registeredFilter.value = '';
+        setLeaderboardFilter(name, '');
+    });
+
+    minActivityFilter.addEventListener('change', () => {
+        setLeaderboardFilter('minTransactions', minActivityFilter.value);
+    });
+
+    registeredFilter.addEventListener('change', () => {
+        const days = parseInt(registeredFilter.value);
+        const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10) : '';
+        setLeaderboardFilter('registeredAfter', since);
+    });
+});
+
+// Rankings added by admins get a tab next to the built-in ones
+function displayRankingTabs(rankings) {
+    const tabs = document.querySelector('.leaderboard-tabs');
+    if (!tabs || !rankings) return;
+
+    rankings.forEach(({ name, label }) => {
+        if (tabs.querySelector(`[data-tab="${name}"]`)) return;
+
+        const button = document.createElement('button');
+        button.className = 'tab-btn';
+        button.dataset.tab = name;
+        button.textContent = label;
+        tabs.appendChild(button);
+    });
+}
+
 // Tab switching
 document.addEventListener('DOMContentLoaded', () => {
-    const tabButtons = document.querySelectorAll('.tab-btn');
-    
-    tabButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-            // Remove active class from all tabs
-            tabButtons.forEach(b => b.classList.remove('active'));
-            // Add active class to clicked tab
-            btn.classList.add('active');
-            
-            // Load leaderboard with selected sort
-            const sortBy = btn.dataset.tab === 'wallets' ? 'wallets' : 'transactions';
-            loadLeaderboard(sortBy);
-        });
+    const tabs = document.querySelector('.leaderboard-tabs');
+    if (!tabs) return;
+
+    // Delegated so tabs added by displayRankingTabs work too
+    tabs.addEventListener('click', (e) => {
+        const btn = e.target.closest('.tab-btn');
+        if (!btn) return;
+
+        tabs.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+
+        // Every tab is a ranking name
+        loadLeaderboard(btn.dataset.tab);
     });
 });
 
@@ -102,6 +102,14 @@ async function loadProfileData() {
 
         if (profileData.success) {
             displayProfileInfo(profileData.profile);
+
+            // Only the owner of the profile can edit it or ask for a rescan
+            if (userAddress && targetWallet.toLowerCase() === userAddress.toLowerCase()) {
+                showEditProfile(profileData.profile);
+
+                const rescanBtn = document.getElementById('rescanBtn');
+                if (rescanBtn) rescanBtn.style.display = '';
+            }
         }
 
         // Load stats
@@ -112,23 +120,68 @@ async function loadProfileData() {
     }
 }
 
+const PROXY_TYPE_LABELS = {
+    eip1967: 'EIP-1967 Proxy',
+    transparent: 'Transparent Proxy',
+    uups: 'UUPS Proxy',
+    eip1822: 'EIP-1822 Proxy',
+    beacon: 'Beacon Proxy',
+    eip1167: 'Minimal Clone'
+};
+
+function displayProjectHeader(profile) {
+    const header = document.getElementById('projectHeader');
+    if (!header) return;
+
+    header.style.display = 'flex';
+    document.getElementById('projectName').textContent = profile.projectName || '';
+
+    const logo = document.getElementById('projectLogo');
+    const logoSrc = profile.logoUrl || (profile.hasLogoImage ? `${API_BASE_URL}/projects/${profile.wallet_address}/logo` : null);
+    if (logo && logoSrc) {
+        logo.src = logoSrc;
+        logo.style.display = 'block';
+    }
+
+    const meta = document.getElementById('projectMeta');
+    if (meta) {
+        meta.innerHTML = `
+            ${profile.categoryLabel ? `<span class="category-badge">${profile.categoryLabel}</span>` : ''}
+            ${(profile.tags || []).map(tag => `<span class="project-tag">#${tag}</span>`).join('')}
+            ${profile.website ? `<a href="${profile.website}" target="_blank" rel="noopener">${profile.website}</a>` : ''}
+        `;
+    }
+}
+
 function displayProfileInfo(profile) {
-    // Display additional contracts
-    if (profile.optionalContract1 || profile.optionalContract2) {
-        const additionalSection = document.getElementById('additionalContractsSection');
-        const contractsList = document.getElementById('additionalContractsList');
-        
-        if (additionalSection) additionalSection.style.display = 'block';
-        if (contractsList) {
-            let html = '';
-            if (profile.optionalContract1) {
-                html += `<div class="contract-item">${profile.optionalContract1}</div>`;
-            }
-            if (profile.optionalContract2) {
-                html += `<div class="contract-item">${profile.optionalContract2}</div>`;
-            }
-            contractsList.innerHTML = html;
-        }
+    displayProjectHeader(profile);
+
+    const contracts = profile.contracts || [];
+    if (contracts.length === 0) return;
+
+    const contractsSection = document.getElementById('additionalContractsSection');
+    const contractsList = document.getElementById('additionalContractsList');
+
+    if (contractsSection) contractsSection.style.display = 'block';
+    if (contractsList) {
+        contractsList.innerHTML = contracts.map(contract => {
+            const proxy = contract.proxy && contract.proxy.isProxy
+                ? `<div class="contract-meta">${PROXY_TYPE_LABELS[contract.proxy.proxyType] || 'Proxy'} → ${contract.proxy.implementationAddress || 'unknown implementation'}</div>`
+                : '';
+
+            const stats = contract.stats
+                ? `<div class="contract-meta">${formatNumber(contract.stats.totalTransactions)} transactions · ${formatNumber(contract.stats.uniqueWallets)} unique wallets</div>`
+                : '';
+
+            return `
+                <div class="contract-item">
+                    <div class="contract-label">${escapeHtml(contract.label)}</div>
+                    ${contract.address}
+                    ${stats}
+                    ${proxy}
+                </div>
+            `;
+        }).join('');
     }
 }
 
@@ -136,6 +189,11 @@ function displayProfileInfo(profile) {
 // Load Stats
 // ============================================
 async function loadStats() {
+    await loadCurrentStats();
+    await loadStatsHistory(30);
+}
+
+async function loadCurrentStats() {
     // Get wallet from URL parameter or use connected wallet
     const urlParams = new URLSearchParams(window.location.search);
     const walletParam = urlParams.get('wallet');
@@ -163,6 +221,14 @@ function displayStats(stats) {
     const txLast12h = document.getElementById('txLast12h');
     if (txLast12h) txLast12h.textContent = formatNumber(stats.transactionsLast12h || 0);
 
+    // Separate counters per activity type; the total above only includes stats.activityTypes
+    const activityBreakdown = document.getElementById('activityBreakdown');
+    if (activityBreakdown && stats.activity) {
+        activityBreakdown.textContent = `${formatNumber(stats.activity.transactions)} direct · ` +
+            `${formatNumber(stats.activity.tokenTransfers)} token transfers · ` +
+            `${formatNumber(stats.activity.internalTransactions)} internal`;
+    }
+
     // Unique Wallets
     const uniqueWallets = document.getElementById('uniqueWallets');
     if (uniqueWallets) uniqueWallets.textContent = formatNumber(stats.uniqueWallets || 0);
@@ -178,17 +244,555 @@ function displayStats(stats) {
         growthRate.style.color = rate >= 0 ? '#10b981' : '#ef4444';
     }
 
+    // Gas and fees
+    const gas = stats.gas || {};
+    const feesGenerated = document.getElementById('feesGenerated');
+    if (feesGenerated) feesGenerated.textContent = formatEth(gas.feesWei);
+
+    const gasUsed = document.getElementById('gasUsed');
+    if (gasUsed) gasUsed.textContent = formatNumber(Number(gas.gasUsed || 0));
+
+    const failureRate = document.getElementById('failureRate');
+    if (failureRate) failureRate.textContent = formatFailureRate(gas.failureRate);
+
+    displayActivityWindows(stats.windows || {});
+
     // Rankings
     const txRank = document.getElementById('txRank');
     if (txRank) txRank.textContent = `#${stats.rankTx || '--'}`;
 
     const walletRank = document.getElementById('walletRank');
     if (walletRank) walletRank.textContent = `#${stats.rankUnique || '--'}`;
+
+    displayScanStatus(stats.scan);
+}
+
+// Growth over the previous period of the same length, or "new" when there was no activity before
+function formatGrowth(growth) {
+    if (growth === null || growth === undefined) return '<span class="growth-badge">new</span>';
+    return `<span class="growth-badge ${growth >= 0 ? 'up' : 'down'}">${growth >= 0 ? '+' : ''}${growth.toFixed(1)}%</span>`;
+}
+
+// Wei amount (decimal string) as ETH, rounded for display
+function formatEth(wei) {
+    const eth = parseFloat(ethers.utils.formatEther(wei || '0'));
+    return eth > 0 && eth < 0.0001 ? '<0.0001 ETH' : `${eth.toLocaleString(undefined, { maximumFractionDigits: 4 })} ETH`;
+}
+
+function formatFailureRate(rate) {
+    return rate === null || rate === undefined ? '--' : `${rate}%`;
+}
+
+function displayActivityWindows(windows) {
+    const body = document.getElementById('activityWindowsBody');
+    if (!body) return;
+
+    const names = ['24h', '7d', '30d'];
+    const row = (label, format) => `
+        <tr>
+            <th>${label}</th>
+            ${names.map(name => windows[name] ? `<td>${format(windows[name])}</td>` : '<td>--</td>').join('')}
+        </tr>
+    `;
+
+    body.innerHTML = row('Transactions', w => `${formatNumber(w.transactions)} ${formatGrowth(w.transactionGrowth)}`) +
+        row('Active wallets', w => `${formatNumber(w.wallets)} ${formatGrowth(w.walletGrowth)}`) +
+        row('Gas used', w => formatNumber(Number(w.gasUsed || 0))) +
+        row('Fees', w => formatEth(w.feesWei)) +
+        row('Failed', w => `${formatNumber(w.failedTransactions || 0)} (${formatFailureRate(w.failureRate)})`);
+}
+
+// ============================================
+// Scan Status
+// ============================================
+const SCAN_POLL_MS = 15000;
+let scanPollTimer = null;
+
+function displayScanStatus(scan) {
+    const scanStatus = document.getElementById('scanStatus');
+    if (!scanStatus || !scan) return;
+
+    if (scan.state === 'scanning') {
+        scanStatus.textContent = '⏳ Scan in progress...';
+    } else if (scan.state === 'queued') {
+        scanStatus.textContent = '⏳ Scan queued...';
+    } else {
+        scanStatus.textContent = scan.lastScannedAt
+            ? `Last scanned ${new Date(scan.lastScannedAt).toLocaleString()}`
+            : 'Not scanned yet';
+    }
+
+    const rescanBtn = document.getElementById('rescanBtn');
+    if (rescanBtn) rescanBtn.disabled = scan.inProgress;
+
+    // Keep the numbers fresh until the scan finishes
+    clearTimeout(scanPollTimer);
+    if (scan.inProgress) {
+        scanPollTimer = setTimeout(loadCurrentStats, SCAN_POLL_MS);
+    }
+}
+
+// Ask for an immediate rescan of the connected wallet's project (rate limited by the server)
+async function requestRescan() {
+    const rescanBtn = document.getElementById('rescanBtn');
+    rescanBtn.disabled = true;
+
+    try {
+        const token = await getDeveloperSession();
+        const response = await fetch(`${API_BASE_URL}/stats/${userAddress}/rescan`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+
+        if (response.status === 401) {
+            developerSessionToken = null;
+            sessionStorage.removeItem('developerSessionToken');
+        }
+
+        // A scan that is already running comes back with its status, which is all we need
+        const data = await response.json();
+        if (!data.scan) {
+            throw new Error(data.message || 'Failed to start rescan');
+        }
+        displayScanStatus(data.scan);
+    } catch (error) {
+        console.error('Error requesting rescan:', error);
+        alert(error.code === 4001 || error.code === 'ACTION_REJECTED'
+            ? 'Signature request was rejected.'
+            : error.message);
+        rescanBtn.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('rescanBtn')?.addEventListener('click', requestRescan);
+});
+
+// ============================================
+// Stats History Charts
+// ============================================
+const historyCharts = {};
+
+async function loadStatsHistory(days) {
+    const urlParams = new URLSearchParams(window.location.search);
+    const targetWallet = urlParams.get('wallet') || userAddress;
+    if (!targetWallet || typeof Chart === 'undefined') return;
+
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    // Two snapshots a day is too dense for longer ranges
+    const interval = days > 30 ? 'day' : 'raw';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/stats/${targetWallet}/history?metric=transactions,wallets,rankTx,rankUnique&from=${from}&interval=${interval}`);
+        const data = await response.json();
+
+        if (data.success) {
+            displayStatsHistory(data.series);
+        }
+    } catch (error) {
+        console.error('Error loading stats history:', error);
+    }
+}
+
+function renderHistoryChart(canvasId, series, datasets, options = {}) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    if (historyCharts[canvasId]) historyCharts[canvasId].destroy();
+
+    historyCharts[canvasId] = new Chart(canvas, {
+        type: 'line',
+        data: {
+            labels: series[datasets[0].metric].map(point => point.timestamp),
+            datasets: datasets.map(dataset => ({
+                label: dataset.label,
+                data: series[dataset.metric].map(point => point.value),
+                borderColor: dataset.color,
+                backgroundColor: dataset.color,
+                tension: 0.3,
+                pointRadius: 2,
+                spanGaps: true
+            }))
+        },
+        options: {
+            responsive: true,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                x: {
+                    ticks: {
+                        maxTicksLimit: 8,
+                        callback: function (value) {
+                            return new Date(this.getLabelForValue(value)).toLocaleDateString();
+                        }
+                    }
+                },
+                y: options.y || { beginAtZero: true }
+            }
+        }
+    });
+}
+
+function displayStatsHistory(series) {
+    const empty = document.getElementById('historyEmpty');
+    if (empty) empty.style.display = series.transactions.length === 0 ? 'block' : 'none';
+
+    renderHistoryChart('activityChart', series, [
+        { metric: 'transactions', label: 'Transactions', color: '#0052ff' },
+        { metric: 'wallets', label: 'Unique Wallets', color: '#10b981' }
+    ]);
+
+    // Rank 1 is best, so the rank axis is drawn upside down
+    renderHistoryChart('rankChart', series, [
+        { metric: 'rankTx', label: 'Transaction Rank', color: '#0052ff' },
+        { metric: 'rankUnique', label: 'Wallet Rank', color: '#10b981' }
+    ], { y: { reverse: true, ticks: { precision: 0 } } });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const rangeButtons = document.querySelectorAll('.history-range [data-days]');
+    rangeButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            rangeButtons.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            loadStatsHistory(parseInt(btn.dataset.days));
+        });
+    });
+});
+
+// ============================================
+// Edit Profile
+// ============================================
+// Edits are authenticated with a Sign-In With Ethereum session. Contract
+// changes also need an ownership signature for each newly added contract.
+const BASE_CHAIN_ID = 8453;
+let developerSessionToken = sessionStorage.getItem('developerSessionToken');
+let editableProfile = null;
+
+// Build an EIP-4361 message for the connected wallet
+function buildSiweMessage(address, nonce) {
+    const issuedAt = new Date();
+    const expirationTime = new Date(issuedAt.getTime() + 10 * 60 * 1000);
+
+    return [
+        `${window.location.host} wants you to sign in with your Ethereum account:`,
+        ethers.utils.getAddress(address),
+        '',
+        'Sign in to Builder Hub on Base to edit your developer profile.',
+        '',
+        `URI: ${window.location.origin}`,
+        'Version: 1',
+        `Chain ID: ${BASE_CHAIN_ID}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+        `Expiration Time: ${expirationTime.toISOString()}`
+    ].join('\n');
+}
+
+// Return a session token for the connected wallet, signing in if needed
+async function getDeveloperSession() {
+    if (developerSessionToken) {
+        const meResponse = await fetch(`${API_BASE_URL}/auth/me`, {
+            headers: { 'Authorization': `Bearer ${developerSessionToken}` }
+        });
+        const me = meResponse.ok ? await meResponse.json() : null;
+        if (me && me.success && me.address === userAddress.toLowerCase()) {
+            return developerSessionToken;
+        }
+    }
+
+    const nonceResponse = await fetch(`${API_BASE_URL}/auth/nonce`);
+    const nonceData = await nonceResponse.json();
+    if (!nonceData.success || !nonceData.nonce) {
+        throw new Error(nonceData.message || 'Failed to get sign-in nonce');
+    }
+
+    const message = buildSiweMessage(userAddress, nonceData.nonce);
+    const signature = await signer.signMessage(message);
+
+    const verifyResponse = await fetch(`${API_BASE_URL}/auth/verify`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ message, signature })
+    });
+    const verifyData = await verifyResponse.json();
+    if (!verifyData.success || !verifyData.token) {
+        throw new Error(verifyData.message || 'Sign-in verification failed');
+    }
+
+    developerSessionToken = verifyData.token;
+    sessionStorage.setItem('developerSessionToken', developerSessionToken);
+    return developerSessionToken;
 }
 
+// Sign an ownership challenge for each new contract
+async function signOwnershipProofs(contractAddresses) {
+    const proofs = [];
+
+    for (const contractAddress of contractAddresses) {
+        const response = await fetch(`${API_BASE_URL}/ownership-challenge`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                walletAddress: userAddress,
+                contractAddress: contractAddress
+            })
+        });
+        const challenge = await response.json();
+
+        if (!challenge.success) {
+            throw new Error(challenge.message || 'Failed to get ownership challenge');
+        }
+
+        proofs.push({
+            contractAddress: contractAddress,
+            nonce: challenge.nonce,
+            signature: await signer.signMessage(challenge.message)
+        });
+    }
+
+    return proofs;
+}
+
+function addEditContractRow(contract = {}) {
+    const container = document.getElementById('editContractsList');
+    if (!container) return;
+
+    const row = document.createElement('div');
+    row.className = 'additional-contract-row';
+    row.innerHTML = `
+        <input type="text" class="additional-contract-label" placeholder="Label (e.g. Token)" maxlength="100">
+        <input type="text" class="additional-contract-address" placeholder="0x..." pattern="^0x[a-fA-F0-9]{40}$">
+        <button type="button" class="btn btn-secondary remove-contract-btn" title="Remove contract">✕</button>
+    `;
+    row.querySelector('.additional-contract-label').value = contract.label || '';
+    row.querySelector('.additional-contract-address').value = contract.address || '';
+    container.appendChild(row);
+}
+
+function getEditedContracts() {
+    return Array.from(document.querySelectorAll('#editContractsList .additional-contract-row'))
+        .map(row => ({
+            address: row.querySelector('.additional-contract-address').value.trim().toLowerCase(),
+            label: row.querySelector('.additional-contract-label').value.trim() || null
+        }))
+        .filter(contract => contract.address);
+}
+
+async function loadChangeRequestStatus() {
+    const statusEl = document.getElementById('changeRequestStatus');
+    if (!statusEl || !developerSessionToken) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/change-requests/mine`, {
+            headers: { 'Authorization': `Bearer ${developerSessionToken}` }
+        });
+        const data = response.ok ? await response.json() : null;
+        const changeRequest = data && data.changeRequest;
+
+        if (!changeRequest) {
+            statusEl.style.display = 'none';
+            return;
+        }
+
+        const messages = {
+            pending: { className: 'pending', text: `Contract change submitted ${new Date(changeRequest.dateSubmitted).toLocaleDateString()} is awaiting admin review.` },
+            approved: { className: 'success', text: 'Your last contract change was approved.' },
+            rejected: { className: 'error', text: `Your last contract change was rejected${changeRequest.rejectionReason ? `: ${changeRequest.rejectionReason}` : '.'}` }
+        };
+        const message = messages[changeRequest.status];
+
+        statusEl.className = `contract-status ${message.className}`;
+        statusEl.textContent = message.text;
+        statusEl.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading change request status:', error);
+    }
+}
+
+// Fill the category dropdown from the server's managed list (once)
+async function loadCategories(selected) {
+    const select = document.getElementById('editCategory');
+    if (!select) return;
+
+    if (select.options.length === 0) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/categories`);
+            const data = await response.json();
+
+            (data.categories || []).forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.value;
+                option.textContent = category.label;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading categories:', error);
+        }
+    }
+
+    select.value = selected || '';
+}
+
+// Read the selected logo file as a data URL (null if none selected)
+function readLogoFile() {
+    const file = document.getElementById('editLogoFile')?.files[0];
+    if (!file) return Promise.resolve(null);
+
+    if (file.size > 256 * 1024) {
+        return Promise.reject(new Error('Logo image must be 256KB or smaller'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Could not read logo file'));
+        reader.readAsDataURL(file);
+    });
+}
+
+function showEditProfile(profile) {
+    const section = document.getElementById('editProfileSection');
+    if (!section) return;
+
+    editableProfile = profile;
+    section.style.display = 'block';
+
+    document.getElementById('editProjectName').value = profile.projectName || '';
+    document.getElementById('editTags').value = (profile.tags || []).join(', ');
+    document.getElementById('editWebsite').value = profile.website || '';
+    document.getElementById('editLogoUrl').value = profile.logoUrl || '';
+    loadCategories(profile.category);
+
+    document.getElementById('editXUsername').value = profile.x_username || '';
+    document.getElementById('editProjectX').value = profile.project_x || '';
+    document.getElementById('editGithubLink').value = profile.github_link || '';
+    document.getElementById('editProjectDescription').value = profile.project_description || '';
+
+    const contractsList = document.getElementById('editContractsList');
+    contractsList.innerHTML = '';
+    (profile.contracts || []).forEach(contract => addEditContractRow(contract));
+
+    loadChangeRequestStatus();
+}
+
+async function saveProfileChanges(event) {
+    event.preventDefault();
+
+    const saveBtn = document.getElementById('saveProfileBtn');
+    const statusEl = document.getElementById('editProfileStatus');
+    const contracts = getEditedContracts();
+
+    if (contracts.length === 0) {
+        alert('Your profile needs at least one contract');
+        return;
+    }
+
+    const invalidContract = contracts.find(contract => !contract.address.match(/^0x[a-fA-F0-9]{40}$/));
+    if (invalidContract) {
+        alert(`Please enter a valid contract address: ${invalidContract.address}`);
+        return;
+    }
+
+    const projectDescription = document.getElementById('editProjectDescription').value.trim();
+    if (projectDescription.length < 50) {
+        alert('Project description must be at least 50 characters long.');
+        return;
+    }
+
+    let logoImage;
+    try {
+        logoImage = await readLogoFile();
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Waiting for signature...';
+
+    try {
+        const token = await getDeveloperSession();
+        const logoUrl = document.getElementById('editLogoUrl').value.trim();
+
+        const currentAddresses = (editableProfile.contracts || []).map(contract => contract.address);
+        const newContracts = contracts
+            .map(contract => contract.address)
+            .filter(address => !currentAddresses.includes(address));
+
+        const response = await fetch(`${API_BASE_URL}/profile`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify({
+                projectName: document.getElementById('editProjectName').value.trim(),
+                category: document.getElementById('editCategory').value,
+                tags: document.getElementById('editTags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+                website: document.getElementById('editWebsite').value.trim(),
+                // Only send logo fields when set, so an empty field keeps the current logo
+                ...(logoImage ? { logoImage } : {}),
+                ...(!logoImage && logoUrl ? { logoUrl } : {}),
+                xUsername: document.getElementById('editXUsername').value.trim(),
+                projectX: document.getElementById('editProjectX').value.trim(),
+                githubLink: document.getElementById('editGithubLink').value.trim(),
+                projectDescription: projectDescription,
+                contracts: contracts,
+                ownershipProofs: await signOwnershipProofs(newContracts)
+            })
+        });
+
+        if (response.status === 401) {
+            developerSessionToken = null;
+            sessionStorage.removeItem('developerSessionToken');
+        }
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.message || 'Failed to update profile');
+        }
+
+        statusEl.textContent = data.message;
+        statusEl.style.color = '#10b981';
+        await loadProfileData();
+    } catch (error) {
+        console.error('Error saving profile:', error);
+        statusEl.textContent = error.code === 4001 || error.code === 'ACTION_REJECTED'
+            ? 'Signature request was rejected.'
+            : error.message;
+        statusEl.style.color = '#ef4444';
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Sign & Save Changes';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('editProfileForm')?.addEventListener('submit', saveProfileChanges);
+    document.getElementById('editAddContractBtn')?.addEventListener('click', () => addEditContractRow());
+    document.getElementById('editContractsList')?.addEventListener('click', event => {
+        const removeBtn = event.target.closest('.remove-contract-btn');
+        if (removeBtn) removeBtn.closest('.additional-contract-row').remove();
+    });
+});
+
 // ============================================
 // Utility Functions
 // ============================================
+// Escape user-submitted text before it goes into innerHTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function formatNumber(num) {
     if (num >= 1000000) {
         return (num / 1000000).toFixed(1) + 'M';
@@ -1,13 +1,126 @@
 // ============================================
-// Admin Wallet Check
+// Admin Authentication (Sign-In With Ethereum)
 // ============================================
-// Version: 2.1 - Fixed redeclaration and wallet connection
-// Prevent redeclaration error - use window property instead of const
-if (typeof window.ADMIN_WALLET_ADDRESS === 'undefined') {
-    window.ADMIN_WALLET_ADDRESS = '0xb0dfc6ca6aafd3b0719949aa029d30d79fed30a4';
-}
+// Version: 3.1 - Admin access and role are granted by the server after a SIWE signature
 let userAddress = null;
 let currentFilter = 'pending';
+let currentChangeFilter = 'pending';
+let currentDisputeFilter = 'pending';
+let adminSessionToken = sessionStorage.getItem('adminSessionToken');
+let adminRole = null;
+
+const ROLE_LABELS = {
+    super_admin: 'Super Admin',
+    reviewer: 'Reviewer',
+    auditor: 'Read-only Auditor'
+};
+
+const BASE_CHAIN_ID = 8453;
+
+// Headers for authenticated admin requests
+function authHeaders(extraHeaders = {}) {
+    return {
+        ...extraHeaders,
+        'Authorization': `Bearer ${adminSessionToken || ''}`
+    };
+}
+
+// Escape user-submitted text before it goes into innerHTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function clearAdminSession() {
+    adminSessionToken = null;
+    adminRole = null;
+    sessionStorage.removeItem('adminSessionToken');
+}
+
+// Fetch the signed-in wallet's role from the server
+async function fetchAdminSession() {
+    const response = await fetch(`${API_BASE_URL}/auth/me`, {
+        headers: authHeaders()
+    });
+
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    return data.success ? data : null;
+}
+
+// Restore a previous session (e.g. after a page reload) without asking for a new signature
+async function restoreAdminSession() {
+    if (!adminSessionToken) return;
+
+    try {
+        const session = await fetchAdminSession();
+        if (session && session.isAdmin) {
+            userAddress = session.address;
+            adminRole = session.role;
+            showAdminPanel();
+        } else {
+            clearAdminSession();
+        }
+    } catch (error) {
+        console.error('Error restoring admin session:', error);
+    }
+}
+
+// Build an EIP-4361 message for the connected wallet
+function buildSiweMessage(address, nonce) {
+    const issuedAt = new Date();
+    const expirationTime = new Date(issuedAt.getTime() + 10 * 60 * 1000);
+
+    return [
+        `${window.location.host} wants you to sign in with your Ethereum account:`,
+        ethers.utils.getAddress(address),
+        '',
+        'Sign in to the Builder Hub on Base admin review panel.',
+        '',
+        `URI: ${window.location.origin}`,
+        'Version: 1',
+        `Chain ID: ${BASE_CHAIN_ID}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+        `Expiration Time: ${expirationTime.toISOString()}`
+    ].join('\n');
+}
+
+// Sign a SIWE message and exchange it for an admin session token
+async function signInWithEthereum(address) {
+    const nonceResponse = await fetch(`${API_BASE_URL}/auth/nonce`);
+    const nonceData = await nonceResponse.json();
+
+    if (!nonceData.success || !nonceData.nonce) {
+        throw new Error(nonceData.message || 'Failed to get sign-in nonce');
+    }
+
+    const message = buildSiweMessage(address, nonceData.nonce);
+    const provider = new ethers.providers.Web3Provider(window.ethereum);
+    const signature = await provider.getSigner().signMessage(message);
+
+    const verifyResponse = await fetch(`${API_BASE_URL}/auth/verify`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ message, signature })
+    });
+    const verifyData = await verifyResponse.json();
+
+    if (!verifyData.success || !verifyData.token) {
+        throw new Error(verifyData.message || 'Sign-in verification failed');
+    }
+
+    adminSessionToken = verifyData.token;
+    sessionStorage.setItem('adminSessionToken', adminSessionToken);
+    return verifyData;
+}
 
 // Initialize wallet connection
 async function connectAdminWallet() {
@@ -40,14 +153,16 @@ async function connectAdminWallet() {
         }
 
         userAddress = accounts[0].toLowerCase();
-        const adminWalletLower = (window.ADMIN_WALLET_ADDRESS || '').toLowerCase();
-        
         console.log('✅ Connected wallet:', userAddress);
-        console.log('🔑 Admin wallet:', adminWalletLower);
-        console.log('🔍 Wallet match:', userAddress === adminWalletLower);
 
-        if (userAddress === adminWalletLower) {
-            console.log('✅ Admin wallet confirmed - showing panel');
+        if (connectBtn) connectBtn.textContent = 'Sign in with wallet...';
+
+        console.log('✍️ Requesting Sign-In With Ethereum signature...');
+        const session = await signInWithEthereum(userAddress);
+
+        if (session.isAdmin) {
+            console.log('✅ Admin session verified by server - role:', session.role);
+            adminRole = session.role;
             showAdminPanel();
         } else {
             console.log('❌ Non-admin wallet - showing access denied');
@@ -59,12 +174,13 @@ async function connectAdminWallet() {
         }
     } catch (error) {
         console.error('❌ Error connecting wallet:', error);
+        clearAdminSession();
         if (connectBtn) {
             connectBtn.disabled = false;
             connectBtn.textContent = 'Connect Admin Wallet';
         }
-        if (error.code === 4001) {
-            alert('Please approve the connection request in MetaMask');
+        if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+            alert('Please approve the connection and sign-in requests in MetaMask');
         } else {
             alert('Failed to connect wallet: ' + error.message);
         }
@@ -85,8 +201,48 @@ function showAdminPanel() {
         walletAddress.textContent = shortAddress;
     }
     if (connectBtn) connectBtn.style.display = 'none';
-    
-    loadSubmissions();
+
+    const roleBadge = document.getElementById('adminRoleBadge');
+    if (roleBadge) roleBadge.textContent = ROLE_LABELS[adminRole] || '';
+
+    // Auditors have read-only access
+    const canModerate = adminRole === 'super_admin' || adminRole === 'reviewer';
+    const approveBtn = document.getElementById('approveBtn');
+    const rejectBtn = document.getElementById('rejectBtn');
+    if (approveBtn) approveBtn.style.display = canModerate ? '' : 'none';
+    if (rejectBtn) rejectBtn.style.display = canModerate ? '' : 'none';
+
+    // Only super admins manage the admin team
+    const adminTeamTab = document.getElementById('adminTeamTab');
+    if (adminTeamTab) {
+        adminTeamTab.style.display = adminRole === 'super_admin' ? '' : 'none';
+    }
+
+    showReviewTab('submissionsPanel');
+}
+
+// Switch between the review panel tabs
+function showReviewTab(panelId) {
+    document.querySelectorAll('.review-tabs .tab-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.panel === panelId);
+    });
+    document.querySelectorAll('.review-tab-panel').forEach(panel => {
+        panel.style.display = panel.id === panelId ? 'block' : 'none';
+    });
+
+    if (panelId === 'historyPanel') {
+        loadModerationHistory();
+    } else if (panelId === 'changeRequestsPanel') {
+        loadChangeRequests();
+    } else if (panelId === 'disputesPanel') {
+        loadDisputes();
+    } else if (panelId === 'rankingsPanel') {
+        loadRankingFormulas();
+    } else if (panelId === 'adminTeamSection') {
+        loadAdminTeam();
+    } else {
+        loadSubmissions();
+    }
 }
 
 function showAccessDenied() {
@@ -94,19 +250,26 @@ function showAccessDenied() {
     document.getElementById('adminPanel').style.display = 'none';
 }
 
-// Handle account changes
+// Session expired or rejected by the server - require a fresh signature
+function handleSessionExpired() {
+    clearAdminSession();
+    showAccessDenied();
+
+    const walletInfo = document.getElementById('walletInfo');
+    const connectBtn = document.getElementById('connectWalletBtn');
+    if (walletInfo) walletInfo.style.display = 'none';
+    if (connectBtn) {
+        connectBtn.style.display = 'block';
+        connectBtn.disabled = false;
+        connectBtn.textContent = 'Connect Admin Wallet';
+    }
+}
+
+// Handle account changes - a different wallet must sign in again
 if (typeof window.ethereum !== 'undefined') {
-    window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length === 0) {
-            showAccessDenied();
-        } else {
-            userAddress = accounts[0].toLowerCase();
-            if (userAddress === window.ADMIN_WALLET_ADDRESS.toLowerCase()) {
-                showAdminPanel();
-            } else {
-                showAccessDenied();
-            }
-        }
+    window.ethereum.on('accountsChanged', () => {
+        userAddress = null;
+        handleSessionExpired();
     });
 }
 
@@ -123,7 +286,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Filter buttons
-    const filterButtons = document.querySelectorAll('.filter-btn');
+    const filterButtons = document.querySelectorAll('.filter-btn[data-filter]');
     filterButtons.forEach(btn => {
         btn.addEventListener('click', () => {
             filterButtons.forEach(b => b.classList.remove('active'));
@@ -155,6 +318,75 @@ document.addEventListener('DOMContentLoaded', () => {
             modal.style.display = 'none';
         }
     };
+
+    // Change request filter buttons
+    const changeFilterButtons = document.querySelectorAll('.filter-btn[data-change-filter]');
+    changeFilterButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            changeFilterButtons.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            currentChangeFilter = btn.dataset.changeFilter;
+            loadChangeRequests();
+        });
+    });
+
+    // Dispute filter buttons
+    const disputeFilterButtons = document.querySelectorAll('.filter-btn[data-dispute-filter]');
+    disputeFilterButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            disputeFilterButtons.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            currentDisputeFilter = btn.dataset.disputeFilter;
+            loadDisputes();
+        });
+    });
+
+    // Review tabs
+    document.querySelectorAll('.review-tabs .tab-btn').forEach(btn => {
+        btn.addEventListener('click', () => showReviewTab(btn.dataset.panel));
+    });
+
+    // History filters
+    const historyFilterForm = document.getElementById('historyFilterForm');
+    if (historyFilterForm) {
+        historyFilterForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            loadModerationHistory();
+        });
+    }
+
+    const clearHistoryFilterBtn = document.getElementById('clearHistoryFilterBtn');
+    if (clearHistoryFilterBtn) {
+        clearHistoryFilterBtn.addEventListener('click', () => {
+            historyFilterForm.reset();
+            loadModerationHistory();
+        });
+    }
+
+    // Jump from the submission modal to its history
+    const viewHistoryBtn = document.getElementById('viewHistoryBtn');
+    if (viewHistoryBtn) {
+        viewHistoryBtn.addEventListener('click', () => {
+            historyFilterForm.reset();
+            document.getElementById('historySubmissionId').value = modal.dataset.submissionId || '';
+            modal.style.display = 'none';
+            showReviewTab('historyPanel');
+        });
+    }
+
+    // New ranking form
+    const addRankingForm = document.getElementById('addRankingForm');
+    if (addRankingForm) {
+        addRankingForm.addEventListener('submit', addRankingFormula);
+    }
+
+    // Add admin form
+    const addAdminForm = document.getElementById('addAdminForm');
+    if (addAdminForm) {
+        addAdminForm.addEventListener('submit', addAdmin);
+    }
+
+    restoreAdminSession();
 });
 
 // ============================================
@@ -172,20 +404,18 @@ async function loadSubmissions() {
 
     try {
         console.log('🔍 Loading submissions with filter:', currentFilter);
-        console.log('🔑 Admin wallet:', window.ADMIN_WALLET_ADDRESS);
-        console.log('🔑 Admin wallet (lowercase):', (window.ADMIN_WALLET_ADDRESS || '').toLowerCase());
-        
-        // Ensure admin wallet is lowercase for backend comparison
-        const adminWallet = (window.ADMIN_WALLET_ADDRESS || '').toLowerCase();
-        
+
         const response = await fetch(`${API_BASE_URL}/pending-submissions?status=${currentFilter}`, {
-            headers: {
-                'x-admin-wallet': adminWallet
-            }
+            headers: authHeaders()
         });
 
         console.log('📡 Response status:', response.status, response.statusText);
 
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({ message: 'Unknown error' }));
             console.error('❌ API Error:', errorData);
@@ -246,13 +476,18 @@ function displaySubmissions(submissions) {
                 </div>
             </div>
             <div class="submission-details">
+                <div class="submission-detail-item">
+                    <strong>Project:</strong>
+                    ${submission.projectName ? escapeHtml(submission.projectName) : 'N/A'}
+                </div>
                 <div class="submission-detail-item">
                     <strong>X Username:</strong>
-                    ${submission.xUsername || 'N/A'}
+                    ${submission.xUsername ? escapeHtml(submission.xUsername) : 'N/A'}
                 </div>
                 <div class="submission-detail-item">
                     <strong>Main Contract:</strong>
                     <span style="font-family: monospace; font-size: 0.85rem;">${submission.mainContract || 'N/A'}</span>
+                    ${submission.contractCount > 1 ? `<small>+${submission.contractCount - 1} more</small>` : ''}
                 </div>
                 <div class="submission-detail-item">
                     <strong>Submitted:</strong>
@@ -272,14 +507,15 @@ async function showSubmissionDetails(submissionId) {
     const detailsDiv = document.getElementById('submissionDetails');
 
     try {
-        // Ensure admin wallet is lowercase for backend comparison
-        const adminWallet = (window.ADMIN_WALLET_ADDRESS || '').toLowerCase();
-        
         const response = await fetch(`${API_BASE_URL}/submission/${submissionId}`, {
-            headers: {
-                'x-admin-wallet': adminWallet
-            }
+            headers: authHeaders()
         });
+
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+
         const data = await response.json();
 
         if (data.success && data.submission) {
@@ -287,42 +523,59 @@ async function showSubmissionDetails(submissionId) {
             
             detailsDiv.innerHTML = `
                 <div class="submission-details-full">
+                    <div class="detail-row">
+                        <strong>Project:</strong>
+                        <div class="project-cell">
+                            ${sub.logoImage || sub.logoUrl ? `<img class="project-logo" src="${escapeHtml(sub.logoImage || sub.logoUrl)}" alt="">` : ''}
+                            <div>
+                                <div>${sub.projectName ? escapeHtml(sub.projectName) : 'N/A'}</div>
+                                <div class="project-meta">
+                                    ${sub.categoryLabel ? `<span class="category-badge">${sub.categoryLabel}</span>` : '<span>No category</span>'}
+                                    ${(sub.tags || []).map(tag => `<span class="project-tag">#${escapeHtml(tag)}</span>`).join('')}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="detail-row">
+                        <strong>Website:</strong>
+                        ${sub.website ? `<a href="${escapeHtml(sub.website)}" target="_blank" rel="noopener">${escapeHtml(sub.website)}</a>` : 'N/A'}
+                    </div>
                     <div class="detail-row">
                         <strong>Wallet Address:</strong>
                         <span style="font-family: monospace;">${sub.walletAddress}</span>
                     </div>
                     <div class="detail-row">
                         <strong>X Username:</strong>
-                        ${sub.xUsername || 'N/A'}
+                        ${sub.xUsername ? escapeHtml(sub.xUsername) : 'N/A'}
                     </div>
                     <div class="detail-row">
                         <strong>Project X:</strong>
-                        ${sub.projectX || 'N/A'}
+                        ${sub.projectX ? escapeHtml(sub.projectX) : 'N/A'}
                     </div>
                     <div class="detail-row">
                         <strong>GitHub:</strong>
-                        ${sub.githubLink ? `<a href="${sub.githubLink}" target="_blank">${sub.githubLink}</a>` : 'N/A'}
+                        ${sub.githubLink ? `<a href="${escapeHtml(sub.githubLink)}" target="_blank">${escapeHtml(sub.githubLink)}</a>` : 'N/A'}
                     </div>
+                    ${(sub.contracts || []).map(contract => `
                     <div class="detail-row">
-                        <strong>Main Contract:</strong>
-                        <span style="font-family: monospace;">${sub.mainContract}</span>
+                        <strong>${contract.label ? escapeHtml(contract.label) : 'Contract'}${contract.role === 'main' ? ' (main)' : ''}:</strong>
+                        <span style="font-family: monospace;">${contract.address}</span>
+                        ${renderVerificationStatus(contract.verificationStatus)}
+                        ${renderProxyInfo(sub.contracts, contract.address)}
                     </div>
-                    ${sub.optionalContract1 ? `
+                    `).join('')}
                     <div class="detail-row">
-                        <strong>Optional Contract 1:</strong>
-                        <span style="font-family: monospace;">${sub.optionalContract1}</span>
+                        <strong>Ownership Proofs:</strong>
+                        ${renderOwnershipProofs(sub.ownershipProofs)}
                     </div>
-                    ` : ''}
-                    ${sub.optionalContract2 ? `
                     <div class="detail-row">
-                        <strong>Optional Contract 2:</strong>
-                        <span style="font-family: monospace;">${sub.optionalContract2}</span>
+                        <strong>Sybil / Wash-Trading Signals:</strong>
+                        ${renderSybilEvidence(sub.sybil)}
                     </div>
-                    ` : ''}
                     <div class="detail-row">
                         <strong>Project Description:</strong>
                         <div style="margin-top: 0.5rem; padding: 1rem; background: #f5f5f5; border-radius: 8px; white-space: pre-wrap; max-height: 300px; overflow-y: auto;">
-                            ${sub.projectDescription || 'N/A'}
+                            ${sub.projectDescription ? escapeHtml(sub.projectDescription) : 'N/A'}
                         </div>
                     </div>
                     <div class="detail-row">
@@ -347,7 +600,17 @@ async function showSubmissionDetails(submissionId) {
 
             // Store current submission ID for approve/reject
             modal.dataset.submissionId = submissionId;
+            modal.dataset.walletAddress = sub.walletAddress;
             modal.style.display = 'block';
+
+            // Approved projects can be rescanned right away by moderators
+            const rescanBtn = document.getElementById('rescanStatsBtn');
+            if (rescanBtn) {
+                const canModerate = adminRole === 'super_admin' || adminRole === 'reviewer';
+                rescanBtn.style.display = sub.isApproved && canModerate ? '' : 'none';
+                rescanBtn.disabled = false;
+                rescanBtn.textContent = 'Rescan Stats';
+            }
         }
     } catch (error) {
         console.error('Error loading submission details:', error);
@@ -355,6 +618,139 @@ async function showSubmissionDetails(submissionId) {
     }
 }
 
+const PROXY_TYPE_LABELS = {
+    eip1967: 'EIP-1967 proxy',
+    transparent: 'Transparent proxy',
+    uups: 'UUPS proxy (EIP-1822/1967)',
+    eip1822: 'EIP-1822 proxy',
+    beacon: 'Beacon proxy',
+    eip1167: 'Minimal clone (EIP-1167)'
+};
+
+const VERIFICATION_STATUS_LABELS = {
+    verified: { text: '✓ Deployer or on-chain owner', color: '#10b981' },
+    signed: { text: 'Signed, no on-chain link', color: '#f59e0b' },
+    unverified: { text: 'No ownership proof', color: '#ef4444' }
+};
+
+function renderVerificationStatus(status) {
+    const label = VERIFICATION_STATUS_LABELS[status];
+    return label ? `<br><small style="color: ${label.color};">${label.text}</small>` : '';
+}
+
+function renderProxyInfo(contracts, address) {
+    const contract = (contracts || []).find(c => c.address?.toLowerCase() === address?.toLowerCase());
+    if (!contract || !contract.proxy) {
+        return '<br><small style="color: #6b7280;">Proxy check pending</small>';
+    }
+    if (!contract.proxy.isProxy) {
+        return '';
+    }
+
+    return `
+        <br><small style="color: #f59e0b;">⚠ ${PROXY_TYPE_LABELS[contract.proxy.proxyType] || contract.proxy.proxyType}</small>
+        <br><small>Implementation: <span style="font-family: monospace;">${contract.proxy.implementationAddress || 'unknown'}</span></small>
+        ${contract.proxy.adminAddress ? `<br><small>Proxy admin: <span style="font-family: monospace;">${contract.proxy.adminAddress}</span></small>` : ''}
+        ${contract.proxy.beaconAddress ? `<br><small>Beacon: <span style="font-family: monospace;">${contract.proxy.beaconAddress}</span></small>` : ''}
+    `;
+}
+
+const OWNERSHIP_CHECK_LABELS = {
+    owner: 'owner()',
+    owner_safe: 'owner() is a Safe they co-own',
+    default_admin_role: 'DEFAULT_ADMIN_ROLE',
+    default_admin_role_safe: 'DEFAULT_ADMIN_ROLE held by a Safe they co-own',
+    safe_owner: 'Safe owner'
+};
+
+function renderOwnershipProofs(proofs) {
+    if (!proofs || proofs.length === 0) {
+        return '<div>No signed ownership proof (submitted before signatures were required)</div>';
+    }
+
+    return proofs.map(proof => {
+        const signatureLabel = proof.signatureValid
+            ? '<span style="color: #10b981;">✓ Valid signature</span>'
+            : '<span style="color: #ef4444;">✗ Invalid signature</span>';
+
+        let deployerLabel;
+        if (proof.signerMatchesDeployer === null) {
+            deployerLabel = '<span style="color: #f59e0b;">? Deployer unknown - verify manually</span>';
+        } else if (proof.signerMatchesDeployer) {
+            deployerLabel = '<span style="color: #10b981;">✓ Signer is the deployer</span>';
+        } else {
+            deployerLabel = `<span style="color: #ef4444;">✗ Deployer is ${proof.deployer}</span>`;
+        }
+
+        const ownershipLabel = proof.ownershipChecks && proof.ownershipChecks.length > 0
+            ? `<br><span style="color: #10b981;">✓ On-chain ownership: ${proof.ownershipChecks.map(check => OWNERSHIP_CHECK_LABELS[check] || check).join(', ')}</span>`
+            : '';
+        const factoryLabel = proof.factoryAddress
+            ? `<br><small>Deployed via factory <span style="font-family: monospace;">${proof.factoryAddress}</span></small>`
+            : '';
+        const confidenceLabel = proof.deployerConfidence
+            ? ` <small>(${proof.deployerConfidence} confidence)</small>`
+            : '';
+
+        return `
+            <div style="margin-top: 0.5rem;">
+                <span style="font-family: monospace;">${proof.contractAddress}</span><br>
+                ${signatureLabel} · ${deployerLabel}${confidenceLabel}${factoryLabel}${ownershipLabel}
+            </div>
+        `;
+    }).join('');
+}
+
+const SYBIL_SIGNAL_LABELS = {
+    funding_cluster: 'Wallets funded from the same source',
+    call_pattern: 'Identical call patterns',
+    value_loop: 'Tiny-value calls / transfer loops',
+    burst: 'Burst of new wallets'
+};
+
+// One line of evidence for a flagged wallet
+function describeSybilEvidence(signal, evidence) {
+    switch (signal) {
+        case 'funding_cluster':
+            return `funded by <span style="font-family: monospace;">${escapeHtml(evidence.funder)}</span> with ${escapeHtml(evidence.clusterSize - 1)} other wallets`;
+        case 'call_pattern':
+            return `${escapeHtml(evidence.calls)} calls (${evidence.methods.map(escapeHtml).join(' → ')}), same as ${escapeHtml(evidence.clusterSize - 1)} other wallets`;
+        case 'value_loop':
+            return evidence.counterparty
+                ? `${escapeHtml(evidence.transfersSent)} transfers to and ${escapeHtml(evidence.transfersReceived)} from <span style="font-family: monospace;">${escapeHtml(evidence.counterparty)}</span>`
+                : `${escapeHtml(evidence.tinyValueCalls)} tiny-value calls`;
+        case 'burst':
+            return `first call at ${new Date(evidence.windowStart * 1000).toLocaleString()} with ${escapeHtml(evidence.newWallets - 1)} other new wallets within ${escapeHtml(evidence.windowSeconds)}s`;
+        default:
+            return escapeHtml(JSON.stringify(evidence));
+    }
+}
+
+function renderSybilEvidence(sybil) {
+    if (!sybil) {
+        return '<div>Not analysed yet - projects are analysed on each stats update once approved</div>';
+    }
+
+    const signals = Object.entries(sybil.signals || {});
+    const summaryColor = sybil.suspicionScore >= 25 ? '#ef4444' : sybil.suspicionScore > 0 ? '#f59e0b' : '#10b981';
+    const summary = `
+        <div style="color: ${summaryColor};">
+            ${sybil.suspicionScore}% of calls from suspicious wallets · ${sybil.flaggedWallets} flagged wallets ·
+            quality-adjusted score ${sybil.qualityScore}
+        </div>
+    `;
+    if (signals.length === 0) return summary;
+
+    return summary + signals.map(([signal, { weight, wallets, examples }]) => `
+        <div style="margin-top: 0.5rem;">
+            <strong>${SYBIL_SIGNAL_LABELS[signal] || signal}</strong> <small>(${wallets} wallets, weight ${weight})</small>
+            ${examples.map(example => `
+                <br><small><span style="font-family: monospace;">${escapeHtml(example.wallet)}</span>: ${describeSybilEvidence(signal, example.evidence)}</small>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
 // ============================================
 // Approve/Reject Actions
 // ============================================
@@ -372,15 +768,11 @@ document.getElementById('approveBtn')?.addEventListener('click', async () => {
     }
 
     try {
-        // Ensure admin wallet is lowercase for backend comparison
-        const adminWallet = (window.ADMIN_WALLET_ADDRESS || '').toLowerCase();
-        
         const response = await fetch(`${API_BASE_URL}/approve`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-admin-wallet': adminWallet
-            },
+            headers: authHeaders({
+                'Content-Type': 'application/json'
+            }),
             body: JSON.stringify({
                 submissionId: submissionId
             })
@@ -433,15 +825,11 @@ document.getElementById('rejectBtn')?.addEventListener('click', async () => {
         }
 
         try {
-            // Ensure admin wallet is lowercase for backend comparison
-            const adminWallet = (window.ADMIN_WALLET_ADDRESS || '').toLowerCase();
-            
             const response = await fetch(`${API_BASE_URL}/reject`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-admin-wallet': adminWallet
-                },
+                headers: authHeaders({
+                    'Content-Type': 'application/json'
+                }),
                 body: JSON.stringify({
                     submissionId: submissionId,
                     reason: reason || ''
@@ -475,3 +863,668 @@ document.getElementById('rejectBtn')?.addEventListener('click', async () => {
         }
     }, 0);
 });
+
+document.getElementById('rescanStatsBtn')?.addEventListener('click', async () => {
+    const modal = document.getElementById('submissionModal');
+    const walletAddress = modal.dataset.walletAddress;
+    const rescanBtn = document.getElementById('rescanStatsBtn');
+
+    if (!walletAddress) return;
+
+    rescanBtn.disabled = true;
+    rescanBtn.textContent = 'Starting...';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/stats/${walletAddress}/rescan`, {
+            method: 'POST',
+            headers: authHeaders()
+        });
+
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+
+        const data = await response.json();
+        alert(data.message || (data.success ? 'Rescan started' : 'Failed to start rescan'));
+        rescanBtn.textContent = data.success ? 'Rescan Started' : 'Rescan Stats';
+        rescanBtn.disabled = data.success;
+    } catch (error) {
+        console.error('Error starting rescan:', error);
+        alert('Error starting rescan');
+        rescanBtn.disabled = false;
+        rescanBtn.textContent = 'Rescan Stats';
+    }
+});
+
+// ============================================
+// Contract Change Requests
+// ============================================
+function renderContractList(contracts) {
+    if (!contracts || contracts.length === 0) return 'None';
+
+    return contracts.map(contract => `
+        <div>
+            ${contract.label ? escapeHtml(contract.label) : 'Contract'}${contract.role === 'main' ? ' (main)' : ''}:
+            <span style="font-family: monospace;">${contract.address}</span>
+            ${contract.proxy !== undefined ? renderProxyInfo([contract], contract.address) : ''}
+        </div>
+    `).join('');
+}
+
+async function loadChangeRequests() {
+    const changeRequestsList = document.getElementById('changeRequestsList');
+
+    if (!changeRequestsList) return;
+
+    changeRequestsList.innerHTML = '<div class="loading">Loading change requests...</div>';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/change-requests?status=${currentChangeFilter}`, {
+            headers: authHeaders()
+        });
+
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+
+        const data = await response.json();
+
+        if (!data.success) {
+            changeRequestsList.innerHTML = `<div class="loading">Error: ${data.message || 'Failed to load change requests'}</div>`;
+            return;
+        }
+
+        if (data.changeRequests.length === 0) {
+            changeRequestsList.innerHTML = `<div class="loading">No ${currentChangeFilter} change requests</div>`;
+            return;
+        }
+
+        const canModerate = adminRole === 'super_admin' || adminRole === 'reviewer';
+
+        changeRequestsList.innerHTML = data.changeRequests.map(request => `
+            <div class="submission-card">
+                <div class="submission-header">
+                    <div class="submission-wallet">${request.walletAddress}</div>
+                    <div class="submission-status ${request.status}">
+                        ${request.status.charAt(0).toUpperCase() + request.status.slice(1)}
+                    </div>
+                </div>
+                <div class="submission-details">
+                    <div class="submission-detail-item">
+                        <strong>X Username:</strong>
+                        ${request.xUsername ? escapeHtml(request.xUsername) : 'N/A'}
+                    </div>
+                    <div class="submission-detail-item">
+                        <strong>Submitted:</strong>
+                        ${request.dateSubmitted ? new Date(request.dateSubmitted).toLocaleString() : 'N/A'}
+                    </div>
+                    <div class="submission-detail-item">
+                        <strong>Current Contracts:</strong>
+                        ${renderContractList(request.currentContracts)}
+                    </div>
+                    <div class="submission-detail-item">
+                        <strong>Requested Contracts:</strong>
+                        ${renderContractList(request.requestedContracts)}
+                    </div>
+                    <div class="submission-detail-item">
+                        <strong>Ownership Proofs (new contracts):</strong>
+                        ${request.ownershipProofs.length > 0 ? renderOwnershipProofs(request.ownershipProofs) : 'No new contracts'}
+                    </div>
+                    ${request.rejectionReason ? `
+                    <div class="submission-detail-item">
+                        <strong>Reason:</strong>
+                        ${escapeHtml(request.rejectionReason)}
+                    </div>
+                    ` : ''}
+                </div>
+                ${request.status === 'pending' && canModerate ? `
+                <div class="modal-actions">
+                    <button class="btn btn-primary" onclick="reviewChangeRequest(${request.id}, 'approve')">Approve</button>
+                    <button class="btn btn-danger" onclick="reviewChangeRequest(${request.id}, 'reject')">Reject</button>
+                </div>
+                ` : ''}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('❌ Error loading change requests:', error);
+        changeRequestsList.innerHTML = `<div class="loading">Error loading change requests: ${error.message}</div>`;
+    }
+}
+
+async function reviewChangeRequest(requestId, decision) {
+    let reason = '';
+    if (decision === 'reject') {
+        reason = prompt('Please provide a reason for rejection (optional):');
+        if (reason === null) return; // User cancelled
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/change-requests/${requestId}/${decision}`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json'
+            }),
+            body: JSON.stringify({ reason: reason || '' })
+        });
+
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+
+        const data = await response.json();
+
+        if (!data.success) {
+            alert(data.message || `Failed to ${decision} change request`);
+        }
+
+        loadChangeRequests();
+    } catch (error) {
+        console.error(`Error trying to ${decision} change request:`, error);
+        alert(`Error trying to ${decision} change request`);
+    }
+}
+
+// ============================================
+// Contract Disputes
+// ============================================
+async function loadDisputes() {
+    const disputesList = document.getElementById('disputesList');
+
+    if (!disputesList) return;
+
+    disputesList.innerHTML = '<div class="loading">Loading disputes...</div>';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/disputes?status=${currentDisputeFilter}`, {
+            headers: authHeaders()
+        });
+
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+
+        const data = await response.json();
+
+        if (!data.success) {
+            disputesList.innerHTML = `<div class="loading">Error: ${data.message || 'Failed to load disputes'}</div>`;
+            return;
+        }
+
+        if (data.disputes.length === 0) {
+            disputesList.innerHTML = `<div class="loading">No ${currentDisputeFilter} disputes</div>`;
+            return;
+        }
+
+        const canModerate = adminRole === 'super_admin' || adminRole === 'reviewer';
+
+        disputesList.innerHTML = data.disputes.map(dispute => `
+            <div class="submission-card">
+                <div class="submission-header">
+                    <div class="submission-wallet">${dispute.contractAddress}</div>
+                    <div class="submission-status ${dispute.status === 'upheld' ? 'approved' : dispute.status === 'dismissed' ? 'rejected' : 'pending'}">
+                        ${dispute.status.charAt(0).toUpperCase() + dispute.status.slice(1)}
+                    </div>
+                </div>
+                <div class="submission-details">
+                    <div class="submission-detail-item">
+                        <strong>Claimant:</strong>
+                        <span style="font-family: monospace;">${dispute.claimantWallet}</span>
+                        ${renderOwnershipProofs(dispute.claimantProof)}
+                    </div>
+                    <div class="submission-detail-item">
+                        <strong>Current Holder:</strong>
+                        ${dispute.holderWallet
+                            ? `<span style="font-family: monospace;">${dispute.holderWallet}</span> ${dispute.holderXUsername ? escapeHtml(dispute.holderXUsername) : ''}
+                               <span style="cursor: pointer; color: #0052ff;" onclick="showSubmissionDetails('${dispute.holderDeveloperId}')">(view)</span>
+                               ${renderOwnershipProofs(dispute.holderProof)}`
+                            : 'Profile removed'}
+                    </div>
+                    <div class="submission-detail-item">
+                        <strong>Evidence:</strong>
+                        <div style="white-space: pre-wrap;">${dispute.evidence ? escapeHtml(dispute.evidence) : 'None provided'}</div>
+                    </div>
+                    <div class="submission-detail-item">
+                        <strong>Submitted:</strong>
+                        ${dispute.dateSubmitted ? new Date(dispute.dateSubmitted).toLocaleString() : 'N/A'}
+                    </div>
+                    ${dispute.resolutionNote ? `
+                    <div class="submission-detail-item">
+                        <strong>Resolution Note:</strong>
+                        ${escapeHtml(dispute.resolutionNote)}
+                    </div>
+                    ` : ''}
+                </div>
+                ${dispute.status === 'pending' && canModerate ? `
+                <div class="modal-actions">
+                    <button class="btn btn-primary" onclick="resolveDispute(${dispute.id}, 'uphold')">Uphold (remove from holder)</button>
+                    <button class="btn btn-danger" onclick="resolveDispute(${dispute.id}, 'dismiss')">Dismiss</button>
+                </div>
+                ` : ''}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('❌ Error loading disputes:', error);
+        disputesList.innerHTML = `<div class="loading">Error loading disputes: ${error.message}</div>`;
+    }
+}
+
+async function resolveDispute(disputeId, decision) {
+    const confirmText = decision === 'uphold'
+        ? 'Uphold this dispute? The contract will be removed from the current holder\'s profile.'
+        : 'Dismiss this dispute?';
+    if (!confirm(confirmText)) return;
+
+    const note = prompt('Resolution note (optional):');
+    if (note === null) return; // User cancelled
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/disputes/${disputeId}/resolve`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json'
+            }),
+            body: JSON.stringify({ decision, note: note || '' })
+        });
+
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+
+        const data = await response.json();
+        alert(data.message || (data.success ? 'Dispute resolved' : 'Failed to resolve dispute'));
+
+        loadDisputes();
+    } catch (error) {
+        console.error('Error resolving dispute:', error);
+        alert('Error resolving dispute');
+    }
+}
+
+// ============================================
+// Moderation History
+// ============================================
+const ACTION_LABELS = {
+    approve: 'Approved',
+    reject: 'Rejected',
+    approve_change: 'Contract change approved',
+    reject_change: 'Contract change rejected',
+    dispute_upheld: 'Dispute upheld',
+    dispute_dismissed: 'Dispute dismissed',
+    admin_added: 'Admin added',
+    admin_role_changed: 'Admin role changed',
+    admin_removed: 'Admin removed',
+    ranking_formula_changed: 'Ranking formula changed',
+    ranking_formula_removed: 'Ranking removed'
+};
+
+function formatModerationState(state) {
+    if (!state) return '—';
+    if (state.role) return ROLE_LABELS[state.role] || state.role;
+    if (state.formula) return describeRankingFormula(state.formula);
+    if (state.disputeId) {
+        return `Dispute #${state.disputeId} ${state.status} (${state.contractAddress})`;
+    }
+    if (state.changeRequestId) {
+        return `Change #${state.changeRequestId} ${state.status} (${(state.contracts || []).length} contract${(state.contracts || []).length === 1 ? '' : 's'})`;
+    }
+    if (state.isApproved) return 'Approved';
+    if (state.isRejected) return 'Rejected';
+    return 'Pending';
+}
+
+async function loadModerationHistory() {
+    const historyList = document.getElementById('historyList');
+
+    if (!historyList) return;
+
+    const params = new URLSearchParams();
+    const submissionId = document.getElementById('historySubmissionId')?.value.trim();
+    const actor = document.getElementById('historyActor')?.value.trim();
+    const action = document.getElementById('historyAction')?.value;
+
+    if (submissionId) params.set('submissionId', submissionId);
+    if (actor) params.set('actor', actor.toLowerCase());
+    if (action) params.set('action', action);
+
+    historyList.innerHTML = '<div class="loading">Loading history...</div>';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/moderation-events?${params.toString()}`, {
+            headers: authHeaders()
+        });
+
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+
+        const data = await response.json();
+
+        if (!data.success) {
+            historyList.innerHTML = `<div class="loading">Error: ${data.message || 'Failed to load history'}</div>`;
+            return;
+        }
+
+        if (data.events.length === 0) {
+            historyList.innerHTML = '<div class="loading">No moderation events found</div>';
+            return;
+        }
+
+        historyList.innerHTML = data.events.map(event => {
+            const subject = event.submissionId
+                ? `#${event.submissionId} ${event.submissionXUsername || event.submissionWallet || ''}`
+                : (event.newState?.walletAddress || event.previousState?.walletAddress ||
+                    event.newState?.name || event.previousState?.name || 'N/A');
+
+            return `
+            <div class="submission-card"${event.submissionId ? ` onclick="showSubmissionDetails('${event.submissionId}')"` : ''}>
+                <div class="submission-header">
+                    <div class="submission-wallet">${ACTION_LABELS[event.action] || event.action}</div>
+                    <div>${event.createdAt ? new Date(event.createdAt).toLocaleString() : 'N/A'}</div>
+                </div>
+                <div class="submission-details">
+                    <div class="submission-detail-item">
+                        <strong>Subject:</strong>
+                        ${escapeHtml(subject)}
+                    </div>
+                    <div class="submission-detail-item">
+                        <strong>By:</strong>
+                        <span class="history-state">${event.actorWallet}</span>
+                    </div>
+                    <div class="submission-detail-item">
+                        <strong>State:</strong>
+                        ${formatModerationState(event.previousState)} → ${formatModerationState(event.newState)}
+                    </div>
+                    ${event.reason ? `
+                    <div class="submission-detail-item">
+                        <strong>Reason:</strong>
+                        ${escapeHtml(event.reason)}
+                    </div>
+                    ` : ''}
+                </div>
+            </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('❌ Error loading moderation history:', error);
+        historyList.innerHTML = `<div class="loading">Error loading history: ${error.message}</div>`;
+    }
+}
+
+// ============================================
+// Ranking Formulas
+// ============================================
+// Formulas are edited as JSON; the server validates them (see lib/ranking.js)
+
+// One-line summary, e.g. "Overall: 1 × totalTransactions + 5 × uniqueWallets"
+function describeRankingFormula(formula) {
+    const terms = (formula.terms || []).map(term => {
+        const value = term.scale === 'log' ? `log(${term.metric})` : term.metric;
+        return `${term.weight} × ${value}`;
+    }).join(' + ');
+    const decay = formula.decayHalfLifeDays ? `, half-life ${formula.decayHalfLifeDays}d` : '';
+    return `${formula.label}: ${terms}${decay}`;
+}
+
+async function loadRankingFormulas() {
+    const rankingsList = document.getElementById('rankingsList');
+    if (!rankingsList) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/ranking-formulas`, {
+            headers: authHeaders()
+        });
+
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+
+        const data = await response.json();
+
+        if (!data.success) {
+            rankingsList.innerHTML = `<div class="loading">Error: ${data.message || 'Failed to load rankings'}</div>`;
+            return;
+        }
+
+        const canEdit = adminRole === 'super_admin';
+        document.getElementById('addRankingForm').style.display = canEdit ? '' : 'none';
+
+        rankingsList.innerHTML = `
+            <div class="submission-card" style="cursor: default;">
+                <strong>Metrics:</strong> <span style="font-family: monospace; font-size: 0.85rem;">${data.metrics.join(', ')}</span>
+            </div>
+        ` + data.formulas.map(entry => `
+            <div class="submission-card" style="cursor: default;">
+                <div class="submission-header">
+                    <div class="submission-wallet">${entry.name}${entry.isDefault ? ' <small>(built-in)</small>' : ''}</div>
+                    <div>${entry.updatedAt ? new Date(entry.updatedAt).toLocaleString() : ''}</div>
+                </div>
+                <div class="submission-details">
+                    <div class="submission-detail-item">${describeRankingFormula(entry.formula)}</div>
+                </div>
+                <textarea id="rankingFormula-${entry.name}" rows="12" style="width: 100%; font-family: monospace; font-size: 0.85rem; margin-top: 0.5rem;" ${canEdit ? '' : 'readonly'}>${JSON.stringify(entry.formula, null, 2)}</textarea>
+                ${canEdit ? `
+                <div style="display: flex; gap: 0.5rem; margin-top: 0.5rem;">
+                    <button class="btn btn-primary btn-sm" onclick="saveRankingFormula('${entry.name}')">Save</button>
+                    <button class="btn btn-secondary btn-sm" onclick="removeRankingFormula('${entry.name}', ${entry.isDefault})">${entry.isDefault ? 'Restore Default' : 'Remove'}</button>
+                </div>
+                ` : ''}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('❌ Error loading ranking formulas:', error);
+        rankingsList.innerHTML = `<div class="loading">Error loading rankings: ${error.message}</div>`;
+    }
+}
+
+async function putRankingFormula(name, formula) {
+    const response = await fetch(`${API_BASE_URL}/ranking-formulas/${name}`, {
+        method: 'PUT',
+        headers: authHeaders({
+            'Content-Type': 'application/json'
+        }),
+        body: JSON.stringify({ formula })
+    });
+    return response.json();
+}
+
+async function saveRankingFormula(name) {
+    let formula;
+    try {
+        formula = JSON.parse(document.getElementById(`rankingFormula-${name}`).value);
+    } catch (error) {
+        alert(`Formula is not valid JSON: ${error.message}`);
+        return;
+    }
+
+    try {
+        const data = await putRankingFormula(name, formula);
+        if (data.success) {
+            loadRankingFormulas();
+        } else {
+            alert(data.message || 'Failed to save ranking formula');
+        }
+    } catch (error) {
+        console.error('Error saving ranking formula:', error);
+        alert('Error saving ranking formula');
+    }
+}
+
+async function addRankingFormula(event) {
+    event.preventDefault();
+
+    const nameInput = document.getElementById('newRankingName');
+    const name = nameInput.value.trim();
+
+    try {
+        // Starts as a copy of the overall formula, to be edited in place
+        const data = await putRankingFormula(name, {
+            label: name,
+            terms: [
+                { metric: 'totalTransactions', weight: 1, scale: 'linear' },
+                { metric: 'uniqueWallets', weight: 5, scale: 'linear' }
+            ],
+            minimums: {},
+            decayHalfLifeDays: null,
+            tieBreakers: [{ metric: 'uniqueWallets', order: 'desc' }]
+        });
+
+        if (data.success) {
+            nameInput.value = '';
+            loadRankingFormulas();
+        } else {
+            alert(data.message || 'Failed to add ranking');
+        }
+    } catch (error) {
+        console.error('Error adding ranking:', error);
+        alert('Error adding ranking');
+    }
+}
+
+async function removeRankingFormula(name, isDefault) {
+    if (!confirm(isDefault ? `Restore the default formula for "${name}"?` : `Remove the "${name}" ranking?`)) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/ranking-formulas/${name}`, {
+            method: 'DELETE',
+            headers: authHeaders()
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            loadRankingFormulas();
+        } else {
+            alert(data.message || 'Failed to remove ranking');
+        }
+    } catch (error) {
+        console.error('Error removing ranking:', error);
+        alert('Error removing ranking');
+    }
+}
+
+// ============================================
+// Admin Team Management (Super admins only)
+// ============================================
+async function loadAdminTeam() {
+    const adminTeamList = document.getElementById('adminTeamList');
+
+    if (!adminTeamList) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/admins`, {
+            headers: authHeaders()
+        });
+
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+
+        const data = await response.json();
+
+        if (!data.success) {
+            adminTeamList.innerHTML = `<div class="loading">Error: ${data.message || 'Failed to load admins'}</div>`;
+            return;
+        }
+
+        if (data.admins.length === 0) {
+            adminTeamList.innerHTML = '<div class="loading">No admins found</div>';
+            return;
+        }
+
+        adminTeamList.innerHTML = data.admins.map(admin => `
+            <div class="submission-card">
+                <div class="submission-header">
+                    <div class="submission-wallet">${admin.walletAddress}</div>
+                    ${admin.walletAddress === userAddress ? '' : `
+                    <button class="btn btn-danger btn-sm" onclick="removeAdmin('${admin.walletAddress}')">Remove</button>
+                    `}
+                </div>
+                <div class="submission-details">
+                    <div class="submission-detail-item">
+                        <strong>Role:</strong>
+                        ${ROLE_LABELS[admin.role] || admin.role}
+                    </div>
+                    <div class="submission-detail-item">
+                        <strong>Added By:</strong>
+                        <span style="font-family: monospace; font-size: 0.85rem;">${admin.addedBy || 'System'}</span>
+                    </div>
+                    <div class="submission-detail-item">
+                        <strong>Added:</strong>
+                        ${admin.dateAdded ? new Date(admin.dateAdded).toLocaleDateString() : 'N/A'}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('❌ Error loading admin team:', error);
+        adminTeamList.innerHTML = `<div class="loading">Error loading admins: ${error.message}</div>`;
+    }
+}
+
+async function addAdmin(event) {
+    event.preventDefault();
+
+    const walletInput = document.getElementById('newAdminWallet');
+    const roleSelect = document.getElementById('newAdminRole');
+    const walletAddress = walletInput.value.trim();
+
+    if (!walletAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+        alert('Please enter a valid wallet address');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/admins`, {
+            method: 'POST',
+            headers: authHeaders({
+                'Content-Type': 'application/json'
+            }),
+            body: JSON.stringify({
+                walletAddress: walletAddress,
+                role: roleSelect.value
+            })
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            walletInput.value = '';
+            loadAdminTeam();
+        } else {
+            alert(data.message || 'Failed to add admin');
+        }
+    } catch (error) {
+        console.error('Error adding admin:', error);
+        alert('Error adding admin');
+    }
+}
+
+async function removeAdmin(walletAddress) {
+    if (!confirm(`Remove admin access for ${walletAddress}?`)) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/admins/${walletAddress}`, {
+            method: 'DELETE',
+            headers: authHeaders()
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            loadAdminTeam();
+        } else {
+            alert(data.message || 'Failed to remove admin');
+        }
+    } catch (error) {
+        console.error('Error removing admin:', error);
+        alert('Error removing admin');
+    }
+}
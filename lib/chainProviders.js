@@ -0,0 +1,339 @@
+// ============================================
+// Chain Data Providers
+// ============================================
+// One client for every explorer API and RPC call the server makes. Each
+// provider has its own token-bucket rate limiter shared by all callers;
+// failed calls back off exponentially on 429/5xx and rate-limit responses,
+// then fail over to the next provider in the configured order. Responses that
+// can't change (creation info, mined transactions, traces) are cached.
+
+const axios = require('axios');
+const ethers = require('ethers');
+
+const EXPLORER_TYPES = {
+    // Etherscan-compatible API on the chain's own explorer domain
+    basescan: { baseUrl: 'https://api.basescan.org/api', multichain: false },
+    // Etherscan API V2: one key and endpoint for every supported chain, selected by chainid
+    etherscan: { baseUrl: 'https://api.etherscan.io/v2/api', multichain: true }
+};
+
+// Explorer "errors" that just mean an empty result
+const EMPTY_RESULT_MESSAGES = ['No transactions found', 'No records found', 'No data found'];
+const RATE_LIMIT_PATTERN = /rate limit|too many requests|max calls per sec/i;
+
+// RPC methods whose result never changes once non-null (when not asked about 'latest'/'pending')
+const CACHEABLE_RPC_METHODS = new Set([
+    'eth_chainId',
+    'eth_getTransactionByHash',
+    'eth_getTransactionReceipt',
+    'debug_traceTransaction',
+    'trace_transaction'
+]);
+
+/**
+ * Thrown when every provider failed. `errors` holds each provider's failure.
+ */
+class ChainProviderError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'ChainProviderError';
+        this.errors = errors;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket: `burst` requests at once, refilled at `requestsPerSecond`
+ */
+function createRateLimiter({ requestsPerSecond, burst = requestsPerSecond }) {
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let queue = Promise.resolve();
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * requestsPerSecond);
+        lastRefill = now;
+    }
+
+    async function take() {
+        refill();
+        while (tokens < 1) {
+            await sleep(Math.ceil(((1 - tokens) / requestsPerSecond) * 1000));
+            refill();
+        }
+        tokens -= 1;
+    }
+
+    // Callers are served in order so a busy caller can't starve the others
+    return {
+        acquire() {
+            const turn = queue.then(take);
+            queue = turn.catch(() => {});
+            return turn;
+        }
+    };
+}
+
+/**
+ * Small TTL cache, evicting the oldest entries past `maxEntries`
+ */
+function createResponseCache(maxEntries = 1000) {
+    const entries = new Map(); // key -> { value, expiresAt }
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expiresAt < Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+        set(key, value, ttlMs) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        }
+    };
+}
+
+/**
+ * HTTP 429/5xx, network errors and explorer rate-limit messages are worth retrying
+ */
+function isRetryable(error) {
+    if (error.retryable !== undefined) return error.retryable;
+    if (isRequestError(error)) return false;
+
+    const status = error.response?.status || error.status;
+    if (status) return status === 429 || status >= 500;
+
+    // JSON-RPC "limit exceeded"
+    if (jsonRpcErrorCode(error) === -32005) return true;
+
+    // ethers wraps HTTP failures as SERVER_ERROR / TIMEOUT
+    if (['SERVER_ERROR', 'TIMEOUT', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)) {
+        return true;
+    }
+    return RATE_LIMIT_PATTERN.test(error.message || '');
+}
+
+// JSON-RPC errors caused by the request itself: parse error, invalid request,
+// method not found (e.g. trace/debug methods), invalid params, and "execution reverted"
+const REQUEST_ERROR_CODES = [-32700, -32600, -32601, -32602, 3];
+
+/**
+ * The JSON-RPC error code of a failed call, or null.
+ * ethers wraps the node's error response in a SERVER_ERROR with the original as `error.error`.
+ */
+function jsonRpcErrorCode(error) {
+    if (typeof error.code === 'number') return error.code;
+    return typeof error.error?.code === 'number' ? error.error.code : null;
+}
+
+/**
+ * A JSON-RPC error the node returned for the request itself (a revert, bad params, unknown method).
+ * Every provider would answer the same, so there's no point retrying or failing over.
+ */
+function isRequestError(error) {
+    const code = jsonRpcErrorCode(error);
+    if (code === null) return false;
+    return REQUEST_ERROR_CODES.includes(code) || /revert/i.test(error.error?.message || error.message || '');
+}
+
+/**
+ * Run `fn`, retrying retryable failures with exponential backoff and jitter
+ */
+async function withBackoff(fn, { retries, baseDelayMs, maxDelayMs }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) throw error;
+
+            const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            await sleep(delay / 2 + Math.random() * delay / 2);
+        }
+    }
+}
+
+/**
+ * Etherscan-compatible explorer API provider
+ */
+function createExplorerProvider({ type, apiKey, chainId, requestsPerSecond, timeoutMs }) {
+    const { baseUrl, multichain } = EXPLORER_TYPES[type];
+    const limiter = createRateLimiter({ requestsPerSecond });
+
+    return {
+        name: type,
+        async call(params) {
+            await limiter.acquire();
+            const response = await axios.get(baseUrl, {
+                params: { ...(multichain ? { chainid: chainId } : {}), ...params, apikey: apiKey },
+                timeout: timeoutMs
+            });
+
+            const { status, message, result } = response.data;
+            if (status === '1') return result;
+            if (EMPTY_RESULT_MESSAGES.includes(message)) return [];
+
+            const detail = typeof result === 'string' ? result : message;
+            const error = new Error(`${type} ${params.module}.${params.action} failed: ${detail}`);
+            error.retryable = RATE_LIMIT_PATTERN.test(detail || '');
+            throw error;
+        }
+    };
+}
+
+/**
+ * JSON-RPC endpoint provider ("rpc" for any node URL, "alchemy" for an Alchemy-style keyed URL)
+ */
+function createRpcEndpoint({ name, url, chainId, requestsPerSecond }) {
+    const limiter = createRateLimiter({ requestsPerSecond });
+    const provider = new ethers.providers.StaticJsonRpcProvider(url, chainId);
+
+    return {
+        name,
+        async send(method, params) {
+            await limiter.acquire();
+            return provider.send(method, params);
+        }
+    };
+}
+
+/**
+ * ethers provider that sends every request through the RPC endpoints in failover order
+ */
+class FailoverRpcProvider extends ethers.providers.StaticJsonRpcProvider {
+    constructor(client, chainId) {
+        super(undefined, chainId);
+        this.client = client;
+    }
+
+    send(method, params) {
+        return this.client.rpcSend(method, params);
+    }
+}
+
+/**
+ * Build the chain data client.
+ *
+ * options.order            provider names in failover order, e.g. ['basescan', 'etherscan', 'rpc', 'alchemy']
+ * options.explorerKeys     { basescan, etherscan } API keys; explorers without a key are skipped
+ * options.rpcUrls          node URLs used by the 'rpc' provider, tried in order
+ * options.alchemyUrl       keyed RPC URL used by the 'alchemy' provider
+ */
+function createChainClient({
+    chainId,
+    order,
+    explorerKeys = {},
+    rpcUrls = [],
+    alchemyUrl = null,
+    explorerRequestsPerSecond = 5,
+    rpcRequestsPerSecond = 25,
+    retries = 4,
+    baseDelayMs = 500,
+    maxDelayMs = 10000,
+    timeoutMs = 20000
+}) {
+    const explorers = [];
+    const rpcEndpoints = [];
+
+    for (const name of order) {
+        if (EXPLORER_TYPES[name]) {
+            if (explorerKeys[name]) {
+                explorers.push(createExplorerProvider({
+                    type: name,
+                    apiKey: explorerKeys[name],
+                    chainId,
+                    requestsPerSecond: explorerRequestsPerSecond,
+                    timeoutMs
+                }));
+            }
+        } else if (name === 'rpc') {
+            rpcUrls.forEach((url, index) => rpcEndpoints.push(createRpcEndpoint({
+                name: rpcUrls.length > 1 ? `rpc#${index + 1}` : 'rpc',
+                url,
+                chainId,
+                requestsPerSecond: rpcRequestsPerSecond
+            })));
+        } else if (name === 'alchemy') {
+            if (alchemyUrl) {
+                rpcEndpoints.push(createRpcEndpoint({ name, url: alchemyUrl, chainId, requestsPerSecond: rpcRequestsPerSecond }));
+            }
+        } else {
+            throw new Error(`Unknown chain data provider "${name}"`);
+        }
+    }
+
+    const cache = createResponseCache();
+    const backoff = { retries, baseDelayMs, maxDelayMs };
+
+    // Try each provider in turn; a non-retryable error or exhausted retries moves on to the next
+    async function failover(providers, kind, request) {
+        if (providers.length === 0) {
+            throw new ChainProviderError(`No ${kind} provider configured`);
+        }
+
+        const errors = [];
+        for (const provider of providers) {
+            try {
+                return await withBackoff(() => request(provider), backoff);
+            } catch (error) {
+                if (isRequestError(error)) throw error;
+
+                errors.push({ provider: provider.name, message: error.message });
+                console.warn(`⚠️  ${provider.name} ${kind} request failed: ${error.message}`);
+            }
+        }
+        throw new ChainProviderError(`All ${kind} providers failed: ${errors.map(e => `${e.provider}: ${e.message}`).join('; ')}`, errors);
+    }
+
+    const client = {
+        hasExplorer: explorers.length > 0,
+        explorerNames: explorers.map(explorer => explorer.name),
+
+        /**
+         * Call the explorer API (module/action params). Pass cacheTtlMs to cache the result.
+         */
+        async explorer(params, { cacheTtlMs = 0 } = {}) {
+            const key = `explorer:${JSON.stringify(params)}`;
+            if (cacheTtlMs > 0) {
+                const cached = cache.get(key);
+                if (cached !== undefined) return cached;
+            }
+
+            const result = await failover(explorers, 'explorer', explorer => explorer.call(params));
+            if (cacheTtlMs > 0) cache.set(key, result, cacheTtlMs);
+            return result;
+        },
+
+        async rpcSend(method, params) {
+            const cacheable = CACHEABLE_RPC_METHODS.has(method) &&
+                !params.some(param => param === 'latest' || param === 'pending');
+            const key = `rpc:${method}:${JSON.stringify(params)}`;
+            if (cacheable) {
+                const cached = cache.get(key);
+                if (cached !== undefined) return cached;
+            }
+
+            const result = await failover(rpcEndpoints, 'rpc', endpoint => endpoint.send(method, params));
+            // A null transaction/receipt may just not be mined yet
+            if (cacheable && result !== null) cache.set(key, result, 24 * 60 * 60 * 1000);
+            return result;
+        }
+    };
+
+    client.rpc = new FailoverRpcProvider(client, chainId);
+    return client;
+}
+
+module.exports = {
+    ChainProviderError,
+    createChainClient,
+    createRateLimiter
+};
@@ -0,0 +1,176 @@
+// ============================================
+// Active Wallet Metrics
+// ============================================
+// Wallet metrics over indexed contract_transactions. A wallet is active when it
+// sends a transaction to one of the project's contracts: only `from` counts, and
+// the project's own contracts and chain system addresses are never wallets.
+
+// Senders that aren't users: the zero address, the OP Stack L1 attributes
+// depositor and the L2 predeploys that relay deposits and bridge messages
+const SYSTEM_ADDRESSES = [
+    '0x0000000000000000000000000000000000000000',
+    '0xdeaddeaddeaddeaddeaddeaddeaddeaddead0001',
+    '0x4200000000000000000000000000000000000007', // L2CrossDomainMessenger
+    '0x4200000000000000000000000000000000000010', // L2StandardBridge
+    '0x4200000000000000000000000000000000000014', // L2ERC721Bridge
+    '0x4200000000000000000000000000000000000016'  // L2ToL1MessagePasser
+];
+
+const ACTIVITY_INTERVALS = ['day', 'week', 'month'];
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * SQL for a `calls` CTE of (tx_hash, wallet, block_timestamp, period_start) rows.
+ * $1 is the project's contract addresses and $2 the system addresses.
+ */
+function callsCte(interval = 'day') {
+    return `
+        calls AS (
+            SELECT DISTINCT tx_hash, from_address AS wallet, block_timestamp,
+                   DATE_TRUNC('${interval}', TO_TIMESTAMP(block_timestamp) AT TIME ZONE 'UTC') AS period_start
+            FROM contract_transactions
+            WHERE contract_address = ANY($1)
+              AND from_address IS NOT NULL
+              AND from_address <> ALL($1)
+              AND from_address <> ALL($2)
+        )
+    `;
+}
+
+function baseParams(contractAddresses) {
+    return [contractAddresses.map(address => address.toLowerCase()), SYSTEM_ADDRESSES];
+}
+
+/**
+ * Distinct wallets active in the last day, 7 days and 30 days before `nowTimestamp`.
+ * Returns { dau, wau, mau, stickiness } where stickiness is DAU / MAU.
+ */
+async function getActiveWallets(db, contractAddresses, nowTimestamp) {
+    const result = await db.query(`
+        WITH ${callsCte()}
+        SELECT
+            COUNT(DISTINCT wallet) FILTER (WHERE block_timestamp >= $3) AS dau,
+            COUNT(DISTINCT wallet) FILTER (WHERE block_timestamp >= $4) AS wau,
+            COUNT(DISTINCT wallet) FILTER (WHERE block_timestamp >= $5) AS mau
+        FROM calls
+        WHERE block_timestamp >= $5
+    `, [
+        ...baseParams(contractAddresses),
+        nowTimestamp - DAY_SECONDS,
+        nowTimestamp - 7 * DAY_SECONDS,
+        nowTimestamp - 30 * DAY_SECONDS
+    ]);
+
+    const dau = parseInt(result.rows[0].dau);
+    const wau = parseInt(result.rows[0].wau);
+    const mau = parseInt(result.rows[0].mau);
+
+    return {
+        dau,
+        wau,
+        mau,
+        stickiness: mau > 0 ? Math.round((dau / mau) * 10000) / 100 : null
+    };
+}
+
+/**
+ * Active wallets per day/week/month between two unix timestamps, split into
+ * wallets seen for the first time in that period and returning wallets.
+ */
+async function getActiveWalletSeries(db, contractAddresses, { interval, fromTimestamp, toTimestamp }) {
+    if (!ACTIVITY_INTERVALS.includes(interval)) {
+        throw new Error(`interval must be one of: ${ACTIVITY_INTERVALS.join(', ')}`);
+    }
+
+    const result = await db.query(`
+        WITH ${callsCte(interval)},
+        first_seen AS (
+            SELECT wallet, MIN(period_start) AS first_period
+            FROM calls
+            GROUP BY wallet
+        )
+        SELECT c.period_start AT TIME ZONE 'UTC' AS period_start,
+               COUNT(DISTINCT c.wallet) AS active_wallets,
+               COUNT(DISTINCT c.wallet) FILTER (WHERE f.first_period = c.period_start) AS new_wallets,
+               COUNT(*) AS transactions
+        FROM calls c
+        JOIN first_seen f ON f.wallet = c.wallet
+        WHERE c.block_timestamp BETWEEN $3 AND $4
+        GROUP BY c.period_start
+        ORDER BY c.period_start
+    `, [...baseParams(contractAddresses), fromTimestamp, toTimestamp]);
+
+    return result.rows.map(row => {
+        const activeWallets = parseInt(row.active_wallets);
+        const newWallets = parseInt(row.new_wallets);
+        return {
+            periodStart: row.period_start,
+            activeWallets,
+            newWallets,
+            returningWallets: activeWallets - newWallets,
+            transactions: parseInt(row.transactions)
+        };
+    });
+}
+
+/**
+ * Weekly retention cohorts for the last `weeks` weeks. Wallets join the cohort of
+ * the week of their first call; `retention[n]` is the percentage of the cohort
+ * active again n weeks later (retention[0] is always 100).
+ */
+async function getRetentionCohorts(db, contractAddresses, { weeks, nowTimestamp }) {
+    const result = await db.query(`
+        WITH ${callsCte('week')},
+        first_seen AS (
+            SELECT wallet, MIN(period_start) AS cohort_week
+            FROM calls
+            GROUP BY wallet
+        ),
+        activity AS (
+            SELECT DISTINCT c.wallet, f.cohort_week,
+                   (EXTRACT(EPOCH FROM c.period_start - f.cohort_week) / (7 * 86400))::int AS week_offset
+            FROM calls c
+            JOIN first_seen f ON f.wallet = c.wallet
+            WHERE f.cohort_week >= DATE_TRUNC('week', TO_TIMESTAMP($3) AT TIME ZONE 'UTC')
+        )
+        SELECT cohort_week AT TIME ZONE 'UTC' AS cohort_week, week_offset, COUNT(*) AS wallets
+        FROM activity
+        GROUP BY cohort_week, week_offset
+        ORDER BY cohort_week, week_offset
+    `, [...baseParams(contractAddresses), nowTimestamp - (weeks - 1) * 7 * DAY_SECONDS]);
+
+    const cohorts = new Map(); // cohort week (ISO) -> { cohortWeek, size, active: [] }
+    for (const row of result.rows) {
+        const key = row.cohort_week.toISOString();
+        if (!cohorts.has(key)) {
+            cohorts.set(key, { cohortWeek: row.cohort_week, size: 0, active: [] });
+        }
+        const cohort = cohorts.get(key);
+        const offset = parseInt(row.week_offset);
+        cohort.active[offset] = parseInt(row.wallets);
+        if (offset === 0) cohort.size = cohort.active[0];
+    }
+
+    return [...cohorts.values()].map(cohort => {
+        // Only weeks that have started so far are reported
+        const elapsedWeeks = Math.floor((nowTimestamp - cohort.cohortWeek.getTime() / 1000) / (7 * DAY_SECONDS));
+        const retention = [];
+        for (let offset = 0; offset <= elapsedWeeks; offset++) {
+            const active = cohort.active[offset] || 0;
+            retention.push(cohort.size > 0 ? Math.round((active / cohort.size) * 10000) / 100 : 0);
+        }
+        return {
+            cohortWeek: cohort.cohortWeek,
+            size: cohort.size,
+            retention
+        };
+    });
+}
+
+module.exports = {
+    SYSTEM_ADDRESSES,
+    ACTIVITY_INTERVALS,
+    getActiveWallets,
+    getActiveWalletSeries,
+    getRetentionCohorts
+};
@@ -0,0 +1,153 @@
+// ============================================
+// Ownership Evidence
+// ============================================
+// On-chain checks that a wallet controls a contract beyond having deployed it:
+// EIP-173 owner(), OpenZeppelin AccessControl admin role, and Safe multisig owners.
+
+const ethers = require('ethers');
+
+const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+// Upper bound on role members checked via AccessControlEnumerable
+const MAX_ROLE_MEMBERS = 20;
+
+const OWNERSHIP_ABI = [
+    'function owner() view returns (address)',
+    'function hasRole(bytes32 role, address account) view returns (bool)',
+    'function getRoleMemberCount(bytes32 role) view returns (uint256)',
+    'function getRoleMember(bytes32 role, uint256 index) view returns (address)',
+    'function getOwners() view returns (address[])'
+];
+
+/**
+ * Call a view function, returning null if the contract doesn't implement it
+ */
+async function tryCall(contract, method, args = []) {
+    try {
+        return await contract[method](...args);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Return the Safe owners of an address, or null if it is not a Safe
+ */
+async function getSafeOwners(provider, address) {
+    const code = await provider.getCode(address);
+    if (code === '0x') return null;
+
+    const safe = new ethers.Contract(address, OWNERSHIP_ABI, provider);
+    const owners = await tryCall(safe, 'getOwners');
+    return Array.isArray(owners) ? owners.map(owner => owner.toLowerCase()) : null;
+}
+
+/**
+ * Check whether `walletAddress` is `holder` directly or one of its Safe owners.
+ * Returns 'direct', 'safe_owner' or null.
+ */
+async function matchHolder(provider, holder, walletAddress) {
+    const normalizedHolder = holder.toLowerCase();
+    if (normalizedHolder === walletAddress) return 'direct';
+
+    const safeOwners = await getSafeOwners(provider, normalizedHolder);
+    return safeOwners && safeOwners.includes(walletAddress) ? 'safe_owner' : null;
+}
+
+/**
+ * EIP-173: owner() is the wallet, or a Safe the wallet is an owner of
+ */
+async function checkOwnable(provider, contract, walletAddress) {
+    const owner = await tryCall(contract, 'owner');
+    if (!owner || owner === ethers.constants.AddressZero) {
+        return { check: 'owner', supported: !!owner, passed: false, detail: null };
+    }
+
+    const match = await matchHolder(provider, owner, walletAddress);
+    return {
+        check: match === 'safe_owner' ? 'owner_safe' : 'owner',
+        supported: true,
+        passed: !!match,
+        detail: { owner: owner.toLowerCase() }
+    };
+}
+
+/**
+ * AccessControl: hasRole(DEFAULT_ADMIN_ROLE, wallet), or an enumerable admin
+ * member that is a Safe the wallet is an owner of
+ */
+async function checkAccessControl(provider, contract, walletAddress) {
+    const hasRole = await tryCall(contract, 'hasRole', [DEFAULT_ADMIN_ROLE, walletAddress]);
+    if (hasRole === null) {
+        return { check: 'default_admin_role', supported: false, passed: false, detail: null };
+    }
+    if (hasRole) {
+        return { check: 'default_admin_role', supported: true, passed: true, detail: { member: walletAddress } };
+    }
+
+    // AccessControlEnumerable lets us find Safe admins the wallet controls
+    const memberCount = await tryCall(contract, 'getRoleMemberCount', [DEFAULT_ADMIN_ROLE]);
+    const count = memberCount ? Math.min(memberCount.toNumber(), MAX_ROLE_MEMBERS) : 0;
+
+    for (let i = 0; i < count; i++) {
+        const member = await tryCall(contract, 'getRoleMember', [DEFAULT_ADMIN_ROLE, i]);
+        if (member && await matchHolder(provider, member, walletAddress) === 'safe_owner') {
+            return {
+                check: 'default_admin_role_safe',
+                supported: true,
+                passed: true,
+                detail: { member: member.toLowerCase() }
+            };
+        }
+    }
+
+    return { check: 'default_admin_role', supported: true, passed: false, detail: { memberCount: count } };
+}
+
+/**
+ * Safe: the registered contract is itself a Safe and the wallet is one of its owners
+ */
+async function checkSafe(provider, contractAddress, walletAddress) {
+    const owners = await getSafeOwners(provider, contractAddress);
+    return {
+        check: 'safe_owner',
+        supported: owners !== null,
+        passed: owners !== null && owners.includes(walletAddress),
+        detail: owners ? { owners } : null
+    };
+}
+
+/**
+ * Collect ownership evidence for a contract.
+ * Returns { verified, passedChecks, checks } where `checks` lists every check that ran.
+ */
+async function collectOwnershipEvidence(provider, contractAddress, walletAddress) {
+    const normalizedContract = contractAddress.toLowerCase();
+    const normalizedWallet = walletAddress.toLowerCase();
+    const contract = new ethers.Contract(normalizedContract, OWNERSHIP_ABI, provider);
+
+    const runs = {
+        owner: checkOwnable(provider, contract, normalizedWallet),
+        default_admin_role: checkAccessControl(provider, contract, normalizedWallet),
+        safe_owner: checkSafe(provider, normalizedContract, normalizedWallet)
+    };
+
+    // An RPC failure in one check shouldn't hide evidence from the others
+    const checks = await Promise.all(Object.entries(runs).map(([name, promise]) => promise.catch(error => ({
+        check: name,
+        supported: false,
+        passed: false,
+        detail: { error: error.message }
+    }))));
+
+    const passedChecks = checks.filter(check => check.passed).map(check => check.check);
+
+    return {
+        verified: passedChecks.length > 0,
+        passedChecks,
+        checks
+    };
+}
+
+module.exports = {
+    collectOwnershipEvidence
+};
@@ -0,0 +1,140 @@
+// ============================================
+// Proxy Detection
+// ============================================
+// Detects upgradeable proxies and minimal clones by reading well-known storage
+// slots and bytecode patterns, and resolves the implementation contract.
+
+const ethers = require('ethers');
+
+// bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+// bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+const EIP1967_ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+// bytes32(uint256(keccak256('eip1967.proxy.beacon')) - 1)
+const EIP1967_BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+// keccak256('PROXIABLE') - legacy EIP-1822 slot
+const EIP1822_PROXIABLE_SLOT = '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7';
+
+// EIP-1167 minimal proxy runtime code: 363d3d373d3d3d363d73<address>5af43d82803e903d91602b57fd5bf3
+const EIP1167_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/;
+
+const PROXY_ABI = [
+    'function implementation() view returns (address)',
+    'function proxiableUUID() view returns (bytes32)'
+];
+
+const PROXY_TYPES = {
+    EIP1967: 'eip1967',
+    TRANSPARENT: 'transparent',
+    UUPS: 'uups',
+    EIP1822: 'eip1822',
+    BEACON: 'beacon',
+    EIP1167: 'eip1167'
+};
+
+/**
+ * Read an address stored in a storage slot. Returns null for an empty slot.
+ */
+async function readAddressSlot(provider, address, slot) {
+    const value = await provider.getStorageAt(address, slot);
+    const slotAddress = ethers.utils.hexDataSlice(ethers.utils.hexZeroPad(value, 32), 12);
+    return slotAddress === ethers.constants.AddressZero ? null : slotAddress.toLowerCase();
+}
+
+/**
+ * Call a view function, returning null if the contract doesn't implement it
+ */
+async function tryCall(contract, method) {
+    try {
+        return await contract[method]();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Detect whether a contract is a proxy.
+ * Returns { isProxy, proxyType, implementationAddress, adminAddress, beaconAddress }.
+ */
+async function detectProxy(provider, contractAddress) {
+    const address = contractAddress.toLowerCase();
+    const result = {
+        isProxy: false,
+        proxyType: null,
+        implementationAddress: null,
+        adminAddress: null,
+        beaconAddress: null
+    };
+
+    // EIP-1167 minimal clones are recognised from bytecode alone
+    const code = (await provider.getCode(address)).toLowerCase();
+    const cloneMatch = code.match(EIP1167_PATTERN);
+    if (cloneMatch) {
+        return {
+            ...result,
+            isProxy: true,
+            proxyType: PROXY_TYPES.EIP1167,
+            implementationAddress: `0x${cloneMatch[1]}`
+        };
+    }
+
+    const [implementation, admin, beacon, proxiable] = await Promise.all([
+        readAddressSlot(provider, address, EIP1967_IMPLEMENTATION_SLOT),
+        readAddressSlot(provider, address, EIP1967_ADMIN_SLOT),
+        readAddressSlot(provider, address, EIP1967_BEACON_SLOT),
+        readAddressSlot(provider, address, EIP1822_PROXIABLE_SLOT)
+    ]);
+
+    if (implementation) {
+        let proxyType = PROXY_TYPES.EIP1967;
+
+        if (admin) {
+            // Transparent proxies keep an admin (usually a ProxyAdmin contract) in the admin slot
+            proxyType = PROXY_TYPES.TRANSPARENT;
+        } else {
+            // UUPS implementations expose proxiableUUID() returning the implementation slot
+            const implementationContract = new ethers.Contract(implementation, PROXY_ABI, provider);
+            const uuid = await tryCall(implementationContract, 'proxiableUUID');
+            if (uuid && uuid.toLowerCase() === EIP1967_IMPLEMENTATION_SLOT) {
+                proxyType = PROXY_TYPES.UUPS;
+            }
+        }
+
+        return {
+            ...result,
+            isProxy: true,
+            proxyType,
+            implementationAddress: implementation,
+            adminAddress: admin
+        };
+    }
+
+    if (beacon) {
+        const beaconContract = new ethers.Contract(beacon, PROXY_ABI, provider);
+        const beaconImplementation = await tryCall(beaconContract, 'implementation');
+
+        return {
+            ...result,
+            isProxy: true,
+            proxyType: PROXY_TYPES.BEACON,
+            implementationAddress: beaconImplementation ? beaconImplementation.toLowerCase() : null,
+            beaconAddress: beacon
+        };
+    }
+
+    if (proxiable) {
+        return {
+            ...result,
+            isProxy: true,
+            proxyType: PROXY_TYPES.EIP1822,
+            implementationAddress: proxiable
+        };
+    }
+
+    return result;
+}
+
+module.exports = {
+    PROXY_TYPES,
+    detectProxy
+};
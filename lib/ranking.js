@@ -0,0 +1,302 @@
+// ============================================
+// Ranking Engine
+// ============================================
+// Every leaderboard ranking is a formula over a project's stats:
+//
+//   {
+//     label: 'Overall',
+//     terms: [{ metric: 'totalTransactions', weight: 1, scale: 'linear' }, ...],
+//     minimums: { uniqueWallets: 10 },            // below any minimum the project is unranked
+//     decayHalfLifeDays: 30,                       // optional: halve the score per 30 idle days
+//     tieBreakers: [{ metric: 'uniqueWallets', order: 'desc' }]
+//   }
+//
+// The score is the sum of weight × value (or weight × log10(1 + value) for 'log'
+// terms). Projects are ranked by score, then by the tie-breakers, then by wallet
+// address so ranks are stable. A project missing a term's metric (e.g. growth
+// with no previous week) is unranked.
+
+const WEI_PER_ETH = 1e18;
+const DAY_SECONDS = 24 * 60 * 60;
+
+const windowValue = (window, field) => stats => {
+    const value = stats.activity_windows?.[window]?.[field];
+    return value === undefined ? null : value;
+};
+
+const numberOrNull = value => (value === null || value === undefined ? null : Number(value));
+
+// Metrics formulas can use, read from a project_stats row
+const RANKING_METRICS = {
+    totalTransactions: stats => Number(stats.total_transactions || 0),
+    transactionsLast12h: stats => Number(stats.transactions_last_12h || 0),
+    uniqueWallets: stats => Number(stats.unique_wallets || 0),
+    walletsLast12h: stats => Number(stats.wallets_last_12h || 0),
+    transactions24h: windowValue('24h', 'transactions'),
+    transactions7d: windowValue('7d', 'transactions'),
+    transactions30d: windowValue('30d', 'transactions'),
+    wallets7d: windowValue('7d', 'wallets'),
+    wallets30d: windowValue('30d', 'wallets'),
+    transactionGrowth7d: windowValue('7d', 'transactionGrowth'),
+    walletGrowth7d: windowValue('7d', 'walletGrowth'),
+    directTransactions: stats => Number(stats.direct_transactions || 0),
+    tokenTransfers: stats => Number(stats.token_transfers || 0),
+    internalTransactions: stats => Number(stats.internal_transactions || 0),
+    gasUsed: stats => Number(stats.gas_used || 0),
+    fees: stats => Number(stats.fees_wei || 0) / WEI_PER_ETH,
+    failureRate: stats => numberOrNull(stats.failure_rate),
+    qualityScore: stats => numberOrNull(stats.quality_score),
+    suspicionScore: stats => Number(stats.suspicion_score || 0)
+};
+
+const SCALES = ['linear', 'log'];
+const ORDERS = ['desc', 'asc'];
+const MAX_TERMS = 10;
+const MAX_TIE_BREAKERS = 5;
+const RANKING_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,29}$/;
+
+// Built-in rankings; the leaderboard tabs use these names as sort keys
+const DEFAULT_FORMULAS = {
+    overall: {
+        label: 'Overall',
+        terms: [
+            { metric: 'totalTransactions', weight: 1, scale: 'linear' },
+            { metric: 'uniqueWallets', weight: 5, scale: 'linear' }
+        ],
+        minimums: {},
+        decayHalfLifeDays: null,
+        tieBreakers: [{ metric: 'uniqueWallets', order: 'desc' }]
+    },
+    transactions: {
+        label: 'Transactions',
+        terms: [{ metric: 'totalTransactions', weight: 1, scale: 'linear' }],
+        minimums: {},
+        decayHalfLifeDays: null,
+        tieBreakers: [{ metric: 'uniqueWallets', order: 'desc' }]
+    },
+    wallets: {
+        label: 'Unique Wallets',
+        terms: [{ metric: 'uniqueWallets', weight: 1, scale: 'linear' }],
+        minimums: {},
+        decayHalfLifeDays: null,
+        tieBreakers: [{ metric: 'totalTransactions', order: 'desc' }]
+    },
+    momentum: {
+        label: 'Trending (7d)',
+        terms: [{ metric: 'transactionGrowth7d', weight: 1, scale: 'linear' }],
+        minimums: {},
+        decayHalfLifeDays: null,
+        tieBreakers: [{ metric: 'transactions7d', order: 'desc' }]
+    },
+    quality: {
+        label: 'Quality-Adjusted',
+        terms: [{ metric: 'qualityScore', weight: 1, scale: 'linear' }],
+        minimums: {},
+        decayHalfLifeDays: null,
+        tieBreakers: [{ metric: 'suspicionScore', order: 'asc' }]
+    },
+    fees: {
+        label: 'Fees Generated',
+        terms: [{ metric: 'fees', weight: 1, scale: 'linear' }],
+        minimums: {},
+        decayHalfLifeDays: null,
+        tieBreakers: [{ metric: 'totalTransactions', order: 'desc' }]
+    },
+    gas: {
+        label: 'Gas Used',
+        terms: [{ metric: 'gasUsed', weight: 1, scale: 'linear' }],
+        minimums: {},
+        decayHalfLifeDays: null,
+        tieBreakers: [{ metric: 'totalTransactions', order: 'desc' }]
+    },
+    failureRate: {
+        label: 'Lowest Failure Rate',
+        terms: [{ metric: 'failureRate', weight: -1, scale: 'linear' }],
+        minimums: {},
+        decayHalfLifeDays: null,
+        tieBreakers: [{ metric: 'totalTransactions', order: 'desc' }]
+    }
+};
+
+/**
+ * Thrown for an invalid ranking name or formula. `message` is safe to show the admin.
+ */
+class RankingFormulaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RankingFormulaError';
+    }
+}
+
+function assertMetric(metric, where) {
+    if (!Object.prototype.hasOwnProperty.call(RANKING_METRICS, metric)) {
+        throw new RankingFormulaError(`${where}: unknown metric "${metric}". Available: ${Object.keys(RANKING_METRICS).join(', ')}`);
+    }
+}
+
+function assertNumber(value, where) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new RankingFormulaError(`${where} must be a number`);
+    }
+}
+
+function validateRankingName(name) {
+    if (typeof name !== 'string' || !RANKING_NAME_PATTERN.test(name)) {
+        throw new RankingFormulaError('Ranking name must start with a letter and contain only letters, numbers and underscores (max 30)');
+    }
+    return name;
+}
+
+/**
+ * Check a formula and return it with defaults filled in
+ */
+function validateFormula(formula) {
+    if (!formula || typeof formula !== 'object' || Array.isArray(formula)) {
+        throw new RankingFormulaError('Formula must be an object');
+    }
+
+    const label = typeof formula.label === 'string' ? formula.label.trim() : '';
+    if (label.length === 0 || label.length > 50) {
+        throw new RankingFormulaError('label is required (max 50 characters)');
+    }
+
+    if (!Array.isArray(formula.terms) || formula.terms.length === 0 || formula.terms.length > MAX_TERMS) {
+        throw new RankingFormulaError(`terms must be a list of 1-${MAX_TERMS} terms`);
+    }
+    const terms = formula.terms.map((term, index) => {
+        const where = `terms[${index}]`;
+        assertMetric(term?.metric, where);
+        const weight = term.weight === undefined ? 1 : term.weight;
+        assertNumber(weight, `${where}.weight`);
+        const scale = term.scale || 'linear';
+        if (!SCALES.includes(scale)) {
+            throw new RankingFormulaError(`${where}.scale must be one of: ${SCALES.join(', ')}`);
+        }
+        return { metric: term.metric, weight, scale };
+    });
+
+    const minimums = {};
+    if (formula.minimums !== undefined && formula.minimums !== null) {
+        if (typeof formula.minimums !== 'object' || Array.isArray(formula.minimums)) {
+            throw new RankingFormulaError('minimums must map metrics to minimum values');
+        }
+        for (const [metric, minimum] of Object.entries(formula.minimums)) {
+            assertMetric(metric, 'minimums');
+            assertNumber(minimum, `minimums.${metric}`);
+            minimums[metric] = minimum;
+        }
+    }
+
+    const decayHalfLifeDays = formula.decayHalfLifeDays === undefined ? null : formula.decayHalfLifeDays;
+    if (decayHalfLifeDays !== null) {
+        assertNumber(decayHalfLifeDays, 'decayHalfLifeDays');
+        if (decayHalfLifeDays <= 0) {
+            throw new RankingFormulaError('decayHalfLifeDays must be positive (or null for no decay)');
+        }
+    }
+
+    const tieBreakers = formula.tieBreakers || [];
+    if (!Array.isArray(tieBreakers) || tieBreakers.length > MAX_TIE_BREAKERS) {
+        throw new RankingFormulaError(`tieBreakers must be a list of at most ${MAX_TIE_BREAKERS} entries`);
+    }
+
+    return {
+        label,
+        terms,
+        minimums,
+        decayHalfLifeDays,
+        tieBreakers: tieBreakers.map((tieBreaker, index) => {
+            assertMetric(tieBreaker?.metric, `tieBreakers[${index}]`);
+            const order = tieBreaker.order || 'desc';
+            if (!ORDERS.includes(order)) {
+                throw new RankingFormulaError(`tieBreakers[${index}].order must be one of: ${ORDERS.join(', ')}`);
+            }
+            return { metric: tieBreaker.metric, order };
+        })
+    };
+}
+
+/**
+ * Score one project_stats row, or null when it is unranked
+ */
+function scoreProject(formula, stats, nowTimestamp) {
+    for (const [metric, minimum] of Object.entries(formula.minimums)) {
+        const value = RANKING_METRICS[metric](stats);
+        if (value === null || value < minimum) return null;
+    }
+
+    let score = 0;
+    for (const term of formula.terms) {
+        const value = RANKING_METRICS[term.metric](stats);
+        if (value === null) return null;
+        score += term.weight * (term.scale === 'log' ? Math.log10(1 + Math.max(0, value)) : value);
+    }
+
+    if (formula.decayHalfLifeDays) {
+        // Projects with no indexed activity decay as if idle since the epoch
+        const idleDays = Math.max(0, nowTimestamp - (Number(stats.last_activity_at) || 0)) / DAY_SECONDS;
+        score *= Math.pow(0.5, idleDays / formula.decayHalfLifeDays);
+    }
+    return score;
+}
+
+// The quality-adjusted score is this ranking's formula applied to discounted stats
+const QUALITY_BASE_RANKING = 'overall';
+
+/**
+ * A project_stats row with sybil-flagged activity taken out: each suspicious wallet
+ * and its calls count only for the part of them that isn't suspicious (see lib/sybil.js)
+ */
+function discountFlaggedActivity(stats) {
+    const flaggedTransactions = Number(stats.flagged_transactions || 0);
+    const discountedWallets = Number(stats.discounted_wallets || 0);
+    return {
+        ...stats,
+        total_transactions: Math.max(0, Number(stats.total_transactions || 0) - flaggedTransactions),
+        direct_transactions: Math.max(0, Number(stats.direct_transactions || 0) - flaggedTransactions),
+        unique_wallets: Math.max(0, Number(stats.unique_wallets || 0) - discountedWallets)
+    };
+}
+
+/**
+ * Quality-adjusted score of a project_stats row with the QUALITY_BASE_RANKING formula, or null when unranked
+ */
+function qualityScore(formula, stats, nowTimestamp) {
+    return scoreProject(formula, discountFlaggedActivity(stats), nowTimestamp);
+}
+
+/**
+ * Rank project_stats rows with a validated formula.
+ * Returns [{ walletAddress, score, rank }] in rank order, unranked projects last with score and rank null.
+ */
+function rankProjects(formula, rows, nowTimestamp) {
+    const scored = rows.map(stats => ({ stats, walletAddress: stats.wallet_address, score: scoreProject(formula, stats, nowTimestamp) }));
+    const ranked = scored.filter(entry => entry.score !== null);
+    const unranked = scored.filter(entry => entry.score === null);
+
+    ranked.sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        for (const { metric, order } of formula.tieBreakers) {
+            const left = RANKING_METRICS[metric](a.stats) ?? -Infinity;
+            const right = RANKING_METRICS[metric](b.stats) ?? -Infinity;
+            if (left !== right) return order === 'desc' ? right - left : left - right;
+        }
+        return a.walletAddress.localeCompare(b.walletAddress);
+    });
+
+    return [
+        ...ranked.map((entry, index) => ({ walletAddress: entry.walletAddress, score: entry.score, rank: index + 1 })),
+        ...unranked.map(entry => ({ walletAddress: entry.walletAddress, score: null, rank: null }))
+    ];
+}
+
+module.exports = {
+    RANKING_METRICS,
+    DEFAULT_FORMULAS,
+    QUALITY_BASE_RANKING,
+    RankingFormulaError,
+    validateRankingName,
+    validateFormula,
+    rankProjects,
+    qualityScore
+};
@@ -0,0 +1,256 @@
+// ============================================
+// RPC Activity Source
+// ============================================
+// Finds transactions touching a set of contracts using only a JSON-RPC node:
+// direct calls come from scanning block bodies, and calls made through other
+// contracts (routers, multicalls) from the contracts' event logs. The same logs
+// give the token transfers the contracts emitted, and trace_filter (where the
+// node supports it) gives internal transactions.
+// Results use the same shapes as the explorer APIs so both sources index alike.
+
+const ethers = require('ethers');
+
+// Blocks fetched in parallel while scanning
+const BLOCK_FETCH_CONCURRENCY = 10;
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const TRANSFER_SINGLE_TOPIC = ethers.utils.id('TransferSingle(address,address,address,uint256,uint256)');
+const TRANSFER_BATCH_TOPIC = ethers.utils.id('TransferBatch(address,address,address,uint256[],uint256[])');
+
+// Nodes without trace_filter are only reported once
+let traceFilterUnsupported = false;
+
+/**
+ * Find the block a contract was deployed in by binary searching eth_getCode.
+ * Needs historical state (an archive node or a fork of one).
+ */
+async function findDeploymentBlock(provider, contractAddress, headBlock) {
+    const code = await provider.getCode(contractAddress, headBlock);
+    if (code === '0x') return null;
+
+    let low = 0;
+    let high = headBlock;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if ((await provider.getCode(contractAddress, mid)) === '0x') {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+/**
+ * Convert an ethers transaction and its raw receipt to the Basescan txlist shape
+ */
+function toTxlistEntry(tx, block, receipt) {
+    return {
+        hash: tx.hash,
+        blockNumber: String(block.number),
+        blockHash: block.hash.toLowerCase(),
+        timeStamp: String(block.timestamp),
+        from: tx.from,
+        to: tx.to || '',
+        value: tx.value.toString(),
+        isError: receipt.status === '0x0' ? '1' : '0',
+        methodId: tx.data && tx.data.length >= 10 ? tx.data.slice(0, 10) : '0x',
+        gasUsed: ethers.BigNumber.from(receipt.gasUsed).toString(),
+        // Legacy transactions pay their gasPrice; EIP-1559 receipts carry the effective price
+        gasPrice: ethers.BigNumber.from(receipt.effectiveGasPrice || tx.gasPrice || 0).toString()
+    };
+}
+
+const topicAddress = topic => ethers.utils.hexDataSlice(topic, 12).toLowerCase();
+
+/**
+ * Decode ERC-20/721 Transfer and ERC-1155 TransferSingle/TransferBatch logs.
+ * Returns transfers shaped { hash, logIndex, batchIndex, blockNumber, blockHash, standard, from, to, tokenId, value },
+ * or [] for other logs.
+ */
+function decodeTransferLog(log) {
+    const base = {
+        hash: log.transactionHash.toLowerCase(),
+        logIndex: parseInt(log.logIndex, 16),
+        blockNumber: parseInt(log.blockNumber, 16),
+        blockHash: log.blockHash.toLowerCase()
+    };
+    const [topic0] = log.topics;
+
+    if (topic0 === TRANSFER_TOPIC && log.topics.length === 3) {
+        return [{ ...base, batchIndex: 0, standard: 'erc20', from: topicAddress(log.topics[1]), to: topicAddress(log.topics[2]), tokenId: null, value: ethers.BigNumber.from(log.data).toString() }];
+    }
+    if (topic0 === TRANSFER_TOPIC && log.topics.length === 4) {
+        return [{ ...base, batchIndex: 0, standard: 'erc721', from: topicAddress(log.topics[1]), to: topicAddress(log.topics[2]), tokenId: ethers.BigNumber.from(log.topics[3]).toString(), value: '1' }];
+    }
+    if (topic0 === TRANSFER_SINGLE_TOPIC) {
+        const [id, value] = ethers.utils.defaultAbiCoder.decode(['uint256', 'uint256'], log.data);
+        return [{ ...base, batchIndex: 0, standard: 'erc1155', from: topicAddress(log.topics[2]), to: topicAddress(log.topics[3]), tokenId: id.toString(), value: value.toString() }];
+    }
+    if (topic0 === TRANSFER_BATCH_TOPIC) {
+        const [ids, values] = ethers.utils.defaultAbiCoder.decode(['uint256[]', 'uint256[]'], log.data);
+        return ids.map((id, index) => ({
+            ...base,
+            batchIndex: index,
+            standard: 'erc1155',
+            from: topicAddress(log.topics[2]),
+            to: topicAddress(log.topics[3]),
+            tokenId: id.toString(),
+            value: values[index].toString()
+        }));
+    }
+    return [];
+}
+
+/**
+ * Internal calls to or from the contracts via trace_filter (Erigon, Nethermind, Reth).
+ * Returns null when the node doesn't support it.
+ */
+async function fetchInternalTraces(provider, contracts, fromBlock, toBlock) {
+    if (traceFilterUnsupported) return null;
+
+    const range = { fromBlock: ethers.utils.hexValue(fromBlock), toBlock: ethers.utils.hexValue(toBlock) };
+    let traces;
+    try {
+        // Two queries, since nodes disagree on whether from + to filters are ANDed or ORed
+        const [toTraces, fromTraces] = await Promise.all([
+            provider.send('trace_filter', [{ ...range, toAddress: contracts }]),
+            provider.send('trace_filter', [{ ...range, fromAddress: contracts }])
+        ]);
+        // A call between two of the contracts is returned by both queries
+        const unique = new Map();
+        [...toTraces, ...fromTraces].forEach(trace => unique.set(`${trace.transactionHash}:${trace.traceAddress.join('_')}`, trace));
+        traces = [...unique.values()];
+    } catch (error) {
+        if (/not (found|supported|available)|does not exist|unknown method/i.test(error.message || '')) {
+            console.warn(`⚠️  trace_filter unavailable (${error.message}) - internal transactions won't be indexed from RPC`);
+            traceFilterUnsupported = true;
+            return null;
+        }
+        throw error;
+    }
+
+    // Top-level calls are the transactions themselves; only nested calls are internal
+    return traces.filter(trace => trace.type === 'call' && trace.traceAddress.length > 0);
+}
+
+/**
+ * Fetch blocks with their transactions, a few at a time
+ */
+async function fetchBlocks(provider, blockNumbers) {
+    const blocks = [];
+    for (let i = 0; i < blockNumbers.length; i += BLOCK_FETCH_CONCURRENCY) {
+        const batch = blockNumbers.slice(i, i + BLOCK_FETCH_CONCURRENCY);
+        blocks.push(...await Promise.all(batch.map(number => provider.getBlockWithTransactions(number))));
+    }
+    return blocks;
+}
+
+/**
+ * Fetch raw receipts for the given transaction hashes, a few at a time
+ */
+async function fetchReceipts(provider, hashes) {
+    const receipts = new Map(); // tx hash -> receipt
+    for (let i = 0; i < hashes.length; i += BLOCK_FETCH_CONCURRENCY) {
+        const batch = hashes.slice(i, i + BLOCK_FETCH_CONCURRENCY);
+        const results = await Promise.all(batch.map(hash => provider.send('eth_getTransactionReceipt', [hash])));
+        batch.forEach((hash, index) => receipts.set(hash, results[index]));
+    }
+    return receipts;
+}
+
+/**
+ * Collect activity of `contractAddresses` between `fromBlock` and `toBlock` (inclusive).
+ * Returns a Map of lowercase contract address -> { transactions, transfers, internal, internalIndexed },
+ * where transactions are txlist-shaped, transfers come from decodeTransferLog, internal calls are
+ * txlistinternal-shaped, and internalIndexed is false when the node has no trace_filter.
+ */
+async function scanContractActivity(provider, contractAddresses, fromBlock, toBlock) {
+    const contracts = new Set(contractAddresses.map(address => address.toLowerCase()));
+    const activity = new Map([...contracts].map(address => [address, {
+        transactions: [],
+        transfers: [],
+        internal: [],
+        internalIndexed: true
+    }]));
+
+    // Transactions whose logs show they went through one of the contracts
+    const logs = await provider.send('eth_getLogs', [{
+        address: [...contracts],
+        fromBlock: ethers.utils.hexValue(fromBlock),
+        toBlock: ethers.utils.hexValue(toBlock)
+    }]);
+    const emitters = new Map(); // tx hash -> Set of contracts that emitted logs
+    const transfers = []; // [contract, decoded transfer]
+    logs.forEach(log => {
+        const hash = log.transactionHash.toLowerCase();
+        const emitter = log.address.toLowerCase();
+        if (!emitters.has(hash)) emitters.set(hash, new Set());
+        emitters.get(hash).add(emitter);
+        decodeTransferLog(log).forEach(transfer => transfers.push([emitter, transfer]));
+    });
+
+    const traces = await fetchInternalTraces(provider, [...contracts], fromBlock, toBlock);
+
+    const blockNumbers = [];
+    for (let number = fromBlock; number <= toBlock; number++) {
+        blockNumbers.push(number);
+    }
+
+    const timestamps = new Map(); // block number -> timestamp
+    const matched = []; // [tx, block, Set of contracts it touched]
+    for (const block of await fetchBlocks(provider, blockNumbers)) {
+        timestamps.set(block.number, block.timestamp);
+
+        for (const tx of block.transactions) {
+            const touched = new Set(emitters.get(tx.hash.toLowerCase()) || []);
+            if (tx.to && contracts.has(tx.to.toLowerCase())) {
+                touched.add(tx.to.toLowerCase());
+            }
+            if (tx.creates && contracts.has(tx.creates.toLowerCase())) {
+                touched.add(tx.creates.toLowerCase());
+            }
+            if (touched.size > 0) matched.push([tx, block, touched]);
+        }
+    }
+
+    // Receipts give the gas used, the price paid and whether the call reverted
+    const receipts = await fetchReceipts(provider, matched.map(([tx]) => tx.hash));
+    matched.forEach(([tx, block, touched]) => {
+        const entry = toTxlistEntry(tx, block, receipts.get(tx.hash));
+        touched.forEach(address => activity.get(address).transactions.push(entry));
+    });
+
+    transfers.forEach(([address, transfer]) => {
+        activity.get(address).transfers.push({ ...transfer, timeStamp: String(timestamps.get(transfer.blockNumber)) });
+    });
+
+    if (traces === null) {
+        activity.forEach(entry => { entry.internalIndexed = false; });
+    } else {
+        traces.forEach(trace => {
+            const entry = {
+                hash: trace.transactionHash.toLowerCase(),
+                traceId: trace.traceAddress.join('_'),
+                blockNumber: String(trace.blockNumber),
+                blockHash: trace.blockHash ? trace.blockHash.toLowerCase() : null,
+                timeStamp: String(timestamps.get(trace.blockNumber)),
+                from: trace.action.from.toLowerCase(),
+                to: (trace.action.to || '').toLowerCase(),
+                value: ethers.BigNumber.from(trace.action.value || 0).toString(),
+                type: trace.action.callType || 'call',
+                isError: trace.error ? '1' : '0'
+            };
+            // A call between two of the contracts belongs to both
+            new Set([entry.from, entry.to].filter(address => contracts.has(address)))
+                .forEach(address => activity.get(address).internal.push(entry));
+        });
+    }
+
+    return activity;
+}
+
+module.exports = {
+    findDeploymentBlock,
+    scanContractActivity
+};
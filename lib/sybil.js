@@ -0,0 +1,223 @@
+// ============================================
+// Sybil and Wash-Trading Detection
+// ============================================
+// Flags wallets whose activity on a project looks scripted, from indexed
+// contract_transactions, contract_token_transfers and wallet_funding:
+//   funding_cluster  many of the project's wallets were first funded by the same address
+//   call_pattern     many wallets made the exact same sequence of calls
+//   value_loop       repeated tiny-value calls, or tokens sent back and forth between two wallets
+//   burst            many wallets made their first call within the same short window
+// Each signal adds its weight to a wallet's suspicion (capped at 1), and the
+// project's flagged activity is discounted by that suspicion.
+
+const { SYSTEM_ADDRESSES } = require('./metrics');
+
+const SIGNAL_WEIGHTS = {
+    funding_cluster: 0.5,
+    call_pattern: 0.3,
+    value_loop: 0.5,
+    burst: 0.2
+};
+
+const DEFAULT_THRESHOLDS = {
+    // Wallets sharing a funder or call pattern before they count as a cluster
+    minClusterSize: 5,
+    // Calls a wallet needs before its call sequence is compared with others
+    minPatternCalls: 3,
+    // Calls carrying more than 0 and at most this much ETH (wei) are "tiny"
+    dustWei: '10000000000000',
+    minTinyValueCalls: 5,
+    // Transfers each way between two wallets before it counts as a loop
+    minRoundTrips: 2,
+    burstSeconds: 60,
+    minBurstWallets: 10
+};
+
+/**
+ * SQL for a `calls` CTE of distinct (tx_hash, wallet, block_timestamp, method_id, value) rows.
+ * $1 is the project's contract addresses and $2 the system addresses.
+ */
+const CALLS_CTE = `
+    calls AS (
+        SELECT DISTINCT tx_hash, from_address AS wallet, block_timestamp, method_id, value
+        FROM contract_transactions
+        WHERE contract_address = ANY($1)
+          AND from_address IS NOT NULL
+          AND from_address <> ALL($1)
+          AND from_address <> ALL($2)
+    )
+`;
+
+async function findFundingClusters(db, params, thresholds) {
+    const result = await db.query(`
+        WITH ${CALLS_CTE}
+        SELECT f.funder_address AS funder, ARRAY_AGG(w.wallet ORDER BY w.wallet) AS wallets
+        FROM (SELECT DISTINCT wallet FROM calls) w
+        JOIN wallet_funding f ON f.wallet_address = w.wallet
+        WHERE f.funder_address IS NOT NULL AND f.funder_address <> ALL($2)
+        GROUP BY f.funder_address
+        HAVING COUNT(*) >= $3
+    `, [...params, thresholds.minClusterSize]);
+
+    return result.rows.flatMap(row => row.wallets.map(wallet => ({
+        wallet,
+        signal: 'funding_cluster',
+        evidence: { funder: row.funder, clusterSize: row.wallets.length }
+    })));
+}
+
+async function findCallPatterns(db, params, thresholds) {
+    const result = await db.query(`
+        WITH ${CALLS_CTE},
+        patterns AS (
+            SELECT wallet, COUNT(*) AS calls,
+                   STRING_AGG(COALESCE(method_id, '0x'), ',' ORDER BY block_timestamp, tx_hash) AS pattern
+            FROM calls
+            GROUP BY wallet
+            HAVING COUNT(*) >= $3
+        )
+        SELECT pattern, MIN(calls) AS calls, ARRAY_AGG(wallet ORDER BY wallet) AS wallets
+        FROM patterns
+        GROUP BY pattern
+        HAVING COUNT(*) >= $4
+    `, [...params, thresholds.minPatternCalls, thresholds.minClusterSize]);
+
+    return result.rows.flatMap(row => row.wallets.map(wallet => ({
+        wallet,
+        signal: 'call_pattern',
+        evidence: {
+            // The first few calls are enough to recognise the pattern
+            methods: row.pattern.split(',').slice(0, 10),
+            calls: parseInt(row.calls),
+            clusterSize: row.wallets.length
+        }
+    })));
+}
+
+async function findValueLoops(db, params, thresholds) {
+    const tinyValue = await db.query(`
+        WITH ${CALLS_CTE}
+        SELECT wallet, COUNT(*) AS tiny_calls, SUM(value) AS total_value
+        FROM calls
+        WHERE value > 0 AND value <= $3
+        GROUP BY wallet
+        HAVING COUNT(*) >= $4
+    `, [...params, thresholds.dustWei, thresholds.minTinyValueCalls]);
+
+    // Token transfers between two wallets in both directions
+    const roundTrips = await db.query(`
+        WITH pairs AS (
+            SELECT from_address, to_address, COUNT(*) AS transfers
+            FROM contract_token_transfers
+            WHERE contract_address = ANY($1)
+              AND from_address <> ALL($2) AND to_address <> ALL($2)
+              AND from_address <> ALL($1) AND to_address <> ALL($1)
+              AND from_address <> to_address
+            GROUP BY from_address, to_address
+            HAVING COUNT(*) >= $3
+        )
+        SELECT a.from_address AS wallet, a.to_address AS counterparty,
+               a.transfers AS sent, b.transfers AS received
+        FROM pairs a
+        JOIN pairs b ON b.from_address = a.to_address AND b.to_address = a.from_address
+    `, [...params, thresholds.minRoundTrips]);
+
+    return [
+        ...tinyValue.rows.map(row => ({
+            wallet: row.wallet,
+            signal: 'value_loop',
+            evidence: { tinyValueCalls: parseInt(row.tiny_calls), totalValueWei: row.total_value }
+        })),
+        ...roundTrips.rows.map(row => ({
+            wallet: row.wallet,
+            signal: 'value_loop',
+            evidence: { counterparty: row.counterparty, transfersSent: parseInt(row.sent), transfersReceived: parseInt(row.received) }
+        }))
+    ];
+}
+
+async function findBursts(db, params, thresholds) {
+    const result = await db.query(`
+        WITH ${CALLS_CTE},
+        first_calls AS (
+            SELECT wallet, MIN(block_timestamp) / $3 AS bucket
+            FROM calls
+            GROUP BY wallet
+        )
+        SELECT bucket * $3 AS window_start, ARRAY_AGG(wallet ORDER BY wallet) AS wallets
+        FROM first_calls
+        GROUP BY bucket
+        HAVING COUNT(*) >= $4
+    `, [...params, thresholds.burstSeconds, thresholds.minBurstWallets]);
+
+    return result.rows.flatMap(row => row.wallets.map(wallet => ({
+        wallet,
+        signal: 'burst',
+        evidence: {
+            windowStart: parseInt(row.window_start),
+            windowSeconds: thresholds.burstSeconds,
+            newWallets: row.wallets.length
+        }
+    })));
+}
+
+/**
+ * Run every detector over a project's contracts.
+ * Returns { flags, walletSuspicion, directTransactions, flaggedTransactions, suspicionScore }:
+ * flags are { wallet, signal, evidence } (a wallet can have several per signal),
+ * walletSuspicion maps each flagged wallet to 0-1, flaggedTransactions is the number of
+ * direct calls weighted by their sender's suspicion, and suspicionScore is that as a
+ * percentage of all direct calls.
+ */
+async function analyzeProject(db, contractAddresses, thresholds = {}) {
+    const options = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    const params = [contractAddresses.map(address => address.toLowerCase()), SYSTEM_ADDRESSES];
+
+    const flags = [
+        ...await findFundingClusters(db, params, options),
+        ...await findCallPatterns(db, params, options),
+        ...await findValueLoops(db, params, options),
+        ...await findBursts(db, params, options)
+    ];
+
+    const signalsByWallet = new Map(); // wallet -> Set of signals
+    flags.forEach(flag => {
+        if (!signalsByWallet.has(flag.wallet)) signalsByWallet.set(flag.wallet, new Set());
+        signalsByWallet.get(flag.wallet).add(flag.signal);
+    });
+
+    const walletSuspicion = new Map();
+    signalsByWallet.forEach((signals, wallet) => {
+        const weight = [...signals].reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal], 0);
+        walletSuspicion.set(wallet, Math.min(1, weight));
+    });
+
+    const counts = await db.query(`
+        WITH ${CALLS_CTE}
+        SELECT wallet, COUNT(*) AS calls
+        FROM calls
+        GROUP BY wallet
+    `, params);
+
+    let directTransactions = 0;
+    let flaggedTransactions = 0;
+    counts.rows.forEach(row => {
+        const calls = parseInt(row.calls);
+        directTransactions += calls;
+        flaggedTransactions += calls * (walletSuspicion.get(row.wallet) || 0);
+    });
+
+    return {
+        flags,
+        walletSuspicion,
+        directTransactions,
+        flaggedTransactions: Math.round(flaggedTransactions),
+        suspicionScore: directTransactions > 0 ? Math.round((flaggedTransactions / directTransactions) * 10000) / 100 : 0
+    };
+}
+
+module.exports = {
+    SIGNAL_WEIGHTS,
+    DEFAULT_THRESHOLDS,
+    analyzeProject
+};
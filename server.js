@@ -6,8 +6,15 @@ const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
 const ethers = require('ethers');
-const axios = require('axios');
 const cron = require('node-cron');
+const crypto = require('crypto');
+const { collectOwnershipEvidence } = require('./lib/ownership');
+const { detectProxy } = require('./lib/proxy');
+const { findDeploymentBlock, scanContractActivity } = require('./lib/rpcSource');
+const { createChainClient } = require('./lib/chainProviders');
+const metrics = require('./lib/metrics');
+const sybil = require('./lib/sybil');
+const ranking = require('./lib/ranking');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,10 +23,82 @@ const PORT = process.env.PORT || 3000;
 // Environment Variables
 // ============================================
 const BASE_RPC_URL = process.env.BASE_RPC_URL || 'https://mainnet.base.org';
+// Extra node URLs tried in order when BASE_RPC_URL fails (comma-separated)
+const BASE_RPC_FALLBACK_URLS = (process.env.BASE_RPC_FALLBACK_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
 const BASESCAN_API_KEY = process.env.BASESCAN_API_KEY;
+// Etherscan API V2 key (one key for every chain, queried with chainid=CHAIN_ID)
+const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY;
+// Alchemy-style keyed RPC endpoint
+const ALCHEMY_RPC_URL = process.env.ALCHEMY_RPC_URL ||
+    (process.env.ALCHEMY_API_KEY ? `https://base-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}` : null);
+const CHAIN_ID = parseInt(process.env.CHAIN_ID) || 8453;
+// Failover order of chain data providers: basescan, etherscan, rpc, alchemy
+const CHAIN_PROVIDERS = (process.env.CHAIN_PROVIDERS || 'basescan,etherscan,rpc,alchemy')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+// Where contract activity comes from: 'basescan' (explorer txlist API) or 'rpc' (blocks and logs from the RPC providers).
+// Defaults to the explorer when an API key is configured.
+const CHAIN_DATA_SOURCE = (process.env.CHAIN_DATA_SOURCE || (BASESCAN_API_KEY || ETHERSCAN_API_KEY ? 'basescan' : 'rpc')).toLowerCase();
+// Activity types counted in total_transactions and the leaderboard: transactions, token_transfers, internal.
+// All types are indexed and counted separately either way.
+const LEADERBOARD_ACTIVITY_TYPES = (process.env.LEADERBOARD_ACTIVITY_TYPES || 'transactions')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
 const ADMIN_WALLET = process.env.ADMIN_WALLET?.toLowerCase() || '0xb0dfc6ca6aafd3b0719949aa029d30d79fed30a4'.toLowerCase();
 const DATABASE_URL = process.env.DATABASE_URL;
 const NODE_ENV = process.env.NODE_ENV || 'production';
+// Secret used to sign admin session tokens. If not set, a random one is generated
+// on startup, which means sessions are invalidated whenever the server restarts.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+// Comma-separated list of domains allowed in SIWE messages (e.g. "builderhub.xyz,localhost:5500").
+// Required in production; elsewhere sign-ins from the serving host and localhost are accepted.
+const SIWE_ALLOWED_DOMAINS = (process.env.SIWE_ALLOWED_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+
+if (!['basescan', 'rpc'].includes(CHAIN_DATA_SOURCE)) {
+    console.error(`❌ Unknown CHAIN_DATA_SOURCE "${CHAIN_DATA_SOURCE}" - expected "basescan" or "rpc"`);
+    process.exit(1);
+}
+
+// ============================================
+// Chain Data Providers
+// ============================================
+// Every explorer and RPC call goes through this client (rate limits, retries, failover, cache)
+const chainData = createChainClient({
+    chainId: CHAIN_ID,
+    order: CHAIN_PROVIDERS,
+    explorerKeys: { basescan: BASESCAN_API_KEY, etherscan: ETHERSCAN_API_KEY },
+    rpcUrls: [BASE_RPC_URL, ...BASE_RPC_FALLBACK_URLS],
+    alchemyUrl: ALCHEMY_RPC_URL,
+    explorerRequestsPerSecond: parseFloat(process.env.EXPLORER_REQUESTS_PER_SECOND) || 5,
+    rpcRequestsPerSecond: parseFloat(process.env.RPC_REQUESTS_PER_SECOND) || 25
+});
+
+if (CHAIN_DATA_SOURCE === 'basescan' && !chainData.hasExplorer) {
+    console.warn('⚠️  CHAIN_DATA_SOURCE is basescan but no explorer API key is set - activity indexing will fail');
+}
+
+const unknownActivityType = LEADERBOARD_ACTIVITY_TYPES.find(type => !['transactions', 'token_transfers', 'internal'].includes(type));
+if (unknownActivityType || LEADERBOARD_ACTIVITY_TYPES.length === 0) {
+    console.error(`❌ Invalid LEADERBOARD_ACTIVITY_TYPES "${process.env.LEADERBOARD_ACTIVITY_TYPES}" - expected a list of transactions, token_transfers, internal`);
+    process.exit(1);
+}
+
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️  SESSION_SECRET not set - admin sessions will not survive a server restart');
+}
+
+if (SIWE_ALLOWED_DOMAINS.length === 0 && NODE_ENV === 'production') {
+    console.warn('⚠️  SIWE_ALLOWED_DOMAINS not set - wallet sign-in is disabled in production');
+}
 
 // ============================================
 // Database Connection
@@ -62,10 +141,13 @@ if (DATABASE_URL) {
 // ============================================
 // Initialize Database Tables
 // ============================================
+/**
+ * Create and migrate tables. Resolves to whether every step succeeded.
+ */
 async function initializeDatabase() {
     if (!pool) {
         console.log('⚠️  Skipping database initialization - no database connection');
-        return;
+        return false;
     }
     
     try {
@@ -78,8 +160,6 @@ async function initializeDatabase() {
                 project_x VARCHAR(255),
                 github_link TEXT,
                 main_contract VARCHAR(42) NOT NULL,
-                optional_contract_1 VARCHAR(42),
-                optional_contract_2 VARCHAR(42),
                 project_description TEXT,
                 verification_signature TEXT,
                 is_approved BOOLEAN DEFAULT FALSE,
@@ -90,12 +170,92 @@ async function initializeDatabase() {
             )
         `);
 
+        // Create ranking_formulas table (admin-editable formulas, see lib/ranking.js)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS ranking_formulas (
+                name VARCHAR(30) PRIMARY KEY,
+                formula JSONB NOT NULL,
+                updated_by VARCHAR(42),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        for (const [name, formula] of Object.entries(ranking.DEFAULT_FORMULAS)) {
+            await pool.query(
+                'INSERT INTO ranking_formulas (name, formula) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING',
+                [name, JSON.stringify(formula)]
+            );
+        }
+
+        // Create project_rankings table (computed score and rank of every project for every ranking)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS project_rankings (
+                ranking_name VARCHAR(30) NOT NULL,
+                wallet_address VARCHAR(42) NOT NULL,
+                score DOUBLE PRECISION,
+                rank INTEGER,
+                computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (ranking_name, wallet_address)
+            )
+        `);
+
+        // Stats job queue: one run per stats update, one job per project
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS stats_runs (
+                id SERIAL PRIMARY KEY,
+                trigger VARCHAR(20) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'running',
+                total_jobs INTEGER DEFAULT 0,
+                last_error TEXT,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                finished_at TIMESTAMP
+            )
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS stats_jobs (
+                id SERIAL PRIMARY KEY,
+                run_id INTEGER NOT NULL REFERENCES stats_runs(id) ON DELETE CASCADE,
+                wallet_address VARCHAR(42) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                last_error TEXT,
+                available_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                started_at TIMESTAMP,
+                finished_at TIMESTAMP,
+                duration_ms INTEGER,
+                UNIQUE (run_id, wallet_address)
+            )
+        `);
+
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_stats_jobs_run_status ON stats_jobs(run_id, status)
+        `);
+
         // Add project_description column if it doesn't exist (for existing databases)
         await pool.query(`
             ALTER TABLE developers 
             ADD COLUMN IF NOT EXISTS project_description TEXT
         `);
 
+        // Project metadata (display name, logo, website, category, tags)
+        await pool.query(`
+            ALTER TABLE developers
+            ADD COLUMN IF NOT EXISTS project_name VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS logo_url TEXT,
+            ADD COLUMN IF NOT EXISTS logo_image BYTEA,
+            ADD COLUMN IF NOT EXISTS logo_mime VARCHAR(20),
+            ADD COLUMN IF NOT EXISTS website TEXT,
+            ADD COLUMN IF NOT EXISTS category VARCHAR(50),
+            ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}'
+        `);
+
+        // Signed contract ownership proofs (one per registered contract)
+        await pool.query(`
+            ALTER TABLE developers
+            ADD COLUMN IF NOT EXISTS verification_message TEXT,
+            ADD COLUMN IF NOT EXISTS ownership_proofs JSONB
+        `);
+
         // Create project_stats table
         await pool.query(`
             CREATE TABLE IF NOT EXISTS project_stats (
@@ -106,33 +266,421 @@ async function initializeDatabase() {
                 transactions_last_12h BIGINT DEFAULT 0,
                 unique_wallets BIGINT DEFAULT 0,
                 wallets_last_12h BIGINT DEFAULT 0,
-                growth_rate DECIMAL(10, 2) DEFAULT 0,
+                growth_rate NUMERIC DEFAULT 0,
                 rank_tx INTEGER,
                 rank_unique INTEGER,
                 last_scanned TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
         `);
 
+        // growth_rate is a percentage with no upper bound (1 → 100M transactions is +1e10%),
+        // which overflowed the DECIMAL(10, 2) of older databases
+        const boundedGrowthRate = await pool.query(`
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'project_stats' AND column_name = 'growth_rate' AND numeric_precision IS NOT NULL
+        `);
+        if (boundedGrowthRate.rows.length > 0) {
+            await pool.query('ALTER TABLE project_stats ALTER COLUMN growth_rate TYPE NUMERIC');
+        }
+
+        // Activity per window (24h / 7d / 30d) with period-over-period growth
+        await pool.query(`
+            ALTER TABLE project_stats
+            ADD COLUMN IF NOT EXISTS activity_windows JSONB DEFAULT '{}'
+        `);
+
+        // Separate counters per activity type
+        await pool.query(`
+            ALTER TABLE project_stats
+            ADD COLUMN IF NOT EXISTS direct_transactions BIGINT DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS token_transfers BIGINT DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS internal_transactions BIGINT DEFAULT 0
+        `);
+
+        // Gas consumed, execution fees paid by users (wei) and failed transactions
+        await pool.query(`
+            ALTER TABLE project_stats
+            ADD COLUMN IF NOT EXISTS gas_used NUMERIC(78, 0) DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS fees_wei NUMERIC(78, 0) DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS failed_transactions BIGINT DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS failure_rate NUMERIC(5, 2)
+        `);
+
+        // Sybil/wash-trading suspicion and the leaderboard score with flagged activity discounted
+        await pool.query(`
+            ALTER TABLE project_stats
+            ADD COLUMN IF NOT EXISTS suspicion_score NUMERIC(5, 2) DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS flagged_wallets INTEGER DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS quality_score NUMERIC DEFAULT 0
+        `);
+
+        // What the quality score discounts: flagged calls, and the summed suspicion of flagged wallets
+        await pool.query(`
+            ALTER TABLE project_stats
+            ADD COLUMN IF NOT EXISTS flagged_transactions BIGINT DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS discounted_wallets DOUBLE PRECISION DEFAULT 0
+        `);
+
+        // Unix time of the project's latest indexed activity (used by ranking time decay)
+        await pool.query(`
+            ALTER TABLE project_stats
+            ADD COLUMN IF NOT EXISTS last_activity_at BIGINT
+        `);
+
+        // Create admins table (role-based admin team)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS admins (
+                id SERIAL PRIMARY KEY,
+                wallet_address VARCHAR(42) UNIQUE NOT NULL,
+                role VARCHAR(20) NOT NULL CHECK (role IN ('super_admin', 'reviewer', 'auditor')),
+                added_by VARCHAR(42),
+                date_added TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Seed ADMIN_WALLET as the first super admin
+        await pool.query(`
+            INSERT INTO admins (wallet_address, role)
+            VALUES ($1, 'super_admin')
+            ON CONFLICT (wallet_address) DO NOTHING
+        `, [ADMIN_WALLET]);
+
+        // Create moderation_events table (append-only audit log of admin actions)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS moderation_events (
+                id SERIAL PRIMARY KEY,
+                actor_wallet VARCHAR(42) NOT NULL,
+                action VARCHAR(50) NOT NULL,
+                submission_id INTEGER,
+                previous_state JSONB,
+                new_state JSONB,
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Block UPDATE/DELETE on moderation_events so history can't be rewritten
+        await pool.query(`
+            CREATE OR REPLACE FUNCTION prevent_moderation_event_changes() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'moderation_events is append-only';
+            END;
+            $$ LANGUAGE plpgsql;
+
+            DROP TRIGGER IF EXISTS moderation_events_append_only ON moderation_events;
+            CREATE TRIGGER moderation_events_append_only
+                BEFORE UPDATE OR DELETE ON moderation_events
+                FOR EACH ROW EXECUTE FUNCTION prevent_moderation_event_changes();
+        `);
+
+        // Create contract_proxies table (proxy type and implementation per contract)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS contract_proxies (
+                contract_address VARCHAR(42) PRIMARY KEY,
+                is_proxy BOOLEAN DEFAULT FALSE,
+                proxy_type VARCHAR(20),
+                implementation_address VARCHAR(42),
+                admin_address VARCHAR(42),
+                beacon_address VARCHAR(42),
+                last_checked TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create wallet_funding table (first incoming ETH transfer of each wallet; funder is NULL when none was found)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS wallet_funding (
+                wallet_address VARCHAR(42) PRIMARY KEY,
+                funder_address VARCHAR(42),
+                funding_tx_hash VARCHAR(66),
+                funded_at BIGINT,
+                looked_up_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create sybil_flags table (evidence behind each project's suspicion score, replaced every stats update)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS sybil_flags (
+                id SERIAL PRIMARY KEY,
+                wallet_address VARCHAR(42) NOT NULL,
+                flagged_wallet VARCHAR(42) NOT NULL,
+                signal VARCHAR(30) NOT NULL,
+                evidence JSONB NOT NULL DEFAULT '{}',
+                detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create stats_history table (a snapshot of project_stats per stats update run)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS stats_history (
+                id SERIAL PRIMARY KEY,
+                wallet_address VARCHAR(42) NOT NULL,
+                total_transactions BIGINT DEFAULT 0,
+                transactions_last_12h BIGINT DEFAULT 0,
+                unique_wallets BIGINT DEFAULT 0,
+                wallets_last_12h BIGINT DEFAULT 0,
+                rank_tx INTEGER,
+                rank_unique INTEGER,
+                recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Counters were INTEGER in older databases; widen them to match project_stats.
+        // Only done when needed, since the type change rewrites the whole table.
+        const narrowHistoryColumns = await pool.query(`
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'stats_history'
+              AND column_name IN ('total_transactions', 'transactions_last_12h', 'unique_wallets', 'wallets_last_12h')
+              AND data_type = 'integer'
+        `);
+        if (narrowHistoryColumns.rows.length > 0) {
+            await pool.query(`
+                ALTER TABLE stats_history
+                ALTER COLUMN total_transactions TYPE BIGINT,
+                ALTER COLUMN transactions_last_12h TYPE BIGINT,
+                ALTER COLUMN unique_wallets TYPE BIGINT,
+                ALTER COLUMN wallets_last_12h TYPE BIGINT
+            `);
+        }
+
+        // Create contract_transactions table (indexed transactions per contract)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS contract_transactions (
+                contract_address VARCHAR(42) NOT NULL,
+                tx_hash VARCHAR(66) NOT NULL,
+                block_number BIGINT NOT NULL,
+                block_timestamp BIGINT NOT NULL,
+                from_address VARCHAR(42),
+                to_address VARCHAR(42),
+                value NUMERIC(78, 0) DEFAULT 0,
+                is_error BOOLEAN DEFAULT FALSE,
+                method_id VARCHAR(10),
+                PRIMARY KEY (contract_address, tx_hash)
+            )
+        `);
+        // Gas used and the effective gas price paid, in wei
+        await pool.query(`
+            ALTER TABLE contract_transactions
+            ADD COLUMN IF NOT EXISTS gas_used NUMERIC(78, 0),
+            ADD COLUMN IF NOT EXISTS gas_price NUMERIC(78, 0)
+        `);
+
+        // Create contract_token_transfers table (ERC-20/721/1155 transfers of each registered token contract)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS contract_token_transfers (
+                contract_address VARCHAR(42) NOT NULL,
+                tx_hash VARCHAR(66) NOT NULL,
+                log_index INTEGER NOT NULL,
+                batch_index INTEGER NOT NULL DEFAULT 0,
+                block_number BIGINT NOT NULL,
+                block_timestamp BIGINT NOT NULL,
+                token_standard VARCHAR(10) NOT NULL CHECK (token_standard IN ('erc20', 'erc721', 'erc1155')),
+                from_address VARCHAR(42),
+                to_address VARCHAR(42),
+                token_id NUMERIC(78, 0),
+                value NUMERIC(78, 0) DEFAULT 0,
+                PRIMARY KEY (contract_address, tx_hash, log_index, batch_index)
+            )
+        `);
+
+        // Create contract_internal_transactions table (internal calls to or from each contract)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS contract_internal_transactions (
+                contract_address VARCHAR(42) NOT NULL,
+                tx_hash VARCHAR(66) NOT NULL,
+                trace_id VARCHAR(100) NOT NULL,
+                block_number BIGINT NOT NULL,
+                block_timestamp BIGINT NOT NULL,
+                from_address VARCHAR(42),
+                to_address VARCHAR(42),
+                value NUMERIC(78, 0) DEFAULT 0,
+                call_type VARCHAR(20),
+                is_error BOOLEAN DEFAULT FALSE,
+                PRIMARY KEY (contract_address, tx_hash, trace_id)
+            )
+        `);
+
+        // Create contract_index_state table (indexer progress per contract, one cursor per activity stream)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS contract_index_state (
+                contract_address VARCHAR(42) PRIMARY KEY,
+                last_indexed_block BIGINT NOT NULL DEFAULT -1,
+                last_indexed_at TIMESTAMP,
+                last_error TEXT
+            )
+        `);
+        await pool.query(`
+            ALTER TABLE contract_index_state
+            ADD COLUMN IF NOT EXISTS last_internal_block BIGINT NOT NULL DEFAULT -1,
+            ADD COLUMN IF NOT EXISTS last_erc20_block BIGINT NOT NULL DEFAULT -1,
+            ADD COLUMN IF NOT EXISTS last_erc721_block BIGINT NOT NULL DEFAULT -1,
+            ADD COLUMN IF NOT EXISTS last_erc1155_block BIGINT NOT NULL DEFAULT -1
+        `);
+
+        // Create indexed_blocks table (hashes of indexed blocks still within the reorg window)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS indexed_blocks (
+                block_number BIGINT PRIMARY KEY,
+                block_hash VARCHAR(66) NOT NULL,
+                finalized BOOLEAN NOT NULL DEFAULT FALSE,
+                recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create project_contracts table (every contract of a project, with per-contract stats)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS project_contracts (
+                id SERIAL PRIMARY KEY,
+                developer_id INTEGER NOT NULL REFERENCES developers(id) ON DELETE CASCADE,
+                contract_address VARCHAR(42) NOT NULL,
+                label VARCHAR(100),
+                role VARCHAR(20) NOT NULL DEFAULT 'secondary' CHECK (role IN ('main', 'secondary')),
+                chain VARCHAR(20) NOT NULL DEFAULT 'base',
+                verification_status VARCHAR(20) NOT NULL DEFAULT 'unverified'
+                    CHECK (verification_status IN ('verified', 'signed', 'unverified')),
+                total_transactions BIGINT DEFAULT 0,
+                transactions_last_12h BIGINT DEFAULT 0,
+                unique_wallets BIGINT DEFAULT 0,
+                wallets_last_12h BIGINT DEFAULT 0,
+                last_scanned TIMESTAMP,
+                date_added TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (developer_id, contract_address)
+            )
+        `);
+
+        await migrateLegacyContracts();
+
+        // Create profile_change_requests table (contract changes on approved profiles awaiting review)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS profile_change_requests (
+                id SERIAL PRIMARY KEY,
+                developer_id INTEGER NOT NULL REFERENCES developers(id) ON DELETE CASCADE,
+                requested_contracts JSONB NOT NULL,
+                ownership_proofs JSONB,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+                reviewed_by VARCHAR(42),
+                rejection_reason TEXT,
+                date_submitted TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                date_reviewed TIMESTAMP
+            )
+        `);
+
+        // Create contract_disputes table (claims on contracts already registered by another developer)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS contract_disputes (
+                id SERIAL PRIMARY KEY,
+                contract_address VARCHAR(42) NOT NULL,
+                claimant_wallet VARCHAR(42) NOT NULL,
+                holder_developer_id INTEGER REFERENCES developers(id) ON DELETE SET NULL,
+                evidence TEXT,
+                ownership_proof JSONB NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'upheld', 'dismissed')),
+                resolved_by VARCHAR(42),
+                resolution_note TEXT,
+                date_submitted TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                date_resolved TIMESTAMP
+            )
+        `);
+
         // Create indexes for better performance
         await pool.query(`
             CREATE INDEX IF NOT EXISTS idx_wallet_address ON developers(wallet_address);
             CREATE INDEX IF NOT EXISTS idx_main_contract ON developers(main_contract);
             CREATE INDEX IF NOT EXISTS idx_is_approved ON developers(is_approved);
+            CREATE INDEX IF NOT EXISTS idx_developers_category ON developers(category);
+            CREATE INDEX IF NOT EXISTS idx_developers_tags ON developers USING GIN (tags);
             CREATE INDEX IF NOT EXISTS idx_stats_wallet ON project_stats(wallet_address);
             CREATE INDEX IF NOT EXISTS idx_stats_contract ON project_stats(main_contract);
+            CREATE INDEX IF NOT EXISTS idx_moderation_submission ON moderation_events(submission_id);
+            CREATE INDEX IF NOT EXISTS idx_moderation_actor ON moderation_events(actor_wallet);
+            CREATE INDEX IF NOT EXISTS idx_project_contracts_address ON project_contracts(contract_address);
+            CREATE INDEX IF NOT EXISTS idx_contract_transactions_time ON contract_transactions(contract_address, block_timestamp);
+            CREATE INDEX IF NOT EXISTS idx_sybil_flags_wallet ON sybil_flags(wallet_address);
+            CREATE INDEX IF NOT EXISTS idx_contract_token_transfers_time ON contract_token_transfers(contract_address, block_timestamp);
+            CREATE INDEX IF NOT EXISTS idx_contract_internal_transactions_time ON contract_internal_transactions(contract_address, block_timestamp);
+            CREATE INDEX IF NOT EXISTS idx_stats_history_wallet ON stats_history(wallet_address, recorded_at);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_one_pending_change_request
+                ON profile_change_requests(developer_id) WHERE status = 'pending';
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_one_pending_dispute
+                ON contract_disputes(contract_address, claimant_wallet) WHERE status = 'pending';
         `);
 
         console.log('✅ Database tables initialized');
+        return true;
     } catch (error) {
         console.error('❌ Database initialization error:', error);
+        return false;
     }
 }
 
-// Initialize on startup (with error handling)
-initializeDatabase().catch(err => {
-    console.error('❌ Failed to initialize database:', err.message);
-    // Continue anyway - tables might already exist
-});
+/**
+ * Move main_contract / optional_contract_1 / optional_contract_2 into project_contracts.
+ * Runs once: the optional columns are dropped after their contracts are copied.
+ * main_contract stays on developers as the project's primary contract.
+ */
+async function migrateLegacyContracts() {
+    const legacyColumns = await pool.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'developers' AND column_name = 'optional_contract_1'
+    `);
+    if (legacyColumns.rows.length === 0) return;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // A contract counts as verified only if the stored ownership proof for it
+        // linked the signer on-chain (deployer or an ownership check)
+        await client.query(`
+            INSERT INTO project_contracts (developer_id, contract_address, label, role, verification_status, date_added)
+            SELECT d.id, c.address, c.label, c.role,
+                CASE
+                    WHEN p.proof IS NULL THEN 'unverified'
+                    WHEN p.proof->>'deployer' = d.wallet_address
+                        OR jsonb_array_length(COALESCE(p.proof->'ownershipChecks', '[]'::jsonb)) > 0 THEN 'verified'
+                    ELSE 'signed'
+                END,
+                d.date_submitted
+            FROM developers d
+            CROSS JOIN LATERAL (VALUES
+                (LOWER(d.main_contract), 'Main Contract', 'main', 1),
+                (LOWER(d.optional_contract_1), 'Optional Contract 1', 'secondary', 2),
+                (LOWER(d.optional_contract_2), 'Optional Contract 2', 'secondary', 3)
+            ) AS c(address, label, role, position)
+            LEFT JOIN LATERAL (
+                SELECT proof FROM jsonb_array_elements(COALESCE(d.ownership_proofs, '[]'::jsonb)) AS proof
+                WHERE LOWER(proof->>'contractAddress') = c.address
+                LIMIT 1
+            ) p ON TRUE
+            WHERE c.address IS NOT NULL AND c.address <> ''
+            ORDER BY d.id, c.position
+            ON CONFLICT (developer_id, contract_address) DO NOTHING
+        `);
+
+        await client.query(`
+            ALTER TABLE developers
+            DROP COLUMN optional_contract_1,
+            DROP COLUMN optional_contract_2
+        `);
+
+        await client.query('COMMIT');
+        console.log('✅ Migrated legacy contract columns to project_contracts');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Initialize on startup (with error handling), then finish any stats run a restart interrupted
+initializeDatabase()
+    .then(initialized => {
+        // Interrupted runs live in tables that may be missing after a failed initialization
+        if (initialized) return resumeInterruptedStatsRun();
+    })
+    .catch(err => {
+        console.error('❌ Failed to resume interrupted stats runs:', err.message);
+    });
 
 // ============================================
 // Helper Functions
@@ -148,177 +696,547 @@ function checkDatabase(req, res, next) {
 }
 
 // ============================================
-// Middleware
+// Admin Authentication (Sign-In With Ethereum)
 // ============================================
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Implements EIP-4361: the client requests a nonce, signs a SIWE message with
+// its wallet, and exchanges the signature for a short-lived bearer token.
 
-// Request logging
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next();
-});
+const SIWE_NONCE_TTL_MS = 10 * 60 * 1000;
+const siweNonces = new Map(); // nonce -> expiry timestamp (ms)
 
-// ============================================
-// Etherscan API V2 Helper Functions
-// ============================================
+/**
+ * Issue a single-use nonce for a SIWE message
+ */
+function issueSiweNonce() {
+    const now = Date.now();
+
+    // Drop expired nonces so the map doesn't grow unbounded
+    for (const [nonce, expiresAt] of siweNonces) {
+        if (expiresAt <= now) siweNonces.delete(nonce);
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    siweNonces.set(nonce, now + SIWE_NONCE_TTL_MS);
+    return nonce;
+}
 
 /**
- * Get contract creation info (deployer address)
+ * Consume a nonce. Returns false if it was never issued, already used or expired.
  */
-async function getContractDeployer(contractAddress) {
-    try {
-        console.log(`🔍 Finding deployer for contract: ${contractAddress}`);
-        const normalizedAddress = contractAddress.toLowerCase();
-        
-        if (!BASESCAN_API_KEY) {
-            console.warn('⚠️  BASESCAN_API_KEY not configured - API methods will fail');
-        }
-        
-        // Method 1: Try Basescan getcontractcreation API (most direct)
-        if (BASESCAN_API_KEY) {
-            try {
-                console.log('🔍 Method 1a: Trying getcontractcreation API (format 1 - contractaddresses)...');
-                const response1 = await axios.get('https://api.basescan.org/api', {
-                    params: {
-                        module: 'contract',
-                        action: 'getcontractcreation',
-                        contractaddresses: normalizedAddress,
-                        apikey: BASESCAN_API_KEY
-                    },
-                    timeout: 15000
-                });
+function consumeSiweNonce(nonce) {
+    const expiresAt = siweNonces.get(nonce);
+    if (!expiresAt) return false;
+    siweNonces.delete(nonce);
+    return expiresAt > Date.now();
+}
 
-                console.log('📡 getcontractcreation API response (format 1):', {
-                    status: response1.data.status,
-                    result: response1.data.result,
-                    message: response1.data.message
-                });
+/**
+ * Whether a SIWE message's domain may sign in here. Binding messages to our own
+ * domains stops a message signed on another site from being replayed to this API.
+ */
+function isSiweDomainAllowed(domain, req) {
+    if (SIWE_ALLOWED_DOMAINS.length > 0) return SIWE_ALLOWED_DOMAINS.includes(domain);
+    if (NODE_ENV === 'production') return false;
+    return domain === String(req.get('host') || '').toLowerCase() || /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(domain);
+}
 
-                if (response1.data.status === '1' && response1.data.result) {
-                    const result = Array.isArray(response1.data.result) ? response1.data.result[0] : response1.data.result;
-                    const deployer = (result.contractCreator || result.creator || result.from)?.toLowerCase();
-                    if (deployer) {
-                        console.log(`✅ Contract deployer found (getcontractcreation API): ${deployer}`);
-                        return deployer;
-                    }
-                }
-            } catch (apiError1) {
-                console.log('⚠️  getcontractcreation API (format 1) failed:', apiError1.message);
-                if (apiError1.response) {
-                    console.log('Response:', JSON.stringify(apiError1.response.data, null, 2));
-                }
-            }
+/**
+ * Parse an EIP-4361 message into its fields. Returns null if the message is malformed.
+ */
+function parseSiweMessage(message) {
+    if (typeof message !== 'string') return null;
 
-            // Try alternative format
-            try {
-                console.log('🔍 Method 1b: Trying getcontractcreation API (format 2 - contractaddress)...');
-                const response2 = await axios.get('https://api.basescan.org/api', {
-                    params: {
-                        module: 'contract',
-                        action: 'getcontractcreation',
-                        contractaddress: normalizedAddress,
-                        apikey: BASESCAN_API_KEY
-                    },
-                    timeout: 15000
-                });
+    const lines = message.split('\n');
+    const headerMatch = lines[0]?.match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+    const address = lines[1]?.trim();
 
-                if (response2.data.status === '1' && response2.data.result) {
-                    const result = Array.isArray(response2.data.result) ? response2.data.result[0] : response2.data.result;
-                    const deployer = (result.contractCreator || result.creator || result.from)?.toLowerCase();
-                    if (deployer) {
-                        console.log(`✅ Contract deployer found (getcontractcreation API format 2): ${deployer}`);
-                        return deployer;
-                    }
-                }
-            } catch (apiError2) {
-                console.log('⚠️  getcontractcreation API (format 2) failed:', apiError2.message);
-            }
+    if (!headerMatch || !address || !ethers.utils.isAddress(address)) {
+        return null;
+    }
+
+    const fields = {};
+    for (const line of lines.slice(2)) {
+        const fieldMatch = line.match(/^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time|Not Before|Request ID): (.+)$/);
+        if (fieldMatch) {
+            fields[fieldMatch[1]] = fieldMatch[2].trim();
         }
+    }
 
-        // Method 2: Use Basescan transaction list API - Get first transaction
-        if (BASESCAN_API_KEY) {
-            try {
-                console.log('🔍 Method 2: Querying Basescan transaction list API...');
-                const txResponse = await axios.get('https://api.basescan.org/api', {
-                    params: {
-                        module: 'account',
-                        action: 'txlist',
-                        address: normalizedAddress,
-                        startblock: 0,
-                        endblock: 99999999,
-                        page: 1,
-                        offset: 50, // Get first 50 transactions
-                        sort: 'asc',
-                        apikey: BASESCAN_API_KEY
-                    },
-                    timeout: 20000
-                });
+    if (fields['Version'] !== '1' || !fields['Nonce'] || !fields['Issued At'] || !fields['Chain ID']) {
+        return null;
+    }
 
-                console.log('📡 Transaction list API response:', {
-                    status: txResponse.data.status,
-                    resultCount: txResponse.data.result?.length,
-                    message: txResponse.data.message
-                });
+    return {
+        domain: headerMatch[1].toLowerCase(),
+        address: address.toLowerCase(),
+        uri: fields['URI'],
+        chainId: parseInt(fields['Chain ID']),
+        nonce: fields['Nonce'],
+        issuedAt: fields['Issued At'],
+        expirationTime: fields['Expiration Time'] || null,
+        notBefore: fields['Not Before'] || null
+    };
+}
 
-                if (txResponse.data.status === '1' && txResponse.data.result?.length > 0) {
-                    // Look for contract creation transaction
-                    for (const tx of txResponse.data.result) {
-                        const txTo = (tx.to || '').toLowerCase();
-                        const txFrom = (tx.from || '').toLowerCase();
-                        const txContractAddress = (tx.contractAddress || '').toLowerCase();
-                        
-                        // Contract creation indicators:
-                        // 1. 'to' is empty/null/0x
-                        // 2. 'contractAddress' matches our contract
-                        // 3. 'to' matches contract but 'from' is different
-                        const isCreationTx = (!txTo || txTo === '' || txTo === '0x') || 
-                                            (txContractAddress === normalizedAddress) ||
-                                            (txTo === normalizedAddress && txFrom !== normalizedAddress);
-                        
-                        if (isCreationTx && txFrom) {
-                            const deployer = txFrom.toLowerCase();
-                            console.log(`✅ Contract deployer found (from transaction ${tx.hash}): ${deployer}`);
-                            return deployer;
-                        }
-                    }
-                    
-                    // Fallback: Use first transaction's 'from' address
-                    const firstTx = txResponse.data.result[0];
-                    if (firstTx.from) {
-                        const deployer = firstTx.from.toLowerCase();
-                        console.log(`✅ Contract deployer (from first transaction fallback): ${deployer}`);
-                        return deployer;
-                    }
-                } else if (txResponse.data.message) {
-                    console.log('⚠️  API message:', txResponse.data.message);
-                }
-            } catch (txApiError) {
-                console.log('⚠️  Transaction list API failed:', txApiError.message);
-                if (txApiError.response) {
-                    console.log('Response:', JSON.stringify(txApiError.response.data, null, 2));
-                }
-            }
-        }
+/**
+ * Create a signed session token for a verified wallet
+ */
+function createSessionToken(address) {
+    const payload = {
+        address: address.toLowerCase(),
+        iat: Date.now(),
+        exp: Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', SESSION_SECRET).update(encodedPayload).digest('base64url');
+    return `${encodedPayload}.${signature}`;
+}
 
-        // Method 3: Verify contract exists on blockchain
-        console.log('🔍 Method 3: Verifying contract exists on blockchain...');
-        const provider = new ethers.providers.JsonRpcProvider(BASE_RPC_URL);
-        
-        try {
-            const code = await provider.getCode(normalizedAddress);
-            if (code === '0x') {
-                console.error('❌ Contract does not exist at this address');
-                return null;
-            }
-            
-            console.log('✅ Contract exists on blockchain (code length:', code.length, ')');
+/**
+ * Verify a session token. Returns the payload, or null if invalid or expired.
+ */
+function verifySessionToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const [encodedPayload, signature] = token.split('.');
+    if (!encodedPayload || !signature) return null;
+
+    const expectedSignature = crypto.createHmac('sha256', SESSION_SECRET).update(encodedPayload).digest('base64url');
+    const provided = Buffer.from(signature);
+    const expected = Buffer.from(expectedSignature);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        if (!payload.address || !payload.exp || payload.exp <= Date.now()) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read the bearer token from the Authorization header and return its session
+ */
+function getSession(req) {
+    const authHeader = req.headers['authorization'] || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+    return verifySessionToken(token);
+}
+
+/**
+ * Middleware: require a signed-in wallet (admin or not). Sets req.session.
+ */
+function requireSession(req, res, next) {
+    const session = getSession(req);
+
+    if (!session) {
+        return res.status(401).json({
+            success: false,
+            message: 'Session missing or expired. Please sign in with your wallet.'
+        });
+    }
+
+    req.session = session;
+    next();
+}
+
+// ============================================
+// Admin Roles
+// ============================================
+// super_admin: full access, manages the admin team
+// reviewer:    reviews and approves/rejects submissions
+// auditor:     read-only access to submissions
+const ADMIN_ROLES = {
+    SUPER_ADMIN: 'super_admin',
+    REVIEWER: 'reviewer',
+    AUDITOR: 'auditor'
+};
+const ALL_ADMIN_ROLES = Object.values(ADMIN_ROLES);
+
+/**
+ * Look up the admin role for a wallet. Returns null if the wallet is not an admin.
+ */
+async function getAdminRole(walletAddress) {
+    const normalizedAddress = walletAddress.toLowerCase();
+
+    // ADMIN_WALLET is always a super admin, even before the admins table is seeded
+    if (normalizedAddress === ADMIN_WALLET) {
+        return ADMIN_ROLES.SUPER_ADMIN;
+    }
+
+    if (!pool) return null;
+
+    const result = await pool.query(
+        'SELECT role FROM admins WHERE wallet_address = $1',
+        [normalizedAddress]
+    );
+    return result.rows.length > 0 ? result.rows[0].role : null;
+}
+
+/**
+ * Middleware factory: require a valid SIWE session whose wallet has one of the given roles
+ */
+function requireRole(...allowedRoles) {
+    return async (req, res, next) => {
+        const session = getSession(req);
+
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Admin session missing or expired. Please sign in with an admin wallet.'
+            });
+        }
+
+        try {
+            const role = await getAdminRole(session.address);
+
+            if (!role || !allowedRoles.includes(role)) {
+                console.log('❌ Admin access denied:', { wallet: session.address, role, allowedRoles });
+                return res.status(403).json({
+                    success: false,
+                    message: role
+                        ? `Your role (${role}) is not allowed to perform this action`
+                        : 'Admin access required'
+                });
+            }
+
+            req.session = session;
+            req.adminRole = role;
+            next();
+        } catch (error) {
+            console.error('Admin role check error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error checking admin role',
+                error: error.message
+            });
+        }
+    };
+}
+
+// ============================================
+// Moderation Audit Log
+// ============================================
+
+/**
+ * Snapshot of the moderation-relevant fields of a developers row
+ */
+function getSubmissionState(row) {
+    return {
+        isApproved: row.is_approved,
+        isRejected: row.is_rejected,
+        rejectionReason: row.rejection_reason
+    };
+}
+
+/**
+ * Append an entry to the moderation_events audit log.
+ * Pass the client of the transaction that performs the action, so one isn't kept without the other.
+ */
+async function recordModerationEvent({ actorWallet, action, submissionId = null, previousState = null, newState = null, reason = null }, db = pool) {
+    await db.query(`
+        INSERT INTO moderation_events (
+            actor_wallet, action, submission_id, previous_state, new_state, reason
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+    `, [
+        actorWallet.toLowerCase(),
+        action,
+        submissionId,
+        previousState ? JSON.stringify(previousState) : null,
+        newState ? JSON.stringify(newState) : null,
+        reason
+    ]);
+}
+
+/**
+ * Run `work(client)` in one transaction and resolve to its result
+ */
+async function withTransaction(work) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// ============================================
+// Middleware
+// ============================================
+app.use(cors());
+// Raised from the 100kb default so uploaded project logos fit
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+// Request logging
+app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+});
+
+// ============================================
+// Etherscan API V2 Helper Functions
+// ============================================
+
+// Contract creation data never changes, so explorer lookups for it are cached for a day
+const CREATION_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find the CREATE/CREATE2 frame that deployed a contract inside a creation transaction.
+ * Tries debug_traceTransaction (callTracer), then trace_transaction (Parity/Erigon style),
+ * then Basescan's internal transaction list. Returns null if no trace source is available.
+ */
+async function traceContractCreation(provider, txHash, contractAddress) {
+    const normalizedAddress = contractAddress.toLowerCase();
+
+    // Method A: debug_traceTransaction with callTracer (Geth / op-geth / Reth)
+    try {
+        const trace = await provider.send('debug_traceTransaction', [txHash, { tracer: 'callTracer' }]);
+        const stack = trace ? [trace] : [];
+        while (stack.length > 0) {
+            const frame = stack.pop();
+            const frameType = (frame.type || '').toUpperCase();
+            if ((frameType === 'CREATE' || frameType === 'CREATE2') && frame.to?.toLowerCase() === normalizedAddress) {
+                return {
+                    directDeployer: frame.from.toLowerCase(),
+                    creationType: frameType,
+                    method: 'debug_traceTransaction'
+                };
+            }
+            (frame.calls || []).forEach(call => stack.push(call));
+        }
+    } catch (traceError) {
+        console.log('⚠️  debug_traceTransaction unavailable:', traceError.message);
+    }
+
+    // Method B: trace_transaction (Erigon / Nethermind)
+    try {
+        const traces = await provider.send('trace_transaction', [txHash]);
+        const creation = (traces || []).find(t =>
+            t.type === 'create' && t.result?.address?.toLowerCase() === normalizedAddress
+        );
+        if (creation) {
+            return {
+                directDeployer: creation.action.from.toLowerCase(),
+                creationType: creation.action.creationMethod === 'create2' ? 'CREATE2' : 'CREATE',
+                method: 'trace_transaction'
+            };
+        }
+    } catch (traceError) {
+        console.log('⚠️  trace_transaction unavailable:', traceError.message);
+    }
+
+    // Method C: explorer internal transactions for the creation tx
+    if (chainData.hasExplorer) {
+        try {
+            const internalTransactions = await chainData.explorer({
+                module: 'account',
+                action: 'txlistinternal',
+                txhash: txHash
+            }, { cacheTtlMs: CREATION_CACHE_TTL_MS });
+
+            if (Array.isArray(internalTransactions)) {
+                const creation = internalTransactions.find(itx =>
+                    (itx.type || '').toLowerCase().startsWith('create') &&
+                    itx.contractAddress?.toLowerCase() === normalizedAddress
+                );
+                if (creation) {
+                    return {
+                        directDeployer: creation.from.toLowerCase(),
+                        creationType: creation.type.toUpperCase(),
+                        method: 'txlistinternal'
+                    };
+                }
+            }
+        } catch (internalError) {
+            console.log('⚠️  txlistinternal API failed:', internalError.message);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve who deployed a contract from its creation transaction.
+ * Separates the direct deployer (an EOA, or a factory contract) from the
+ * transaction origin (the EOA that signed the creation tx).
+ */
+async function resolveCreationTransaction(provider, txHash, contractAddress, reportedCreator) {
+    const tx = await provider.getTransaction(txHash);
+    if (!tx) return null;
+
+    const txOrigin = tx.from.toLowerCase();
+
+    // Direct deployment: the creation tx has no recipient and creates our contract
+    if (!tx.to) {
+        return {
+            deployer: txOrigin,
+            directDeployer: txOrigin,
+            factoryAddress: null,
+            txOrigin,
+            creationTxHash: txHash,
+            creationType: 'CREATE',
+            method: 'creation_tx',
+            confidence: 'high'
+        };
+    }
+
+    // Deployed from inside another contract - walk the trace to find the factory
+    const trace = await traceContractCreation(provider, txHash, contractAddress);
+    const directDeployer = trace?.directDeployer || reportedCreator || tx.to.toLowerCase();
+
+    return {
+        deployer: txOrigin,
+        directDeployer,
+        factoryAddress: directDeployer !== txOrigin ? directDeployer : null,
+        txOrigin,
+        creationTxHash: txHash,
+        creationType: trace?.creationType || null,
+        method: trace?.method || 'creation_tx_recipient',
+        confidence: trace ? 'high' : 'medium'
+    };
+}
+
+/**
+ * Get contract creation info.
+ * Returns { deployer, directDeployer, factoryAddress, txOrigin, creationTxHash,
+ * creationType, method, confidence } or null if the deployer can't be determined.
+ * `deployer` is the originating EOA and is what ownership checks compare against.
+ */
+async function getContractDeployer(contractAddress) {
+    try {
+        console.log(`🔍 Finding deployer for contract: ${contractAddress}`);
+        const normalizedAddress = contractAddress.toLowerCase();
+        const provider = chainData.rpc;
+        
+        if (!chainData.hasExplorer) {
+            console.warn('⚠️  No explorer API key configured (BASESCAN_API_KEY / ETHERSCAN_API_KEY) - API methods will be skipped');
+        }
+        
+        // Method 1: explorer getcontractcreation API gives the creation tx hash
+        if (chainData.hasExplorer) {
+            try {
+                console.log('🔍 Method 1: Trying getcontractcreation API...');
+                const creation = await chainData.explorer({
+                    module: 'contract',
+                    action: 'getcontractcreation',
+                    contractaddresses: normalizedAddress
+                }, { cacheTtlMs: CREATION_CACHE_TTL_MS });
+
+                console.log('📡 getcontractcreation API response:', creation);
+
+                const result = Array.isArray(creation) ? creation[0] : creation;
+                if (result) {
+                    const creator = (result.contractCreator || result.creator || result.from)?.toLowerCase();
+
+                    if (result.txHash) {
+                        const resolved = await resolveCreationTransaction(provider, result.txHash, normalizedAddress, creator);
+                        if (resolved) {
+                            console.log(`✅ Contract deployer resolved (${resolved.method}):`, resolved);
+                            return resolved;
+                        }
+                    }
+
+                    if (creator) {
+                        console.log(`✅ Contract creator found (getcontractcreation API, no tx trace): ${creator}`);
+                        return {
+                            deployer: creator,
+                            directDeployer: creator,
+                            factoryAddress: null,
+                            txOrigin: null,
+                            creationTxHash: result.txHash || null,
+                            creationType: null,
+                            method: 'getcontractcreation',
+                            confidence: 'medium'
+                        };
+                    }
+                }
+            } catch (apiError) {
+                console.log('⚠️  getcontractcreation API failed:', apiError.message);
+            }
+        }
+
+        // Method 2: Use the explorer transaction list API - look for the creation transaction
+        if (chainData.hasExplorer) {
+            try {
+                console.log('🔍 Method 2: Querying explorer transaction list API...');
+                const firstTransactions = await chainData.explorer({
+                    module: 'account',
+                    action: 'txlist',
+                    address: normalizedAddress,
+                    startblock: 0,
+                    endblock: 99999999,
+                    page: 1,
+                    offset: 50, // Get first 50 transactions
+                    sort: 'asc'
+                }, { cacheTtlMs: CREATION_CACHE_TTL_MS });
+
+                console.log('📡 Transaction list API response:', {
+                    resultCount: firstTransactions.length
+                });
+
+                if (firstTransactions.length > 0) {
+                    // A direct deployment shows up with contractAddress set to our contract
+                    const creationTx = firstTransactions.find(tx =>
+                        (tx.contractAddress || '').toLowerCase() === normalizedAddress
+                    );
+
+                    if (creationTx) {
+                        const resolved = await resolveCreationTransaction(provider, creationTx.hash, normalizedAddress, null);
+                        if (resolved) {
+                            console.log(`✅ Contract deployer resolved from creation tx ${creationTx.hash}:`, resolved);
+                            return resolved;
+                        }
+                    }
+                    
+                    // Fallback: first transaction's sender is a guess, flagged as low confidence
+                    const firstTx = firstTransactions[0];
+                    if (firstTx.from) {
+                        const deployer = firstTx.from.toLowerCase();
+                        console.log(`⚠️  Contract deployer guessed from first transaction: ${deployer}`);
+                        return {
+                            deployer,
+                            directDeployer: null,
+                            factoryAddress: null,
+                            txOrigin: deployer,
+                            creationTxHash: null,
+                            creationType: null,
+                            method: 'first_transaction',
+                            confidence: 'low'
+                        };
+                    }
+                }
+            } catch (txApiError) {
+                console.log('⚠️  Transaction list API failed:', txApiError.message);
+            }
+        }
+
+        // Method 3: Verify contract exists on blockchain
+        console.log('🔍 Method 3: Verifying contract exists on blockchain...');
+        
+        try {
+            const code = await provider.getCode(normalizedAddress);
+            if (code === '0x') {
+                console.error('❌ Contract does not exist at this address');
+                return null;
+            }
+            
+            console.log('✅ Contract exists on blockchain (code length:', code.length, ')');
             console.log('⚠️  Could not determine deployer - all API methods failed');
             console.log('💡 This may be due to:');
             console.log('   1. Basescan API key missing or invalid');
             console.log('   2. API rate limiting');
-            console.log('   3. Contract deployed via factory (deployer not directly visible)');
             console.log('   → Submission will be allowed for manual review');
             
             return null; // Return null to allow manual review
@@ -343,8 +1261,7 @@ async function getContractDeployer(contractAddress) {
  */
 async function getTransactionCount(address) {
     try {
-        const provider = new ethers.providers.JsonRpcProvider(BASE_RPC_URL);
-        const count = await provider.getTransactionCount(address);
+        const count = await chainData.rpc.getTransactionCount(address);
         return count;
     } catch (error) {
         console.error('Error fetching transaction count:', error);
@@ -353,832 +1270,4269 @@ async function getTransactionCount(address) {
 }
 
 /**
- * Get contract transactions
+ * Fetch one page of a contract's activity stream (see EXPLORER_STREAMS) from the explorer, oldest first.
+ * Throws on API errors so the indexer never mistakes a failed call for an empty range.
+ */
+async function fetchExplorerPage(stream, contractAddress, startBlock, endBlock, page = 1) {
+    return chainData.explorer({
+        module: 'account',
+        action: stream.action,
+        [stream.addressParam]: contractAddress,
+        startblock: startBlock,
+        endblock: endBlock,
+        page,
+        offset: INDEXER_PAGE_SIZE,
+        sort: 'asc'
+    });
+}
+
+// ============================================
+// Transaction Indexer
+// ============================================
+// Contract activity is stored in contract_transactions, contract_token_transfers
+// and contract_internal_transactions, and fetched incrementally: each run resumes
+// after the last block indexed for that contract and activity stream.
+//
+// Blocks less than INDEXER_CONFIRMATIONS deep can still be reorged away, so the
+// hashes of those holding indexed activity (and of each range's last block) are
+// kept in indexed_blocks. Every indexing pass first re-checks them: once one no
+// longer matches the chain, everything from the fork onwards is deleted and the
+// cursors rewound so it is indexed again. Blocks that reach the confirmation
+// depth with their hash intact are final and no longer checked.
+
+const INDEXER_PAGE_SIZE = 1000;
+// Basescan only serves the first 10,000 results of a query (page × offset)
+const INDEXER_MAX_PAGE = Math.floor(10000 / INDEXER_PAGE_SIZE);
+// Pages fetched per contract per run; anything left is picked up on the next run
+const INDEXER_MAX_PAGES_PER_RUN = parseInt(process.env.INDEXER_MAX_PAGES_PER_RUN) || 200;
+// Stay a few blocks behind the head so the data source has caught up with the range we mark as indexed
+const INDEXER_LAG_BLOCKS = process.env.INDEXER_LAG_BLOCKS !== undefined ? parseInt(process.env.INDEXER_LAG_BLOCKS) : 30;
+// Blocks below the head before indexed data is final and no longer checked for reorgs
+const INDEXER_CONFIRMATIONS = process.env.INDEXER_CONFIRMATIONS !== undefined ? parseInt(process.env.INDEXER_CONFIRMATIONS) : 100;
+// Concurrent indexing passes share one block check; passes starting later than this re-check
+const INDEXER_REORG_CHECK_INTERVAL_MS = 60 * 1000;
+// Scheduled stats updates run this often (see the cron job below)
+const STATS_UPDATE_INTERVAL_HOURS = 12;
+// Base produces a block every 2 seconds
+const BLOCK_TIME_SECONDS = 2;
+// RPC source: blocks scanned per chunk, and per run across all contracts.
+// The default covers twice the blocks produced between scheduled runs, so a backlog shrinks every run.
+const RPC_SCAN_CHUNK_BLOCKS = parseInt(process.env.RPC_SCAN_CHUNK_BLOCKS) || 500;
+const RPC_MAX_BLOCKS_PER_RUN = parseInt(process.env.RPC_MAX_BLOCKS_PER_RUN) || 2 * STATS_UPDATE_INTERVAL_HOURS * 60 * 60 / BLOCK_TIME_SECONDS;
+// RPC source: how far back to start when the deployment block can't be found (non-archive node)
+const RPC_BACKFILL_BLOCKS = parseInt(process.env.RPC_BACKFILL_BLOCKS) || 50000;
+
+/**
+ * Insert txlist-shaped transactions
+ */
+async function insertTransactions(client, contractAddress, transactions) {
+    if (transactions.length === 0) return;
+
+    await client.query(`
+        INSERT INTO contract_transactions (
+            contract_address, tx_hash, block_number, block_timestamp,
+            from_address, to_address, value, is_error, method_id, gas_used, gas_price
+        )
+        SELECT $1, * FROM UNNEST(
+            $2::varchar[], $3::bigint[], $4::bigint[], $5::varchar[],
+            $6::varchar[], $7::numeric[], $8::boolean[], $9::varchar[],
+            $10::numeric[], $11::numeric[]
+        )
+        ON CONFLICT (contract_address, tx_hash) DO NOTHING
+    `, [
+        contractAddress,
+        transactions.map(tx => tx.hash.toLowerCase()),
+        transactions.map(tx => tx.blockNumber),
+        transactions.map(tx => tx.timeStamp),
+        transactions.map(tx => tx.from ? tx.from.toLowerCase() : null),
+        transactions.map(tx => tx.to ? tx.to.toLowerCase() : null),
+        transactions.map(tx => tx.value || '0'),
+        transactions.map(tx => tx.isError === '1'),
+        transactions.map(tx => tx.methodId || (tx.input ? tx.input.slice(0, 10) : null)),
+        transactions.map(tx => tx.gasUsed || null),
+        transactions.map(tx => tx.gasPrice || null)
+    ]);
+}
+
+/**
+ * Insert txlistinternal-shaped internal transactions
+ */
+async function insertInternalTransactions(client, contractAddress, internalTransactions) {
+    if (internalTransactions.length === 0) return;
+
+    await client.query(`
+        INSERT INTO contract_internal_transactions (
+            contract_address, tx_hash, trace_id, block_number, block_timestamp,
+            from_address, to_address, value, call_type, is_error
+        )
+        SELECT $1, * FROM UNNEST(
+            $2::varchar[], $3::varchar[], $4::bigint[], $5::bigint[], $6::varchar[],
+            $7::varchar[], $8::numeric[], $9::varchar[], $10::boolean[]
+        )
+        ON CONFLICT (contract_address, tx_hash, trace_id) DO NOTHING
+    `, [
+        contractAddress,
+        internalTransactions.map(tx => tx.hash.toLowerCase()),
+        internalTransactions.map(tx => tx.traceId),
+        internalTransactions.map(tx => tx.blockNumber),
+        internalTransactions.map(tx => tx.timeStamp),
+        internalTransactions.map(tx => tx.from ? tx.from.toLowerCase() : null),
+        internalTransactions.map(tx => tx.to ? tx.to.toLowerCase() : null),
+        internalTransactions.map(tx => tx.value || '0'),
+        internalTransactions.map(tx => tx.type || null),
+        internalTransactions.map(tx => tx.isError === '1')
+    ]);
+}
+
+/**
+ * Insert token transfers shaped { hash, logIndex, batchIndex, blockNumber, timeStamp, standard, from, to, tokenId, value }
+ */
+async function insertTokenTransfers(client, contractAddress, transfers) {
+    if (transfers.length === 0) return;
+
+    await client.query(`
+        INSERT INTO contract_token_transfers (
+            contract_address, tx_hash, log_index, batch_index, block_number, block_timestamp,
+            token_standard, from_address, to_address, token_id, value
+        )
+        SELECT $1, * FROM UNNEST(
+            $2::varchar[], $3::int[], $4::int[], $5::bigint[], $6::bigint[],
+            $7::varchar[], $8::varchar[], $9::varchar[], $10::numeric[], $11::numeric[]
+        )
+        ON CONFLICT (contract_address, tx_hash, log_index, batch_index) DO NOTHING
+    `, [
+        contractAddress,
+        transfers.map(transfer => transfer.hash),
+        transfers.map(transfer => transfer.logIndex),
+        transfers.map(transfer => transfer.batchIndex),
+        transfers.map(transfer => transfer.blockNumber),
+        transfers.map(transfer => transfer.timeStamp),
+        transfers.map(transfer => transfer.standard),
+        transfers.map(transfer => transfer.from),
+        transfers.map(transfer => transfer.to),
+        transfers.map(transfer => transfer.tokenId),
+        transfers.map(transfer => transfer.value || '0')
+    ]);
+}
+
+/**
+ * Hashes of the blocks above `finalizedBlock` that hold the given rows, plus `lastIndexedBlock`.
+ * Rows carry their block hash where the source provides it; the rest are fetched.
+ */
+async function getProvisionalBlockHashes(rows, lastIndexedBlock, finalizedBlock) {
+    const hashes = new Map(); // block number -> hash
+    rows.forEach(row => {
+        const number = parseInt(row.blockNumber);
+        if (number > finalizedBlock && !hashes.get(number)) {
+            hashes.set(number, row.blockHash ? row.blockHash.toLowerCase() : null);
+        }
+    });
+    if (lastIndexedBlock > finalizedBlock && !hashes.get(lastIndexedBlock)) {
+        hashes.set(lastIndexedBlock, null);
+    }
+
+    for (const [number, hash] of hashes) {
+        if (hash) continue;
+        const block = await chainData.rpc.getBlock(number);
+        if (!block) throw new Error(`Block ${number} not found while recording block hashes`);
+        hashes.set(number, block.hash.toLowerCase());
+    }
+    return hashes;
+}
+
+/**
+ * Store fetched activity and advance the given cursor columns in one transaction.
+ * Blocks above `finalizedBlock` have their hashes recorded for reorg checks.
  */
-async function getContractTransactions(contractAddress, startBlock = 0, endBlock = 'latest') {
+async function storeIndexedActivity(contractAddress, { transactions = [], internal = [], transfers = [] }, cursorColumns, lastIndexedBlock, finalizedBlock) {
+    const blockHashes = await getProvisionalBlockHashes([...transactions, ...internal, ...transfers], lastIndexedBlock, finalizedBlock);
+
+    const client = await pool.connect();
     try {
-        const response = await axios.get('https://api.basescan.org/api', {
-            params: {
-                module: 'account',
-                action: 'txlist',
-                address: contractAddress,
-                startblock: startBlock,
-                endblock: endBlock,
-                page: 1,
-                offset: 10000,
-                sort: 'desc',
-                apikey: BASESCAN_API_KEY
-            }
-        });
+        await client.query('BEGIN');
+
+        await insertTransactions(client, contractAddress, transactions);
+        await insertInternalTransactions(client, contractAddress, internal);
+        await insertTokenTransfers(client, contractAddress, transfers);
+
+        // A hash already recorded for the block is kept: if the two differ, the next check rolls the block back
+        if (blockHashes.size > 0) {
+            await client.query(`
+                INSERT INTO indexed_blocks (block_number, block_hash)
+                SELECT * FROM UNNEST($1::bigint[], $2::varchar[])
+                ON CONFLICT (block_number) DO NOTHING
+            `, [[...blockHashes.keys()], [...blockHashes.values()]]);
+        }
+
+        // Cursors only move back in rollbackIndexedActivity, never because of an overlapping run
+        const assignments = cursorColumns.map(column => `${column} = GREATEST(${column}, $2)`).join(', ');
+        await client.query(`
+            INSERT INTO contract_index_state (contract_address, last_indexed_at)
+            VALUES ($1, CURRENT_TIMESTAMP)
+            ON CONFLICT (contract_address) DO NOTHING
+        `, [contractAddress]);
+        await client.query(`
+            UPDATE contract_index_state
+            SET ${assignments}, last_indexed_at = CURRENT_TIMESTAMP, last_error = NULL
+            WHERE contract_address = $1
+        `, [contractAddress, lastIndexedBlock]);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Number rows that share a key (e.g. the same transaction), in order
+ */
+function ordinalsWithin(rows, keyOf) {
+    const counts = new Map();
+    return rows.map(row => {
+        const key = keyOf(row);
+        const ordinal = counts.get(key) || 0;
+        counts.set(key, ordinal + 1);
+        return ordinal;
+    });
+}
+
+/**
+ * Explorer token transfer rows -> stored transfer shape
+ */
+function explorerTransfers(standard) {
+    return rows => {
+        // Rows of one ERC-1155 batch share a log index, and not every explorer returns
+        // logIndex at all, so the row's position within its log keeps rows distinct
+        const ordinals = ordinalsWithin(rows, row => `${row.hash.toLowerCase()}:${row.logIndex || 0}`);
+        return {
+            transfers: rows.map((row, index) => ({
+                hash: row.hash.toLowerCase(),
+                logIndex: parseInt(row.logIndex) || 0,
+                batchIndex: ordinals[index],
+                blockNumber: row.blockNumber,
+                timeStamp: row.timeStamp,
+                standard,
+                from: row.from ? row.from.toLowerCase() : null,
+                to: row.to ? row.to.toLowerCase() : null,
+                tokenId: row.tokenID || null,
+                value: row.tokenValue || (standard === 'erc721' ? '1' : row.value) || '0'
+            }))
+        };
+    };
+}
+
+// Activity indexed per contract from the explorer: the API action, the parameter that
+// selects the contract, the cursor column in contract_index_state and how to store rows
+const EXPLORER_STREAMS = {
+    transactions: {
+        action: 'txlist',
+        addressParam: 'address',
+        cursorColumn: 'last_indexed_block',
+        toActivity: rows => ({ transactions: rows })
+    },
+    internal: {
+        action: 'txlistinternal',
+        addressParam: 'address',
+        cursorColumn: 'last_internal_block',
+        toActivity: rows => {
+            const ordinals = ordinalsWithin(rows, row => row.hash.toLowerCase());
+            return { internal: rows.map((row, index) => ({ ...row, traceId: row.traceId || String(ordinals[index]) })) };
+        }
+    },
+    // Token streams select by contractaddress: transfers of the registered contract's own token
+    erc20: {
+        action: 'tokentx',
+        addressParam: 'contractaddress',
+        cursorColumn: 'last_erc20_block',
+        toActivity: explorerTransfers('erc20')
+    },
+    erc721: {
+        action: 'tokennfttx',
+        addressParam: 'contractaddress',
+        cursorColumn: 'last_erc721_block',
+        toActivity: explorerTransfers('erc721')
+    },
+    erc1155: {
+        action: 'token1155tx',
+        addressParam: 'contractaddress',
+        cursorColumn: 'last_erc1155_block',
+        toActivity: explorerTransfers('erc1155')
+    }
+};
+
+/**
+ * Page through one of a contract's explorer streams from its cursor up to `headBlock`.
+ * Returns the number of rows fetched.
+ */
+async function indexExplorerStream(contractAddress, streamName, headBlock, finalizedBlock) {
+    const address = contractAddress.toLowerCase();
+    const stream = EXPLORER_STREAMS[streamName];
+    const state = await pool.query(
+        `SELECT ${stream.cursorColumn} AS cursor FROM contract_index_state WHERE contract_address = $1`,
+        [address]
+    );
+
+    let fromBlock = state.rows.length > 0 ? parseInt(state.rows[0].cursor) + 1 : 0;
+    let page = 1;
+    let fetched = 0;
+
+    for (let pagesFetched = 0; fromBlock <= headBlock && pagesFetched < INDEXER_MAX_PAGES_PER_RUN; pagesFetched++) {
+        const rows = await fetchExplorerPage(stream, address, fromBlock, headBlock, page);
+        fetched += rows.length;
+
+        if (rows.length < INDEXER_PAGE_SIZE) {
+            // Last page of the range: everything up to headBlock is indexed
+            await storeIndexedActivity(address, stream.toActivity(rows), [stream.cursorColumn], headBlock, finalizedBlock);
+            break;
+        }
+
+        // A full page may stop part-way through its last block, so only the blocks before it are complete
+        const lastBlock = parseInt(rows[rows.length - 1].blockNumber);
+        if (lastBlock > fromBlock) {
+            fromBlock = lastBlock;
+            page = 1;
+        } else if (++page > INDEXER_MAX_PAGE) {
+            throw new Error(`Block ${fromBlock} has more ${streamName} rows than the explorer can page through`);
+        }
+        await storeIndexedActivity(address, stream.toActivity(rows), [stream.cursorColumn], fromBlock - 1, finalizedBlock);
+    }
+
+    return fetched;
+}
+
+/**
+ * Record an indexing failure for a contract without moving its cursor
+ */
+async function recordIndexError(contractAddress, error) {
+    console.error(`Error indexing activity for ${contractAddress}:`, error.message);
+    await pool.query(`
+        INSERT INTO contract_index_state (contract_address, last_error)
+        VALUES ($1, $2)
+        ON CONFLICT (contract_address) DO UPDATE SET last_error = $2
+    `, [contractAddress.toLowerCase(), error.message]);
+}
+
+/**
+ * RPC source: where to start scanning a contract that has never been indexed
+ */
+async function getRpcStartBlock(provider, contractAddress, headBlock) {
+    try {
+        const deploymentBlock = await findDeploymentBlock(provider, contractAddress, headBlock);
+        if (deploymentBlock !== null) return deploymentBlock;
+    } catch (error) {
+        console.warn(`⚠️  Could not find deployment block for ${contractAddress} (${error.message}) - backfilling ${RPC_BACKFILL_BLOCKS} blocks`);
+    }
+    return Math.max(0, headBlock - RPC_BACKFILL_BLOCKS);
+}
+
+/**
+ * RPC source: scan blocks and logs in chunks, from the least advanced contract up to `headBlock`.
+ * All contracts are scanned together so each block is fetched once per run.
+ */
+async function indexContractsViaRpc(provider, contractAddresses, headBlock, finalizedBlock) {
+    const addresses = contractAddresses.map(address => address.toLowerCase());
+    if (addresses.length === 0) return;
+
+    const state = await pool.query(
+        'SELECT contract_address, last_indexed_block FROM contract_index_state WHERE contract_address = ANY($1)',
+        [addresses]
+    );
+    const cursors = new Map(state.rows.map(row => [row.contract_address, parseInt(row.last_indexed_block)]));
+
+    for (const address of addresses) {
+        if (!cursors.has(address) || cursors.get(address) < 0) {
+            cursors.set(address, await getRpcStartBlock(provider, address, headBlock) - 1);
+        }
+    }
+
+    const startBlock = Math.min(...cursors.values()) + 1;
+    const endBlock = Math.min(headBlock, startBlock + RPC_MAX_BLOCKS_PER_RUN - 1);
+
+    for (let fromBlock = startBlock; fromBlock <= endBlock; fromBlock += RPC_SCAN_CHUNK_BLOCKS) {
+        const toBlock = Math.min(endBlock, fromBlock + RPC_SCAN_CHUNK_BLOCKS - 1);
+        // Contracts already indexed past this chunk are left out
+        const pending = addresses.filter(address => cursors.get(address) < toBlock);
+
+        try {
+            const activity = await scanContractActivity(provider, pending, fromBlock, toBlock);
+
+            for (const address of pending) {
+                // Blocks before the contract's own start are outside its range
+                const inRange = row => parseInt(row.blockNumber) > cursors.get(address);
+                const { transactions, transfers, internal, internalIndexed } = activity.get(address);
+                const found = {
+                    transactions: transactions.filter(inRange),
+                    transfers: transfers.filter(inRange),
+                    internal: internal.filter(inRange)
+                };
+
+                // One scan covers every stream, except internal calls when the node can't trace
+                const cursorColumns = Object.values(EXPLORER_STREAMS)
+                    .map(stream => stream.cursorColumn)
+                    .filter(column => internalIndexed || column !== EXPLORER_STREAMS.internal.cursorColumn);
+                await storeIndexedActivity(address, found, cursorColumns, toBlock, finalizedBlock);
+                cursors.set(address, toBlock);
+
+                const count = found.transactions.length + found.transfers.length + found.internal.length;
+                if (count > 0) {
+                    console.log(`📥 Indexed ${found.transactions.length} transactions, ${found.transfers.length} token transfers and ${found.internal.length} internal transactions for ${address} (blocks ${fromBlock}-${toBlock})`);
+                }
+            }
+        } catch (error) {
+            // Later chunks depend on this one, so stop here and retry next run
+            await Promise.all(pending.map(address => recordIndexError(address, error)));
+            return;
+        }
+    }
+}
+
+/**
+ * Delete indexed activity of every contract from `fromBlock` onwards and rewind the cursors before it
+ */
+async function rollbackIndexedActivity(fromBlock) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        let deleted = 0;
+        for (const table of Object.values(ACTIVITY_TYPE_TABLES)) {
+            const result = await client.query(`DELETE FROM ${table} WHERE block_number >= $1`, [fromBlock]);
+            deleted += result.rowCount;
+        }
+
+        const assignments = Object.values(EXPLORER_STREAMS)
+            .map(stream => `${stream.cursorColumn} = LEAST(${stream.cursorColumn}, $1)`)
+            .join(', ');
+        await client.query(`UPDATE contract_index_state SET ${assignments}`, [fromBlock - 1]);
+        await client.query('DELETE FROM indexed_blocks WHERE block_number >= $1', [fromBlock]);
+
+        await client.query('COMMIT');
+        return deleted;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Re-check the recorded hashes of non-final blocks against the chain. On the first mismatch,
+ * roll back from just after the last block that still matches; blocks past the confirmation
+ * depth that match are marked final.
+ */
+async function checkForReorgs(provider, finalizedBlock) {
+    const recorded = await pool.query(
+        'SELECT block_number, block_hash FROM indexed_blocks WHERE finalized = FALSE ORDER BY block_number'
+    );
+
+    // A reorg replaces every block after the fork, so blocks are matched oldest first up to the first mismatch
+    const matched = [];
+    let mismatchedBlock = null;
+    for (const row of recorded.rows) {
+        const number = parseInt(row.block_number);
+        const block = await provider.getBlock(number);
+        if (!block || block.hash.toLowerCase() !== row.block_hash) {
+            mismatchedBlock = number;
+            break;
+        }
+        matched.push(number);
+    }
+
+    if (mismatchedBlock !== null) {
+        let forkFloor = matched.length > 0 ? matched[matched.length - 1] : null;
+        if (forkFloor === null) {
+            const lastFinal = await pool.query('SELECT MAX(block_number) AS block_number FROM indexed_blocks WHERE finalized = TRUE');
+            forkFloor = lastFinal.rows[0].block_number !== null
+                ? parseInt(lastFinal.rows[0].block_number)
+                // Nothing known to be good below it: assume the fork is as deep as blocks can reorg
+                : mismatchedBlock - INDEXER_CONFIRMATIONS - 1;
+        }
+
+        const fromBlock = Math.max(0, forkFloor + 1);
+        const deleted = await rollbackIndexedActivity(fromBlock);
+        console.warn(`⚠️  Chain reorg detected at block ${mismatchedBlock} - rolled back ${deleted} indexed rows from block ${fromBlock} for re-indexing`);
+    }
+
+    const finalized = matched.filter(number => number <= finalizedBlock);
+    if (finalized.length > 0) {
+        await pool.query('UPDATE indexed_blocks SET finalized = TRUE WHERE block_number = ANY($1)', [finalized]);
+        // Only the newest final block is needed, as the floor for a future rollback
+        await pool.query(`
+            DELETE FROM indexed_blocks
+            WHERE finalized = TRUE AND block_number < (SELECT MAX(block_number) FROM indexed_blocks WHERE finalized = TRUE)
+        `);
+    }
+}
+
+let lastReorgCheck = null; // { promise, startedAt }
+
+/**
+ * Run checkForReorgs, sharing a recent or in-progress check between concurrent indexing passes
+ */
+function ensureNoReorgs(provider, finalizedBlock) {
+    if (!lastReorgCheck || Date.now() - lastReorgCheck.startedAt > INDEXER_REORG_CHECK_INTERVAL_MS) {
+        const check = {
+            startedAt: Date.now(),
+            promise: checkForReorgs(provider, finalizedBlock).catch(error => {
+                // Don't keep a failed check around; the next pass tries again
+                if (lastReorgCheck === check) lastReorgCheck = null;
+                throw error;
+            })
+        };
+        lastReorgCheck = check;
+    }
+    return lastReorgCheck.promise;
+}
+
+/**
+ * Bring every contract's stored transactions up to date from CHAIN_DATA_SOURCE, after
+ * rolling back anything a reorg replaced. A failing contract is recorded in
+ * contract_index_state and skipped.
+ */
+async function indexContracts(contractAddresses) {
+    const provider = chainData.rpc;
+    const chainHead = await provider.getBlockNumber();
+    const headBlock = chainHead - INDEXER_LAG_BLOCKS;
+    const finalizedBlock = chainHead - INDEXER_CONFIRMATIONS;
+
+    await ensureNoReorgs(provider, finalizedBlock);
+
+    if (CHAIN_DATA_SOURCE === 'rpc') {
+        return indexContractsViaRpc(provider, contractAddresses, headBlock, finalizedBlock);
+    }
+
+    for (const contractAddress of contractAddresses) {
+        for (const streamName of Object.keys(EXPLORER_STREAMS)) {
+            try {
+                const fetched = await indexExplorerStream(contractAddress, streamName, headBlock, finalizedBlock);
+                if (fetched > 0) {
+                    console.log(`📥 Indexed ${fetched} ${streamName} rows for ${contractAddress}`);
+                }
+            } catch (error) {
+                await recordIndexError(contractAddress, error);
+            }
+        }
+    }
+}
+
+// Where each LEADERBOARD_ACTIVITY_TYPES type is stored
+const ACTIVITY_TYPE_TABLES = {
+    transactions: 'contract_transactions',
+    token_transfers: 'contract_token_transfers',
+    internal: 'contract_internal_transactions'
+};
+
+/**
+ * SQL for `txs` and `wallets` CTEs. `txs` has one (tx_hash, block_timestamp) row per
+ * transaction in which any LEADERBOARD_ACTIVITY_TYPES activity touched the contracts in $1,
+ * so a call that also moved tokens counts once. `wallets` is always the senders of direct
+ * calls, excluding the contracts themselves and the system addresses in `systemParam`.
+ */
+function activityCtes(systemParam, sinceParam = null) {
+    const since = sinceParam ? ` AND block_timestamp >= ${sinceParam}` : '';
+    const sources = LEADERBOARD_ACTIVITY_TYPES.map(type => `
+            SELECT tx_hash, block_timestamp FROM ${ACTIVITY_TYPE_TABLES[type]}
+            WHERE contract_address = ANY($1)${since}`);
+
+    return `
+        txs AS (${sources.join('\n            UNION')}
+        ),
+        wallets AS (
+            SELECT DISTINCT tx_hash, from_address AS wallet, block_timestamp
+            FROM contract_transactions
+            WHERE contract_address = ANY($1)${since}
+              AND from_address IS NOT NULL AND from_address <> ALL($1) AND from_address <> ALL(${systemParam})
+        )
+    `;
+}
+
+/**
+ * Activity and wallet counts from stored activity, all-time and since `sinceTimestamp`.
+ * Activity touching several of the given contracts counts once (see activityCtes).
+ */
+async function getIndexedActivity(contractAddresses, sinceTimestamp) {
+    const result = await pool.query(`
+        WITH ${activityCtes('$3')}
+        SELECT
+            (SELECT COUNT(*) FROM txs) AS total_transactions,
+            (SELECT COUNT(*) FROM txs WHERE block_timestamp >= $2) AS recent_transactions,
+            (SELECT COUNT(DISTINCT wallet) FROM wallets) AS unique_wallets,
+            (SELECT COUNT(DISTINCT wallet) FROM wallets WHERE block_timestamp >= $2) AS recent_wallets,
+            (SELECT MAX(block_timestamp) FROM txs) AS last_activity_at
+    `, [contractAddresses.map(address => address.toLowerCase()), sinceTimestamp, metrics.SYSTEM_ADDRESSES]);
+
+    const row = result.rows[0];
+    return {
+        totalTransactions: parseInt(row.total_transactions),
+        recentTransactions: parseInt(row.recent_transactions),
+        uniqueWallets: parseInt(row.unique_wallets),
+        recentWallets: parseInt(row.recent_wallets),
+        lastActivityAt: row.last_activity_at !== null ? parseInt(row.last_activity_at) : null
+    };
+}
+
+// Activity windows, in seconds. Each is compared with the window just before it.
+const ACTIVITY_WINDOWS = {
+    '24h': 24 * 60 * 60,
+    '7d': 7 * 24 * 60 * 60,
+    '30d': 30 * 24 * 60 * 60
+};
+
+/**
+ * Percent change from `previous` to `current`; null when there is nothing to compare against
+ */
+function percentChange(current, previous) {
+    if (!previous) return null;
+    return Math.round(((current - previous) / previous) * 10000) / 100;
+}
+
+/**
+ * Transactions and wallets in each ACTIVITY_WINDOWS window ending at `nowTimestamp`,
+ * and their growth over the preceding window of the same length.
+ */
+async function getActivityWindows(contractAddresses, nowTimestamp) {
+    const params = [contractAddresses.map(address => address.toLowerCase()), metrics.SYSTEM_ADDRESSES];
+    const selects = [];
+
+    for (const [name, seconds] of Object.entries(ACTIVITY_WINDOWS)) {
+        params.push(nowTimestamp - seconds, nowTimestamp - 2 * seconds);
+        const start = `$${params.length - 1}`;
+        const previousStart = `$${params.length}`;
+        selects.push(
+            `(SELECT COUNT(*) FROM txs WHERE block_timestamp >= ${start}) AS "tx_${name}"`,
+            `(SELECT COUNT(*) FROM txs WHERE block_timestamp >= ${previousStart} AND block_timestamp < ${start}) AS "tx_prev_${name}"`,
+            `(SELECT COUNT(DISTINCT wallet) FROM wallets WHERE block_timestamp >= ${start}) AS "wallets_${name}"`,
+            `(SELECT COUNT(DISTINCT wallet) FROM wallets WHERE block_timestamp >= ${previousStart} AND block_timestamp < ${start}) AS "wallets_prev_${name}"`
+        );
+    }
+    // Only transactions within the longest window's previous period are needed
+    params.push(nowTimestamp - 2 * Math.max(...Object.values(ACTIVITY_WINDOWS)));
+
+    const result = await pool.query(`
+        WITH ${activityCtes('$2', `$${params.length}`)}
+        SELECT ${selects.join(',\n               ')}
+    `, params);
+
+    const row = result.rows[0];
+    const windows = {};
+    for (const name of Object.keys(ACTIVITY_WINDOWS)) {
+        const transactions = parseInt(row[`tx_${name}`]);
+        const wallets = parseInt(row[`wallets_${name}`]);
+        const previousTransactions = parseInt(row[`tx_prev_${name}`]);
+        const previousWallets = parseInt(row[`wallets_prev_${name}`]);
+
+        windows[name] = {
+            transactions,
+            wallets,
+            previousTransactions,
+            previousWallets,
+            transactionGrowth: percentChange(transactions, previousTransactions),
+            walletGrowth: percentChange(wallets, previousWallets)
+        };
+    }
+    return windows;
+}
+
+/**
+ * Separate all-time counters for each activity type, whether or not it feeds the leaderboard
+ */
+async function getActivityBreakdown(contractAddresses) {
+    const result = await pool.query(`
+        SELECT
+            (SELECT COUNT(DISTINCT tx_hash) FROM contract_transactions WHERE contract_address = ANY($1)) AS direct_transactions,
+            (SELECT COUNT(*) FROM contract_token_transfers WHERE contract_address = ANY($1)) AS token_transfers,
+            (SELECT COUNT(DISTINCT (tx_hash, trace_id)) FROM contract_internal_transactions WHERE contract_address = ANY($1)) AS internal_transactions
+    `, [contractAddresses.map(address => address.toLowerCase())]);
+
+    const row = result.rows[0];
+    return {
+        transactions: parseInt(row.direct_transactions),
+        tokenTransfers: parseInt(row.token_transfers),
+        internalTransactions: parseInt(row.internal_transactions)
+    };
+}
+
+/**
+ * Share of transactions that failed, as a percentage; null without transactions
+ */
+function failureRate(failed, total) {
+    if (!total) return null;
+    return Math.round((failed / total) * 10000) / 100;
+}
+
+/**
+ * Gas used, execution fees paid (gasUsed × gasPrice, in wei) and failed direct calls,
+ * all-time and for each ACTIVITY_WINDOWS window ending at `nowTimestamp`.
+ * Returns { total, windows } with { gasUsed, feesWei, failedTransactions, failureRate } each.
+ * Wei amounts are decimal strings since they overflow JS numbers.
+ */
+async function getGasMetrics(contractAddresses, nowTimestamp) {
+    const params = [contractAddresses.map(address => address.toLowerCase())];
+    const selects = [
+        'COALESCE(SUM(gas_used), 0) AS gas_used',
+        'COALESCE(SUM(gas_used * gas_price), 0) AS fees_wei',
+        'COUNT(*) AS transactions',
+        'COUNT(*) FILTER (WHERE is_error) AS failed'
+    ];
+
+    for (const [name, seconds] of Object.entries(ACTIVITY_WINDOWS)) {
+        params.push(nowTimestamp - seconds);
+        const inWindow = `block_timestamp >= $${params.length}`;
+        selects.push(
+            `COALESCE(SUM(gas_used) FILTER (WHERE ${inWindow}), 0) AS "gas_used_${name}"`,
+            `COALESCE(SUM(gas_used * gas_price) FILTER (WHERE ${inWindow}), 0) AS "fees_wei_${name}"`,
+            `COUNT(*) FILTER (WHERE ${inWindow}) AS "transactions_${name}"`,
+            `COUNT(*) FILTER (WHERE ${inWindow} AND is_error) AS "failed_${name}"`
+        );
+    }
+
+    // A transaction calling several of the contracts paid its gas once
+    const result = await pool.query(`
+        WITH calls AS (
+            SELECT DISTINCT tx_hash, block_timestamp, gas_used, gas_price, is_error
+            FROM contract_transactions
+            WHERE contract_address = ANY($1)
+        )
+        SELECT ${selects.join(',\n               ')}
+        FROM calls
+    `, params);
+
+    const row = result.rows[0];
+    const describe = suffix => ({
+        gasUsed: row[`gas_used${suffix}`],
+        feesWei: row[`fees_wei${suffix}`],
+        failedTransactions: parseInt(row[`failed${suffix}`]),
+        failureRate: failureRate(parseInt(row[`failed${suffix}`]), parseInt(row[`transactions${suffix}`]))
+    });
+
+    const windows = {};
+    for (const name of Object.keys(ACTIVITY_WINDOWS)) {
+        windows[name] = describe(`_${name}`);
+    }
+    return { total: describe(''), windows };
+}
+
+/**
+ * API shape of the gas columns of a project_stats row
+ */
+function describeGasMetrics(row) {
+    return {
+        gasUsed: String(row.gas_used || 0),
+        feesWei: String(row.fees_wei || 0),
+        failedTransactions: parseInt(row.failed_transactions) || 0,
+        failureRate: row.failure_rate !== null && row.failure_rate !== undefined ? parseFloat(row.failure_rate) : null
+    };
+}
+
+// ============================================
+// Contract Ownership Proofs
+// ============================================
+// The server issues a nonce-bound message per contract, the developer signs it
+// with the wallet they are registering, and /api/register verifies the signature.
+
+const OWNERSHIP_CHALLENGE_TTL_MS = 30 * 60 * 1000;
+const ownershipChallenges = new Map(); // nonce -> { walletAddress, contractAddress, message, expiresAt }
+
+/**
+ * Issue an ownership challenge message for a wallet/contract pair
+ */
+function issueOwnershipChallenge(walletAddress, contractAddress) {
+    const now = Date.now();
+
+    for (const [nonce, challenge] of ownershipChallenges) {
+        if (challenge.expiresAt <= now) ownershipChallenges.delete(nonce);
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const normalizedWallet = walletAddress.toLowerCase();
+    const normalizedContract = contractAddress.toLowerCase();
+    const message = [
+        `Sign this message to verify ownership of contract ${normalizedContract}`,
+        '',
+        `Wallet: ${normalizedWallet}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${new Date(now).toISOString()}`
+    ].join('\n');
+
+    ownershipChallenges.set(nonce, {
+        walletAddress: normalizedWallet,
+        contractAddress: normalizedContract,
+        message,
+        expiresAt: now + OWNERSHIP_CHALLENGE_TTL_MS
+    });
+
+    return { nonce, message, expiresAt: new Date(now + OWNERSHIP_CHALLENGE_TTL_MS).toISOString() };
+}
+
+/**
+ * Verify signed ownership proofs for every contract in a submission.
+ * Returns { proofs } on success or { error } describing the first failure.
+ * Challenges are only consumed once every proof has passed.
+ */
+async function verifyOwnershipProofs(walletAddress, contractAddresses, proofs) {
+    const normalizedWallet = walletAddress.toLowerCase();
+    const proofList = Array.isArray(proofs) ? proofs : [];
+    const verified = [];
+
+    for (const contractAddress of contractAddresses) {
+        const proof = proofList.find(p => p?.contractAddress?.toLowerCase() === contractAddress);
+        if (!proof || !proof.nonce || !proof.signature) {
+            return { error: `Missing ownership signature for contract ${contractAddress}` };
+        }
+
+        const challenge = ownershipChallenges.get(proof.nonce);
+        if (!challenge || challenge.expiresAt <= Date.now()) {
+            return { error: `Ownership challenge for contract ${contractAddress} expired. Please sign again.` };
+        }
+
+        if (challenge.walletAddress !== normalizedWallet || challenge.contractAddress !== contractAddress) {
+            return { error: `Ownership challenge does not match contract ${contractAddress}` };
+        }
+
+        let signer;
+        try {
+            signer = ethers.utils.verifyMessage(challenge.message, proof.signature).toLowerCase();
+        } catch (signatureError) {
+            return { error: `Invalid ownership signature for contract ${contractAddress}` };
+        }
+
+        if (signer !== normalizedWallet) {
+            return { error: `Ownership signature for contract ${contractAddress} was not signed by ${normalizedWallet}` };
+        }
+
+        verified.push({
+            contractAddress,
+            nonce: proof.nonce,
+            message: challenge.message,
+            signature: proof.signature,
+            signer
+        });
+    }
+
+    verified.forEach(proof => ownershipChallenges.delete(proof.nonce));
+
+    // Look up deployers and on-chain ownership so reviewers can see how the signer relates to each contract
+    const provider = chainData.rpc;
+    const [deployers, evidence] = await Promise.all([
+        Promise.all(verified.map(proof => getContractDeployer(proof.contractAddress))),
+        Promise.all(verified.map(proof => collectOwnershipEvidence(provider, proof.contractAddress, normalizedWallet)))
+    ]);
+
+    return {
+        proofs: verified.map((proof, index) => ({
+            contractAddress: proof.contractAddress,
+            message: proof.message,
+            signature: proof.signature,
+            signer: proof.signer,
+            deployer: deployers[index]?.deployer || null,
+            factoryAddress: deployers[index]?.factoryAddress || null,
+            deployerConfidence: deployers[index]?.confidence || null,
+            ownershipChecks: evidence[index].passedChecks,
+            signedAt: new Date().toISOString()
+        }))
+    };
+}
+
+/**
+ * Re-check stored ownership proofs for display in the review panel
+ */
+function describeOwnershipProofs(walletAddress, proofs) {
+    if (!Array.isArray(proofs)) return [];
+
+    return proofs.map(proof => {
+        let recovered = null;
+        try {
+            recovered = ethers.utils.verifyMessage(proof.message, proof.signature).toLowerCase();
+        } catch (error) {
+            recovered = null;
+        }
+
+        const signatureValid = recovered === walletAddress.toLowerCase()
+            && proof.message.includes(proof.contractAddress);
+
+        return {
+            contractAddress: proof.contractAddress,
+            signer: recovered,
+            signatureValid,
+            deployer: proof.deployer,
+            factoryAddress: proof.factoryAddress || null,
+            deployerConfidence: proof.deployerConfidence || null,
+            ownershipChecks: proof.ownershipChecks || [],
+            // null when the deployer could not be determined automatically
+            signerMatchesDeployer: proof.deployer ? proof.deployer === recovered : null,
+            signedAt: proof.signedAt
+        };
+    });
+}
+
+// ============================================
+// Sybil Detection
+// ============================================
+// lib/sybil.js flags suspicious wallets from indexed activity. Funding sources
+// come from the explorer and are looked up once per wallet, a batch per project each run.
+
+const SYBIL_FUNDING_LOOKUPS_PER_RUN = parseInt(process.env.SYBIL_FUNDING_LOOKUPS_PER_RUN) || 200;
+
+/**
+ * First incoming ETH transfer (direct or internal) to a wallet, or null
+ */
+async function findFundingSource(walletAddress) {
+    const params = { module: 'account', address: walletAddress, startblock: 0, endblock: 99999999, page: 1, offset: 10, sort: 'asc' };
+    const [transactions, internalTransactions] = await Promise.all([
+        chainData.explorer({ ...params, action: 'txlist' }),
+        chainData.explorer({ ...params, action: 'txlistinternal' })
+    ]);
+
+    const incoming = [...transactions, ...internalTransactions]
+        .filter(tx => tx.to && tx.to.toLowerCase() === walletAddress && tx.value !== '0' && tx.isError !== '1')
+        .sort((a, b) => parseInt(a.blockNumber) - parseInt(b.blockNumber));
+    return incoming[0] || null;
+}
+
+/**
+ * Look up funding sources for senders of the given contracts that haven't been looked up yet
+ */
+async function refreshWalletFunding(contractAddresses) {
+    if (!chainData.hasExplorer) return;
+
+    const wallets = await pool.query(`
+        SELECT ct.from_address AS wallet
+        FROM contract_transactions ct
+        LEFT JOIN wallet_funding wf ON wf.wallet_address = ct.from_address
+        WHERE ct.contract_address = ANY($1)
+          AND ct.from_address IS NOT NULL
+          AND ct.from_address <> ALL($2)
+          AND wf.wallet_address IS NULL
+        GROUP BY ct.from_address
+        ORDER BY MAX(ct.block_timestamp) DESC
+        LIMIT $3
+    `, [contractAddresses.map(address => address.toLowerCase()), metrics.SYSTEM_ADDRESSES, SYBIL_FUNDING_LOOKUPS_PER_RUN]);
+
+    for (const { wallet } of wallets.rows) {
+        try {
+            const funding = await findFundingSource(wallet);
+            await pool.query(`
+                INSERT INTO wallet_funding (wallet_address, funder_address, funding_tx_hash, funded_at)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (wallet_address) DO NOTHING
+            `, [
+                wallet,
+                funding ? funding.from.toLowerCase() : null,
+                funding ? funding.hash.toLowerCase() : null,
+                funding ? parseInt(funding.timeStamp) : null
+            ]);
+        } catch (error) {
+            // Left unrecorded so the next run tries again
+            console.error(`Error looking up funding source for ${wallet}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Replace a project's stored sybil flags
+ */
+async function storeSybilFlags(walletAddress, flags) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM sybil_flags WHERE wallet_address = $1', [walletAddress]);
+        if (flags.length > 0) {
+            await client.query(`
+                INSERT INTO sybil_flags (wallet_address, flagged_wallet, signal, evidence)
+                SELECT $1, * FROM UNNEST($2::varchar[], $3::varchar[], $4::jsonb[])
+            `, [
+                walletAddress,
+                flags.map(flag => flag.wallet),
+                flags.map(flag => flag.signal),
+                flags.map(flag => JSON.stringify(flag.evidence))
+            ]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Suspicion summary and evidence for the admin submission detail
+ */
+async function getSybilEvidence(walletAddress) {
+    const [stats, flags] = await Promise.all([
+        pool.query(
+            'SELECT suspicion_score, flagged_wallets, quality_score, last_scanned FROM project_stats WHERE wallet_address = $1',
+            [walletAddress]
+        ),
+        pool.query(`
+            SELECT flagged_wallet, signal, evidence
+            FROM sybil_flags
+            WHERE wallet_address = $1
+            ORDER BY signal, flagged_wallet
+        `, [walletAddress])
+    ]);
+
+    if (stats.rows.length === 0) return null;
+
+    const signals = {};
+    flags.rows.forEach(row => {
+        signals[row.signal] = signals[row.signal] || { wallets: new Set(), examples: [] };
+        signals[row.signal].wallets.add(row.flagged_wallet);
+        // A handful of examples per signal is enough to judge it
+        if (signals[row.signal].examples.length < 10) {
+            signals[row.signal].examples.push({ wallet: row.flagged_wallet, evidence: row.evidence });
+        }
+    });
+
+    return {
+        suspicionScore: parseFloat(stats.rows[0].suspicion_score) || 0,
+        flaggedWallets: parseInt(stats.rows[0].flagged_wallets) || 0,
+        qualityScore: Math.round(parseFloat(stats.rows[0].quality_score) || 0),
+        analyzedAt: stats.rows[0].last_scanned,
+        signals: Object.fromEntries(Object.entries(signals).map(([signal, { wallets, examples }]) => [signal, {
+            weight: sybil.SIGNAL_WEIGHTS[signal],
+            wallets: wallets.size,
+            examples
+        }]))
+    };
+}
+
+// ============================================
+// Proxy Detection
+// ============================================
+
+/**
+ * Detect proxies for a list of contracts and store the result.
+ * Failures are logged per contract so one bad RPC call doesn't block the rest.
+ */
+async function refreshContractProxies(contractAddresses) {
+    const provider = chainData.rpc;
+
+    for (const contractAddress of contractAddresses) {
+        try {
+            const proxy = await detectProxy(provider, contractAddress);
+
+            await pool.query(`
+                INSERT INTO contract_proxies (
+                    contract_address, is_proxy, proxy_type, implementation_address,
+                    admin_address, beacon_address, last_checked
+                ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+                ON CONFLICT (contract_address)
+                DO UPDATE SET
+                    is_proxy = $2,
+                    proxy_type = $3,
+                    implementation_address = $4,
+                    admin_address = $5,
+                    beacon_address = $6,
+                    last_checked = CURRENT_TIMESTAMP
+            `, [
+                contractAddress.toLowerCase(),
+                proxy.isProxy,
+                proxy.proxyType,
+                proxy.implementationAddress,
+                proxy.adminAddress,
+                proxy.beaconAddress
+            ]);
+
+            if (proxy.isProxy) {
+                console.log(`🔀 Proxy detected: ${contractAddress} (${proxy.proxyType}) → ${proxy.implementationAddress}`);
+            }
+        } catch (error) {
+            console.error(`Error detecting proxy for ${contractAddress}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Load stored proxy info for contracts, keyed by lowercase address
+ */
+async function getContractProxies(contractAddresses) {
+    const addresses = contractAddresses.filter(Boolean).map(address => address.toLowerCase());
+    if (addresses.length === 0) return {};
+
+    const result = await pool.query(
+        'SELECT * FROM contract_proxies WHERE contract_address = ANY($1)',
+        [addresses]
+    );
+
+    const proxies = {};
+    result.rows.forEach(row => {
+        proxies[row.contract_address] = {
+            isProxy: row.is_proxy,
+            proxyType: row.proxy_type,
+            implementationAddress: row.implementation_address,
+            adminAddress: row.admin_address,
+            beaconAddress: row.beacon_address,
+            lastChecked: row.last_checked
+        };
+    });
+    return proxies;
+}
+
+// ============================================
+// Project Contracts
+// ============================================
+// Every contract of a project lives in project_contracts. developers.main_contract
+// mirrors the contract with role 'main' for the leaderboard and older clients.
+
+// Each contract costs a signature check and deployer lookup at registration
+const MAX_PROJECT_CONTRACTS = 50;
+
+// First key of the per-contract advisory locks taken while claiming contracts
+const CONTRACT_CLAIM_LOCK = 1001;
+
+/**
+ * Read the submitted contract list from a registration body.
+ * Accepts `contracts: [{ address, label }]` (first entry is the main contract)
+ * or the legacy mainContract / optionalContract1 / optionalContract2 fields.
+ * Returns { contracts } or { error }.
+ */
+function normalizeSubmittedContracts(body) {
+    let submitted;
+    if (Array.isArray(body.contracts)) {
+        submitted = body.contracts.map(contract =>
+            typeof contract === 'string' ? { address: contract } : (contract || {})
+        );
+    } else {
+        submitted = [
+            { address: body.mainContract, label: 'Main Contract' },
+            { address: body.optionalContract1, label: 'Optional Contract 1' },
+            { address: body.optionalContract2, label: 'Optional Contract 2' }
+        ];
+    }
+
+    const contracts = [];
+    for (const contract of submitted) {
+        const address = typeof contract.address === 'string' ? contract.address.trim() : '';
+        if (!address) continue;
+
+        if (!ethers.utils.isAddress(address)) {
+            return { error: `Invalid contract address: ${address}` };
+        }
+
+        const normalizedAddress = address.toLowerCase();
+        if (contracts.some(existing => existing.address === normalizedAddress)) {
+            return { error: `Contract ${normalizedAddress} is listed more than once` };
+        }
+
+        const label = typeof contract.label === 'string' && contract.label.trim()
+            ? contract.label.trim().slice(0, 100)
+            : null;
+
+        contracts.push({
+            address: normalizedAddress,
+            label,
+            role: contracts.length === 0 ? 'main' : 'secondary'
+        });
+    }
+
+    if (contracts.length === 0) {
+        return { error: 'At least one contract address is required' };
+    }
+
+    if (contracts.length > MAX_PROJECT_CONTRACTS) {
+        return { error: `A project can list at most ${MAX_PROJECT_CONTRACTS} contracts` };
+    }
+
+    contracts.forEach((contract, index) => {
+        if (!contract.label) {
+            contract.label = index === 0 ? 'Main Contract' : `Contract ${index + 1}`;
+        }
+    });
+
+    return { contracts };
+}
+
+/**
+ * Verification status of a contract from its ownership proof:
+ * 'verified' when the signer deployed it or passed an on-chain ownership check,
+ * 'signed' when only the signature is valid, 'unverified' without a proof
+ */
+function getContractVerificationStatus(walletAddress, proof) {
+    if (!proof) return 'unverified';
+    if (proof.deployer === walletAddress.toLowerCase() || (proof.ownershipChecks || []).length > 0) {
+        return 'verified';
+    }
+    return 'signed';
+}
+
+/**
+ * Replace a project's contract list. Per-contract stats are kept for contracts
+ * that stay on the list.
+ */
+async function saveProjectContracts(developerId, walletAddress, contracts, proofs, db = pool) {
+    const addresses = contracts.map(contract => contract.address);
+
+    await db.query(
+        'DELETE FROM project_contracts WHERE developer_id = $1 AND NOT (contract_address = ANY($2))',
+        [developerId, addresses]
+    );
+
+    for (const contract of contracts) {
+        const proof = proofs.find(p => p.contractAddress === contract.address);
+
+        await db.query(`
+            INSERT INTO project_contracts (developer_id, contract_address, label, role, verification_status)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (developer_id, contract_address)
+            DO UPDATE SET
+                label = $3,
+                role = $4,
+                verification_status = $5
+        `, [
+            developerId,
+            contract.address,
+            contract.label,
+            contract.role,
+            getContractVerificationStatus(walletAddress, proof)
+        ]);
+    }
+}
+
+/**
+ * List a developer's contracts with verification status, stats and proxy info
+ */
+async function describeDeveloperContracts(developer) {
+    const result = await pool.query(`
+        SELECT * FROM project_contracts
+        WHERE developer_id = $1
+        ORDER BY role = 'main' DESC, id ASC
+    `, [developer.id]);
+
+    const proxies = await getContractProxies(result.rows.map(row => row.contract_address));
+
+    return result.rows.map(row => ({
+        address: row.contract_address,
+        label: row.label,
+        role: row.role,
+        chain: row.chain,
+        verificationStatus: row.verification_status,
+        stats: {
+            totalTransactions: parseInt(row.total_transactions) || 0,
+            transactionsLast12h: parseInt(row.transactions_last_12h) || 0,
+            uniqueWallets: parseInt(row.unique_wallets) || 0,
+            walletsLast12h: parseInt(row.wallets_last_12h) || 0,
+            lastScanned: row.last_scanned
+        },
+        proxy: proxies[row.contract_address] || null
+    }));
+}
+
+// ============================================
+// Project Metadata
+// ============================================
+
+const PROJECT_CATEGORIES = {
+    defi: 'DeFi',
+    nft: 'NFT',
+    gaming: 'Gaming',
+    social: 'Social',
+    infrastructure: 'Infrastructure',
+    dao: 'DAO',
+    payments: 'Payments',
+    ai: 'AI',
+    tooling: 'Developer Tooling',
+    other: 'Other'
+};
+
+const MAX_PROJECT_TAGS = 10;
+const MAX_LOGO_BYTES = 256 * 1024;
+const LOGO_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+/**
+ * Validate an http(s) URL. Returns the normalized URL or null if invalid.
+ */
+function normalizeHttpUrl(value, maxLength) {
+    const url = value.trim();
+    if (url.length > maxLength) return null;
+
+    try {
+        const parsed = new URL(url);
+        // href is percent-encoded, so it is safe to drop into an HTML attribute
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read project metadata from a request body.
+ * Fields that weren't sent are left out of `updates`; pass requireCore to insist
+ * on a project name and category (new registrations).
+ * Returns { updates } (column -> value) or { error }.
+ */
+function normalizeProjectMetadata(body, { requireCore = false } = {}) {
+    const updates = {};
+
+    if (body.projectName !== undefined || requireCore) {
+        const projectName = typeof body.projectName === 'string' ? body.projectName.trim() : '';
+        if (projectName.length < 2 || projectName.length > 100) {
+            return { error: 'Project name must be between 2 and 100 characters' };
+        }
+        if (/[<>]/.test(projectName)) {
+            return { error: 'Project name cannot contain < or >' };
+        }
+        updates.project_name = projectName;
+    }
+
+    if (body.category !== undefined || requireCore) {
+        if (!Object.prototype.hasOwnProperty.call(PROJECT_CATEGORIES, body.category)) {
+            return { error: `Category must be one of: ${Object.keys(PROJECT_CATEGORIES).join(', ')}` };
+        }
+        updates.category = body.category;
+    }
+
+    if (body.website !== undefined) {
+        if (typeof body.website === 'string' && body.website.trim()) {
+            const website = normalizeHttpUrl(body.website, 300);
+            if (!website) {
+                return { error: 'Website must be a valid http(s) URL' };
+            }
+            updates.website = website;
+        } else {
+            updates.website = null;
+        }
+    }
+
+    if (body.logoUrl !== undefined) {
+        if (typeof body.logoUrl === 'string' && body.logoUrl.trim()) {
+            const logoUrl = normalizeHttpUrl(body.logoUrl, 500);
+            if (!logoUrl || !logoUrl.startsWith('https://')) {
+                return { error: 'Logo URL must be a valid https URL' };
+            }
+            updates.logo_url = logoUrl;
+        } else {
+            updates.logo_url = null;
+        }
+    }
+
+    // Uploaded logo as a data URL; replaces any logo URL
+    if (body.removeLogo === true) {
+        updates.logo_url = null;
+        updates.logo_image = null;
+        updates.logo_mime = null;
+    } else if (typeof body.logoImage === 'string' && body.logoImage) {
+        const match = body.logoImage.match(/^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=]+)$/);
+        if (!match || !LOGO_MIME_TYPES.includes(match[1])) {
+            return { error: `Logo image must be one of: ${LOGO_MIME_TYPES.join(', ')}` };
+        }
+
+        const image = Buffer.from(match[2], 'base64');
+        if (image.length > MAX_LOGO_BYTES) {
+            return { error: `Logo image must be ${MAX_LOGO_BYTES / 1024}KB or smaller` };
+        }
+
+        updates.logo_image = image;
+        updates.logo_mime = match[1];
+        updates.logo_url = null;
+    } else if (updates.logo_url) {
+        updates.logo_image = null;
+        updates.logo_mime = null;
+    }
+
+    if (body.tags !== undefined) {
+        const rawTags = Array.isArray(body.tags)
+            ? body.tags
+            : (typeof body.tags === 'string' ? body.tags.split(',') : []);
+
+        const tags = [...new Set(rawTags
+            .filter(tag => typeof tag === 'string')
+            .map(tag => tag.trim().toLowerCase())
+            .filter(Boolean))];
+
+        if (tags.length > MAX_PROJECT_TAGS) {
+            return { error: `A project can have at most ${MAX_PROJECT_TAGS} tags` };
+        }
+
+        const invalidTag = tags.find(tag => !/^[a-z0-9][a-z0-9 -]{0,29}$/.test(tag));
+        if (invalidTag) {
+            return { error: `Invalid tag "${invalidTag}". Tags are up to 30 letters, numbers, spaces or dashes.` };
+        }
+
+        updates.tags = tags;
+    }
+
+    return { updates };
+}
+
+/**
+ * Write a set of developers columns (from normalizeProfileFields /
+ * normalizeProjectMetadata, never from the request directly)
+ */
+async function updateDeveloperColumns(developerId, updates, db = pool) {
+    const columns = Object.keys(updates);
+    if (columns.length === 0) return;
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+    await db.query(
+        `UPDATE developers SET ${assignments.join(', ')}, last_updated = CURRENT_TIMESTAMP WHERE id = $${columns.length + 1}`,
+        [...columns.map(column => updates[column]), developerId]
+    );
+}
+
+/**
+ * Public metadata fields of a developers row in the API format
+ */
+function describeProjectMetadata(row) {
+    return {
+        projectName: row.project_name || row.x_username.replace('@', ''),
+        logoUrl: row.logo_url || null,
+        hasLogoImage: !!row.logo_mime,
+        website: row.website || null,
+        category: row.category || null,
+        categoryLabel: PROJECT_CATEGORIES[row.category] || null,
+        tags: row.tags || []
+    };
+}
+
+// ============================================
+// Contract Claims & Disputes
+// ============================================
+// A contract can only be listed by one developer at a time. Pending and
+// approved profiles hold their contracts; rejected profiles release them.
+// A second claimant can open a dispute, which admins resolve.
+
+/**
+ * Find contracts already claimed by a developer other than `walletAddress`.
+ * Returns [{ contractAddress, developerId }] for every conflict.
+ */
+async function findContractClaims(contractAddresses, walletAddress, db = pool) {
+    if (contractAddresses.length === 0) return [];
+
+    const result = await db.query(`
+        SELECT pc.contract_address, pc.developer_id
+        FROM project_contracts pc
+        JOIN developers d ON d.id = pc.developer_id
+        WHERE pc.contract_address = ANY($1)
+          AND d.is_rejected = FALSE
+          AND d.wallet_address <> $2
+    `, [contractAddresses, walletAddress.toLowerCase()]);
+
+    return result.rows.map(row => ({
+        contractAddress: row.contract_address,
+        developerId: row.developer_id
+    }));
+}
+
+/**
+ * Check contract claims and run `work(client)` in one transaction that holds an
+ * advisory lock per contract, so two developers can't both pass the check for
+ * the same contract. `work` is skipped when another developer holds a contract.
+ * Resolves to { claims, result }.
+ */
+async function withContractClaims(contractAddresses, walletAddress, work) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Sorted so concurrent claims on overlapping contracts lock in the same order
+        await client.query(`
+            SELECT pg_advisory_xact_lock($1, hashtext(address))
+            FROM (SELECT DISTINCT UNNEST($2::varchar[]) AS address) addresses
+            ORDER BY address
+        `, [CONTRACT_CLAIM_LOCK, contractAddresses]);
+
+        const claims = await findContractClaims(contractAddresses, walletAddress, client);
+        if (claims.length > 0) {
+            await client.query('ROLLBACK');
+            return { claims, result: null };
+        }
+
+        const result = await work(client);
+        await client.query('COMMIT');
+        return { claims, result };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * 409 response body for contracts that belong to another developer
+ */
+function contractClaimConflict(claims) {
+    const addresses = claims.map(claim => claim.contractAddress);
+    return {
+        success: false,
+        message: `Contract ${addresses.join(', ')} is already registered by another developer. If you own it, you can open a dispute with your ownership evidence.`,
+        conflicts: addresses,
+        canDispute: true
+    };
+}
+
+/**
+ * Remove a contract from a developer's project after a lost dispute.
+ * Promotes the next contract to main, or rejects the profile if none are left.
+ */
+async function releaseContractClaim(developerId, contractAddress, reason, db = pool) {
+    await db.query(
+        'DELETE FROM project_contracts WHERE developer_id = $1 AND contract_address = $2',
+        [developerId, contractAddress]
+    );
+
+    const remaining = await db.query(`
+        SELECT * FROM project_contracts
+        WHERE developer_id = $1
+        ORDER BY role = 'main' DESC, id ASC
+    `, [developerId]);
+
+    if (remaining.rows.length === 0) {
+        await db.query(
+            'UPDATE developers SET is_approved = FALSE, is_rejected = TRUE, rejection_reason = $1, last_updated = CURRENT_TIMESTAMP WHERE id = $2',
+            [reason, developerId]
+        );
+        return;
+    }
+
+    const main = remaining.rows[0];
+    if (main.role !== 'main') {
+        await db.query(`UPDATE project_contracts SET role = 'main' WHERE id = $1`, [main.id]);
+    }
+
+    const updated = await db.query(
+        'UPDATE developers SET main_contract = $1, last_updated = CURRENT_TIMESTAMP WHERE id = $2 RETURNING wallet_address',
+        [main.contract_address, developerId]
+    );
+    await db.query(
+        'UPDATE project_stats SET main_contract = $1 WHERE wallet_address = $2',
+        [main.contract_address, updated.rows[0].wallet_address]
+    );
+}
+
+/**
+ * Map a contract_disputes row to the API format
+ */
+function formatDispute(row) {
+    return {
+        id: row.id,
+        contractAddress: row.contract_address,
+        claimantWallet: row.claimant_wallet,
+        holderDeveloperId: row.holder_developer_id,
+        evidence: row.evidence,
+        status: row.status,
+        resolvedBy: row.resolved_by,
+        resolutionNote: row.resolution_note,
+        dateSubmitted: row.date_submitted,
+        dateResolved: row.date_resolved
+    };
+}
+
+// ============================================
+// Profile Updates
+// ============================================
+// Approved developers edit their own profile. Cosmetic fields apply at once;
+// contract changes become a profile_change_request for admin review while
+// the live profile stays listed.
+
+/**
+ * Read the cosmetic profile fields present in a request body.
+ * Returns { updates } (column -> value, only for fields that were sent) or { error }.
+ */
+function normalizeProfileFields(body) {
+    const updates = {};
+
+    if (body.xUsername !== undefined) {
+        const xUsername = typeof body.xUsername === 'string' ? body.xUsername.trim() : '';
+        if (!xUsername || xUsername === '@') {
+            return { error: 'X username cannot be empty' };
+        }
+        updates.x_username = xUsername.startsWith('@') ? xUsername : `@${xUsername}`;
+    }
+
+    if (body.projectX !== undefined) {
+        updates.project_x = typeof body.projectX === 'string' && body.projectX.trim() ? body.projectX.trim() : null;
+    }
+
+    if (body.githubLink !== undefined) {
+        updates.github_link = typeof body.githubLink === 'string' && body.githubLink.trim() ? body.githubLink.trim() : null;
+    }
+
+    if (body.projectDescription !== undefined) {
+        const description = typeof body.projectDescription === 'string' ? body.projectDescription.trim() : '';
+        if (description.length < 50) {
+            return { error: 'Project description must be at least 50 characters long.' };
+        }
+        updates.project_description = description;
+    }
+
+    const metadataResult = normalizeProjectMetadata(body);
+    if (metadataResult.error) return metadataResult;
+
+    return { updates: { ...updates, ...metadataResult.updates } };
+}
+
+/**
+ * True when a contract list differs from the current one in anything other
+ * than labels (added/removed addresses or a different main contract)
+ */
+function hasContractChanges(currentContracts, requestedContracts) {
+    if (currentContracts.length !== requestedContracts.length) return true;
+    if (currentContracts[0]?.address !== requestedContracts[0]?.address) return true;
+
+    const currentAddresses = new Set(currentContracts.map(contract => contract.address));
+    return requestedContracts.some(contract => !currentAddresses.has(contract.address));
+}
+
+/**
+ * Map a profile_change_requests row to the API format
+ */
+function formatChangeRequest(row) {
+    return {
+        id: row.id,
+        developerId: row.developer_id,
+        requestedContracts: row.requested_contracts,
+        status: row.status,
+        reviewedBy: row.reviewed_by,
+        rejectionReason: row.rejection_reason,
+        dateSubmitted: row.date_submitted,
+        dateReviewed: row.date_reviewed
+    };
+}
+
+// ============================================
+// API Routes
+// ============================================
+
+/**
+ * Health check
+ */
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'ok', 
+        timestamp: new Date().toISOString(),
+        environment: NODE_ENV 
+    });
+});
+
+/**
+ * Get a nonce for a Sign-In With Ethereum message
+ * GET /api/auth/nonce
+ */
+app.get('/api/auth/nonce', (req, res) => {
+    res.json({
+        success: true,
+        nonce: issueSiweNonce()
+    });
+});
+
+/**
+ * Verify a signed SIWE message and issue a session token
+ * POST /api/auth/verify
+ */
+app.post('/api/auth/verify', async (req, res) => {
+    try {
+        const { message, signature } = req.body;
+
+        if (!message || !signature) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing message or signature'
+            });
+        }
+
+        const siwe = parseSiweMessage(message);
+        if (!siwe) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid Sign-In With Ethereum message'
+            });
+        }
+
+        if (!isSiweDomainAllowed(siwe.domain, req)) {
+            return res.status(401).json({
+                success: false,
+                message: SIWE_ALLOWED_DOMAINS.length === 0 && NODE_ENV === 'production'
+                    ? 'Sign-in is disabled until SIWE_ALLOWED_DOMAINS is configured'
+                    : `Sign-in domain ${siwe.domain} is not allowed`
+            });
+        }
+
+        if (siwe.chainId !== CHAIN_ID) {
+            return res.status(401).json({
+                success: false,
+                message: `Sign-in message is for chain ${siwe.chainId}, expected ${CHAIN_ID}`
+            });
+        }
+
+        const now = Date.now();
+        if (siwe.expirationTime && new Date(siwe.expirationTime).getTime() <= now) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sign-in message has expired. Please sign in again.'
+            });
+        }
+        if (siwe.notBefore && new Date(siwe.notBefore).getTime() > now) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sign-in message is not valid yet'
+            });
+        }
+
+        let recoveredAddress;
+        try {
+            recoveredAddress = ethers.utils.verifyMessage(message, signature).toLowerCase();
+        } catch (signatureError) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid signature'
+            });
+        }
+
+        if (recoveredAddress !== siwe.address) {
+            console.log('❌ SIWE signature mismatch:', { recoveredAddress, messageAddress: siwe.address });
+            return res.status(401).json({
+                success: false,
+                message: 'Signature does not match the address in the message'
+            });
+        }
+
+        // Only a correctly signed message uses up its nonce
+        if (!consumeSiweNonce(siwe.nonce)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired nonce. Please sign in again.'
+            });
+        }
+
+        const role = await getAdminRole(recoveredAddress);
+        console.log('✅ SIWE sign-in verified for wallet:', recoveredAddress, 'role:', role || 'none');
+
+        res.json({
+            success: true,
+            token: createSessionToken(recoveredAddress),
+            address: recoveredAddress,
+            isAdmin: !!role,
+            role: role,
+            expiresIn: SESSION_TTL_HOURS * 60 * 60
+        });
+    } catch (error) {
+        console.error('SIWE verify error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying sign-in',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Get the signed-in wallet and its admin role
+ * GET /api/auth/me
+ */
+app.get('/api/auth/me', async (req, res) => {
+    try {
+        const session = getSession(req);
+
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session missing or expired. Please sign in again.'
+            });
+        }
+
+        const role = await getAdminRole(session.address);
+
+        res.json({
+            success: true,
+            address: session.address,
+            isAdmin: !!role,
+            role: role
+        });
+    } catch (error) {
+        console.error('Get session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching session',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * List admin team (Super admin only)
+ * GET /api/admins
+ */
+app.get('/api/admins', checkDatabase, requireRole(ADMIN_ROLES.SUPER_ADMIN), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT wallet_address, role, added_by, date_added FROM admins ORDER BY date_added ASC'
+        );
+
+        res.json({
+            success: true,
+            admins: result.rows.map(row => ({
+                walletAddress: row.wallet_address,
+                role: row.role,
+                addedBy: row.added_by,
+                dateAdded: row.date_added
+            }))
+        });
+    } catch (error) {
+        console.error('Get admins error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching admins',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Add or update an admin wallet (Super admin only)
+ * POST /api/admins
+ */
+app.post('/api/admins', checkDatabase, requireRole(ADMIN_ROLES.SUPER_ADMIN), async (req, res) => {
+    try {
+        const { walletAddress, role } = req.body;
+
+        if (!walletAddress || !ethers.utils.isAddress(walletAddress)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid wallet address'
+            });
+        }
+
+        if (!ALL_ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid role. Must be one of: ${ALL_ADMIN_ROLES.join(', ')}`
+            });
+        }
+
+        const normalizedAddress = walletAddress.toLowerCase();
+
+        if (normalizedAddress === ADMIN_WALLET && role !== ADMIN_ROLES.SUPER_ADMIN) {
+            return res.status(400).json({
+                success: false,
+                message: 'The primary admin wallet (ADMIN_WALLET) must remain a super admin'
+            });
+        }
+
+        const result = await withTransaction(async client => {
+            const previous = await client.query(
+                'SELECT role FROM admins WHERE wallet_address = $1 FOR UPDATE',
+                [normalizedAddress]
+            );
+
+            const saved = await client.query(`
+                INSERT INTO admins (wallet_address, role, added_by)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (wallet_address)
+                DO UPDATE SET role = $2
+                RETURNING wallet_address, role, added_by, date_added
+            `, [normalizedAddress, role, req.session.address]);
+
+            await recordModerationEvent({
+                actorWallet: req.session.address,
+                action: previous.rows.length > 0 ? 'admin_role_changed' : 'admin_added',
+                previousState: previous.rows.length > 0 ? { walletAddress: normalizedAddress, role: previous.rows[0].role } : null,
+                newState: { walletAddress: normalizedAddress, role }
+            }, client);
+
+            return saved;
+        });
+
+        console.log('✅ Admin saved:', { wallet: normalizedAddress, role, by: req.session.address });
+
+        res.json({
+            success: true,
+            message: 'Admin saved successfully',
+            admin: {
+                walletAddress: result.rows[0].wallet_address,
+                role: result.rows[0].role,
+                addedBy: result.rows[0].added_by,
+                dateAdded: result.rows[0].date_added
+            }
+        });
+    } catch (error) {
+        console.error('Save admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error saving admin',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Remove an admin wallet (Super admin only)
+ * DELETE /api/admins/:walletAddress
+ */
+app.delete('/api/admins/:walletAddress', checkDatabase, requireRole(ADMIN_ROLES.SUPER_ADMIN), async (req, res) => {
+    try {
+        const walletAddress = req.params.walletAddress.toLowerCase();
+
+        if (walletAddress === ADMIN_WALLET) {
+            return res.status(400).json({
+                success: false,
+                message: 'The primary admin wallet (ADMIN_WALLET) cannot be removed'
+            });
+        }
+
+        if (walletAddress === req.session.address) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot remove your own admin access'
+            });
+        }
+
+        const result = await withTransaction(async client => {
+            const removed = await client.query(
+                'DELETE FROM admins WHERE wallet_address = $1 RETURNING wallet_address, role',
+                [walletAddress]
+            );
+
+            if (removed.rows.length > 0) {
+                await recordModerationEvent({
+                    actorWallet: req.session.address,
+                    action: 'admin_removed',
+                    previousState: { walletAddress, role: removed.rows[0].role }
+                }, client);
+            }
+
+            return removed;
+        });
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        console.log('🗑️  Admin removed:', { wallet: walletAddress, by: req.session.address });
+
+        res.json({
+            success: true,
+            message: 'Admin removed successfully'
+        });
+    } catch (error) {
+        console.error('Remove admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error removing admin',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * List ranking formulas and the metrics they can use (Admin only)
+ * GET /api/ranking-formulas
+ */
+app.get('/api/ranking-formulas', checkDatabase, requireRole(...ALL_ADMIN_ROLES), async (req, res) => {
+    try {
+        const formulas = await getRankingFormulas();
+
+        res.json({
+            success: true,
+            metrics: Object.keys(ranking.RANKING_METRICS),
+            formulas: [...formulas].map(([name, entry]) => ({ name, ...entry }))
+        });
+    } catch (error) {
+        console.error('Get ranking formulas error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching ranking formulas',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Create or update a ranking formula and recompute rankings (Super admin only)
+ * PUT /api/ranking-formulas/:name
+ */
+app.put('/api/ranking-formulas/:name', checkDatabase, requireRole(ADMIN_ROLES.SUPER_ADMIN), async (req, res) => {
+    try {
+        const name = ranking.validateRankingName(req.params.name);
+        const formula = ranking.validateFormula(req.body.formula);
+
+        await withTransaction(async client => {
+            const previous = await client.query('SELECT formula FROM ranking_formulas WHERE name = $1 FOR UPDATE', [name]);
+
+            await client.query(`
+                INSERT INTO ranking_formulas (name, formula, updated_by, updated_at)
+                VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+                ON CONFLICT (name)
+                DO UPDATE SET formula = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+            `, [name, JSON.stringify(formula), req.session.address]);
+
+            await recordModerationEvent({
+                actorWallet: req.session.address,
+                action: 'ranking_formula_changed',
+                previousState: previous.rows.length > 0 ? { name, formula: previous.rows[0].formula } : null,
+                newState: { name, formula }
+            }, client);
+        });
+
+        await recalculateRankings();
+
+        console.log('✅ Ranking formula saved:', { name, by: req.session.address });
+
+        res.json({
+            success: true,
+            message: 'Ranking formula saved and rankings recalculated',
+            name,
+            formula
+        });
+    } catch (error) {
+        if (error instanceof ranking.RankingFormulaError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Save ranking formula error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error saving ranking formula',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Remove a custom ranking, or restore a built-in one to its default formula (Super admin only)
+ * DELETE /api/ranking-formulas/:name
+ */
+app.delete('/api/ranking-formulas/:name', checkDatabase, requireRole(ADMIN_ROLES.SUPER_ADMIN), async (req, res) => {
+    try {
+        const name = req.params.name;
+        const defaultFormula = ranking.DEFAULT_FORMULAS[name];
+
+        const found = await withTransaction(async client => {
+            const previous = await client.query('SELECT formula FROM ranking_formulas WHERE name = $1 FOR UPDATE', [name]);
+            if (previous.rows.length === 0) return false;
+
+            if (defaultFormula) {
+                await client.query(`
+                    UPDATE ranking_formulas
+                    SET formula = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+                    WHERE name = $1
+                `, [name, JSON.stringify(defaultFormula), req.session.address]);
+            } else {
+                await client.query('DELETE FROM ranking_formulas WHERE name = $1', [name]);
+            }
+
+            await recordModerationEvent({
+                actorWallet: req.session.address,
+                action: defaultFormula ? 'ranking_formula_changed' : 'ranking_formula_removed',
+                previousState: { name, formula: previous.rows[0].formula },
+                newState: defaultFormula ? { name, formula: defaultFormula } : null
+            }, client);
+            return true;
+        });
+
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ranking not found'
+            });
+        }
+
+        await recalculateRankings();
+
+        res.json({
+            success: true,
+            message: defaultFormula ? 'Ranking formula restored to its default' : 'Ranking removed'
+        });
+    } catch (error) {
+        console.error('Remove ranking formula error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error removing ranking formula',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Progress of the current or latest scheduled stats run, its failures and recent runs (Admin only)
+ * GET /api/stats-runs
+ */
+app.get('/api/stats-runs', checkDatabase, requireRole(...ALL_ADMIN_ROLES), async (req, res) => {
+    try {
+        const runs = await pool.query(`
+            SELECT r.*,
+                   COUNT(j.id) FILTER (WHERE j.status = 'pending') AS pending_jobs,
+                   COUNT(j.id) FILTER (WHERE j.status = 'running') AS running_jobs,
+                   COUNT(j.id) FILTER (WHERE j.status = 'done') AS done_jobs,
+                   COUNT(j.id) FILTER (WHERE j.status = 'failed') AS failed_jobs,
+                   EXTRACT(EPOCH FROM COALESCE(r.finished_at, CURRENT_TIMESTAMP) - r.started_at) AS duration_seconds
+            FROM stats_runs r
+            LEFT JOIN stats_jobs j ON j.run_id = r.id
+            WHERE r.trigger <> $1
+            GROUP BY r.id
+            ORDER BY r.id DESC
+            LIMIT 10
+        `, [RESCAN_TRIGGER]);
+
+        const formatRun = run => ({
+            id: run.id,
+            trigger: run.trigger,
+            status: run.status,
+            startedAt: run.started_at,
+            finishedAt: run.finished_at,
+            durationSeconds: Math.round(parseFloat(run.duration_seconds)),
+            lastError: run.last_error,
+            jobs: {
+                total: run.total_jobs,
+                pending: parseInt(run.pending_jobs),
+                running: parseInt(run.running_jobs),
+                done: parseInt(run.done_jobs),
+                failed: parseInt(run.failed_jobs)
+            }
+        });
+
+        const latest = runs.rows[0] || null;
+        let failures = [];
+        if (latest) {
+            // Failed jobs, and jobs waiting to be retried
+            const jobs = await pool.query(`
+                SELECT wallet_address, status, attempts, last_error, available_at, finished_at
+                FROM stats_jobs
+                WHERE run_id = $1 AND last_error IS NOT NULL AND status <> 'done'
+                ORDER BY finished_at DESC NULLS FIRST, id
+            `, [latest.id]);
+            failures = jobs.rows.map(job => ({
+                walletAddress: job.wallet_address,
+                status: job.status,
+                attempts: job.attempts,
+                lastError: job.last_error,
+                retryAt: job.status === 'pending' ? job.available_at : null,
+                failedAt: job.finished_at
+            }));
+        }
+
+        const lastCompleted = runs.rows.find(run => run.status === 'completed');
+
+        res.json({
+            success: true,
+            concurrency: STATS_JOB_CONCURRENCY,
+            maxAttempts: STATS_JOB_MAX_ATTEMPTS,
+            current: latest ? { ...formatRun(latest), failures } : null,
+            lastScanDurationSeconds: lastCompleted ? Math.round(parseFloat(lastCompleted.duration_seconds)) : null,
+            recentRuns: runs.rows.map(formatRun)
+        });
+    } catch (error) {
+        console.error('Get stats runs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching stats runs',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Get an ownership challenge message to sign for a contract
+ * POST /api/ownership-challenge
+ */
+app.post('/api/ownership-challenge', (req, res) => {
+    const { walletAddress, contractAddress } = req.body;
+
+    if (!walletAddress || !ethers.utils.isAddress(walletAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid wallet address'
+        });
+    }
+
+    if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid contract address'
+        });
+    }
+
+    res.json({
+        success: true,
+        ...issueOwnershipChallenge(walletAddress, contractAddress)
+    });
+});
+
+/**
+ * Register new developer
+ * POST /api/register
+ */
+app.post('/api/register', checkDatabase, async (req, res) => {
+    try {
+        const {
+            walletAddress,
+            xUsername,
+            projectX,
+            githubLink,
+            projectDescription,
+            ownershipProofs
+        } = req.body;
+
+        console.log('📝 Registration request received:', {
+            walletAddress,
+            xUsername,
+            contractCount: Array.isArray(req.body.contracts) ? req.body.contracts.length : null,
+            hasDescription: !!projectDescription,
+            projectDescription: projectDescription ? `${projectDescription.substring(0, 50)}...` : 'MISSING',
+            allFields: Object.keys(req.body)
+        });
+
+        // Validation
+        if (!walletAddress || !xUsername) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: walletAddress, xUsername, contracts'
+            });
+        }
+
+        // Validate project description
+        if (!projectDescription || !projectDescription.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Project description is required. Please provide a brief description of your project.'
+            });
+        }
+
+        // Validate project description length
+        const trimmedDescription = projectDescription.trim();
+        if (trimmedDescription.length < 50) {
+            return res.status(400).json({
+                success: false,
+                message: 'Project description must be at least 50 characters long. Please provide more details about your project.'
+            });
+        }
+
+        // Validate wallet address
+        if (!ethers.utils.isAddress(walletAddress)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid wallet address'
+            });
+        }
+
+        // Validate contract addresses (first one is the main contract)
+        const contractResult = normalizeSubmittedContracts(req.body);
+        if (contractResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: contractResult.error
+            });
+        }
+        const submittedProjectContracts = contractResult.contracts;
+        const mainContract = submittedProjectContracts[0].address;
+
+        // Validate project metadata
+        const metadataResult = normalizeProjectMetadata(req.body, { requireCore: true });
+        if (metadataResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: metadataResult.error
+            });
+        }
+
+        // ============================================
+        // CONTRACT OWNERSHIP SIGNATURES
+        // ============================================
+        // Every contract must come with a signed ownership challenge from the
+        // submitting wallet. Deployer matching is recorded for admin review.
+        // ============================================
+        const submittedContracts = submittedProjectContracts.map(contract => contract.address);
+
+        // Each contract can only be listed by one developer
+        const claims = await findContractClaims(submittedContracts, walletAddress);
+        if (claims.length > 0) {
+            console.log('⚠️  Contract already claimed:', claims);
+            return res.status(409).json(contractClaimConflict(claims));
+        }
+
+        const proofResult = await verifyOwnershipProofs(walletAddress, submittedContracts, ownershipProofs);
+        if (proofResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: proofResult.error
+            });
+        }
+
+        const verifiedProofs = proofResult.proofs;
+        const mainProof = verifiedProofs[0];
+        console.log('✍️  Ownership signatures verified:', verifiedProofs.map(proof => ({
+            contract: proof.contractAddress,
+            deployer: proof.deployer,
+            signerIsDeployer: proof.deployer === proof.signer,
+            ownershipChecks: proof.ownershipChecks
+        })));
+
+        // Check if wallet already exists
+        const existing = await pool.query(
+            'SELECT * FROM developers WHERE wallet_address = $1',
+            [walletAddress.toLowerCase()]
+        );
+
+        // Format X username
+        const formattedXUsername = xUsername.startsWith('@') ? xUsername : `@${xUsername}`;
+
+        // Clean empty strings to null
+        const cleanProjectX = projectX && projectX.trim() ? projectX.trim() : null;
+        const cleanGithubLink = githubLink && githubLink.trim() ? githubLink.trim() : null;
+        const cleanProjectDescription = projectDescription && projectDescription.trim() ? projectDescription.trim() : null;
+
+        let isResubmission = false;
+
+        if (existing.rows.length > 0) {
+            const existingRecord = existing.rows[0];
+            
+            // If already approved, don't allow resubmission
+            if (existingRecord.is_approved) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Your profile is already approved. No need to resubmit.'
+                });
+            }
+            
+            // If pending (not rejected), don't allow resubmission
+            if (!existingRecord.is_rejected) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Your profile is already pending review. Please wait for admin approval.'
+                });
+            }
+            
+            // If rejected, allow resubmission - the existing record is updated below
+            isResubmission = true;
+        }
+
+        // Checked again under the claim lock so a concurrent registration can't take the same contract
+        const { claims: lockedClaims, result } = await withContractClaims(submittedContracts, walletAddress, async client => {
+            let saved;
+
+            if (isResubmission) {
+                console.log('🔄 Resubmitting rejected profile. Updating existing record ID:', existing.rows[0].id);
+
+                saved = await client.query(
+                    `UPDATE developers SET
+                        x_username = $1,
+                        project_x = $2,
+                        github_link = $3,
+                        main_contract = $4,
+                        project_description = $5,
+                        verification_message = $6,
+                        verification_signature = $7,
+                        ownership_proofs = $8,
+                        is_approved = FALSE,
+                        is_rejected = FALSE,
+                        rejection_reason = NULL,
+                        date_submitted = CURRENT_TIMESTAMP,
+                        last_updated = CURRENT_TIMESTAMP
+                    WHERE wallet_address = $9
+                    RETURNING *`,
+                    [
+                        formattedXUsername,
+                        cleanProjectX,
+                        cleanGithubLink,
+                        mainContract,
+                        cleanProjectDescription,
+                        mainProof.message,
+                        mainProof.signature,
+                        JSON.stringify(verifiedProofs),
+                        walletAddress.toLowerCase()
+                    ]
+                );
+
+                console.log('✅ Rejected profile resubmitted successfully. ID:', saved.rows[0].id);
+            } else {
+                // New registration - INSERT new record
+                console.log('💾 Storing new developer data:', {
+                    walletAddress: walletAddress.toLowerCase(),
+                    xUsername: formattedXUsername,
+                    contracts: submittedContracts,
+                    projectX: cleanProjectX,
+                    githubLink: cleanGithubLink,
+                    hasDescription: !!cleanProjectDescription
+                });
+
+                saved = await client.query(
+                    `INSERT INTO developers (
+                        wallet_address, x_username, project_x, github_link,
+                        main_contract, project_description, verification_message,
+                        verification_signature, ownership_proofs, is_approved, is_rejected
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                    RETURNING *`,
+                    [
+                        walletAddress.toLowerCase(),
+                        formattedXUsername,
+                        cleanProjectX,
+                        cleanGithubLink,
+                        mainContract,
+                        cleanProjectDescription,
+                        mainProof.message,
+                        mainProof.signature,
+                        JSON.stringify(verifiedProofs),
+                        false,
+                        false
+                    ]
+                );
+
+                console.log('✅ Developer registered successfully. ID:', saved.rows[0].id);
+            }
+
+            await saveProjectContracts(saved.rows[0].id, walletAddress, submittedProjectContracts, verifiedProofs, client);
+            await updateDeveloperColumns(saved.rows[0].id, metadataResult.updates, client);
+            return saved;
+        });
+
+        if (lockedClaims.length > 0) {
+            console.log('⚠️  Contract already claimed:', lockedClaims);
+            return res.status(409).json(contractClaimConflict(lockedClaims));
+        }
+
+        // Detect proxies in the background so reviewers see the implementation contracts
+        refreshContractProxies(submittedContracts).catch(err => {
+            console.error('Proxy detection error:', err.message);
+        });
+        
+        res.json({
+            success: true,
+            message: isResubmission 
+                ? 'Profile resubmitted successfully. Waiting for admin approval.'
+                : 'Profile submitted successfully. Waiting for admin approval.',
+            profileId: result.rows[0].id,
+            isResubmission: isResubmission
+        });
+    } catch (error) {
+        console.error('❌ Register error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error registering developer',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Verify contract owner
+ * POST /api/verify-contract-owner
+ */
+app.post('/api/verify-contract-owner', async (req, res) => {
+    try {
+        const { contractAddress, walletAddress } = req.body;
+
+        console.log('Verify contract owner request:', { contractAddress, walletAddress });
+
+        if (!contractAddress || !walletAddress) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing contractAddress or walletAddress'
+            });
+        }
+
+        // Validate contract address format
+        if (!contractAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid contract address format'
+            });
+        }
+
+        // Validate wallet address format
+        if (!walletAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid wallet address format'
+            });
+        }
+
+        const normalizedWallet = walletAddress.toLowerCase();
+
+        // Get contract deployer and on-chain ownership evidence
+        const [deployment, evidence] = await Promise.all([
+            getContractDeployer(contractAddress),
+            collectOwnershipEvidence(chainData.rpc, contractAddress, normalizedWallet)
+        ]);
+
+        // The wallet may be the EOA that sent the creation tx, or the direct deployer
+        const deployerMatches = !!deployment && [deployment.deployer, deployment.txOrigin, deployment.directDeployer]
+            .filter(Boolean)
+            .includes(normalizedWallet);
+
+        // Any matching evidence counts toward verification
+        const passedChecks = [...(deployerMatches ? ['deployer'] : []), ...evidence.passedChecks];
+
+        console.log('🔍 Ownership check:', { 
+            deployment,
+            walletAddress: normalizedWallet, 
+            deployerMatches,
+            passedChecks
+        });
+
+        if (passedChecks.length > 0) {
+            // At least one check passed - ALLOW
+            console.log(`✅ Ownership verified via ${passedChecks.join(', ')}`);
+            return res.json({
+                success: true,
+                deployerMatches,
+                deployerAddress: deployment?.deployer || null,
+                deployment,
+                verificationMethod: passedChecks[0],
+                passedChecks,
+                evidence: evidence.checks,
+                message: deployerMatches && deployment.factoryAddress
+                    ? `Contract ownership verified successfully (deployed via factory ${deployment.factoryAddress}).`
+                    : `Contract ownership verified successfully (${passedChecks[0]}).`
+            });
+        }
+
+        // If deployer can't be found, allow for manual review
+        if (!deployment) {
+            console.log('⚠️  Deployer not found and no ownership evidence - allowing for manual review');
+            return res.json({
+                success: true,
+                deployerMatches: false,
+                deployerAddress: null,
+                deployment: null,
+                passedChecks,
+                evidence: evidence.checks,
+                requiresManualReview: true,
+                message: 'Contract deployer could not be automatically verified. Your submission will be reviewed manually by admin.'
+            });
+        }
+
+        // Neither deployer nor ownership evidence matches - REJECT
+        const deployer = deployment.deployer;
+        console.log('❌ Wallet mismatch - rejecting');
+        res.json({
+            success: false,
+            deployerMatches: false,
+            deployerAddress: deployer,
+            deployment,
+            passedChecks,
+            evidence: evidence.checks,
+            message: `Contract ownership verification failed. Please use the wallet that deployed or owns this contract (deployer: ${deployer.slice(0, 6)}...${deployer.slice(-4)}).`
+        });
+    } catch (error) {
+        console.error('Verify contract owner error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying contract owner',
+            error: error.message
+        });
+    }
+});
+
+
+/**
+ * Check user status
+ * GET /api/check-status/:walletAddress
+ */
+app.get('/api/check-status/:walletAddress', checkDatabase, async (req, res) => {
+    try {
+        const walletAddress = req.params.walletAddress.toLowerCase();
+
+        const result = await pool.query(
+            'SELECT is_approved, is_rejected FROM developers WHERE wallet_address = $1',
+            [walletAddress]
+        );
+
+        if (result.rows.length === 0) {
+            return res.json({
+                exists: false,
+                approved: false,
+                rejected: false
+            });
+        }
+
+        const developer = result.rows[0];
+
+        res.json({
+            exists: true,
+            approved: developer.is_approved,
+            rejected: developer.is_rejected
+        });
+    } catch (error) {
+        console.error('Check status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error checking status',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Get developer profile
+ * GET /api/profile/:walletAddress
+ */
+app.get('/api/profile/:walletAddress', checkDatabase, async (req, res) => {
+    try {
+        const walletAddress = req.params.walletAddress.toLowerCase();
+
+        const result = await pool.query(
+            `SELECT 
+                id, wallet_address, x_username, project_x, github_link,
+                main_contract, project_description, project_name, logo_url,
+                logo_mime, website, category, tags
+            FROM developers 
+            WHERE wallet_address = $1 AND is_approved = TRUE`,
+            [walletAddress]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Profile not found or not approved'
+            });
+        }
+
+        const { id, project_name, logo_url, logo_mime, website, category, tags, ...profile } = result.rows[0];
+
+        res.json({
+            success: true,
+            profile: {
+                ...profile,
+                ...describeProjectMetadata(result.rows[0]),
+                contracts: await describeDeveloperContracts(result.rows[0])
+            }
+        });
+    } catch (error) {
+        console.error('Get profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching profile',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Update own profile (signed-in developer)
+ * PUT /api/profile
+ * Cosmetic fields (xUsername, projectX, githubLink, projectDescription, project metadata,
+ * contract labels) apply immediately. A changed contract list creates a change request for admin review.
+ */
+app.put('/api/profile', checkDatabase, requireSession, async (req, res) => {
+    try {
+        const walletAddress = req.session.address;
+
+        const existing = await pool.query(
+            'SELECT * FROM developers WHERE wallet_address = $1',
+            [walletAddress]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Profile not found'
+            });
+        }
+
+        const developer = existing.rows[0];
+        if (!developer.is_approved) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only approved profiles can be edited. Pending or rejected profiles are updated through the registration form.'
+            });
+        }
+
+        const fieldResult = normalizeProfileFields(req.body);
+        if (fieldResult.error) {
+            return res.status(400).json({
+                success: false,
+                message: fieldResult.error
+            });
+        }
+
+        const columns = Object.keys(fieldResult.updates);
+        if (columns.length === 0 && req.body.contracts === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'No changes provided'
+            });
+        }
+
+        // Writes are collected first and applied together below, so an edit is never half-applied
+        let requestedChange = null;
+        let relabeledContracts = [];
+
+        if (req.body.contracts !== undefined) {
+            const contractResult = normalizeSubmittedContracts({ contracts: req.body.contracts });
+            if (contractResult.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: contractResult.error
+                });
+            }
+
+            const requestedContracts = contractResult.contracts;
+            const currentContracts = await describeDeveloperContracts(developer);
+
+            if (hasContractChanges(currentContracts, requestedContracts)) {
+                const pending = await pool.query(
+                    `SELECT id FROM profile_change_requests WHERE developer_id = $1 AND status = 'pending'`,
+                    [developer.id]
+                );
+
+                if (pending.rows.length > 0) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'You already have a contract change awaiting review'
+                    });
+                }
+
+                // Only contracts that aren't on the profile yet need a new ownership signature
+                const currentAddresses = new Set(currentContracts.map(contract => contract.address));
+                const newContracts = requestedContracts
+                    .map(contract => contract.address)
+                    .filter(address => !currentAddresses.has(address));
+
+                // The request claims nothing yet: approval checks these again under the claim lock
+                const claims = await findContractClaims(newContracts, walletAddress);
+                if (claims.length > 0) {
+                    return res.status(409).json(contractClaimConflict(claims));
+                }
+
+                const proofResult = await verifyOwnershipProofs(walletAddress, newContracts, req.body.ownershipProofs);
+                if (proofResult.error) {
+                    return res.status(400).json({
+                        success: false,
+                        message: proofResult.error
+                    });
+                }
+
+                requestedChange = { contracts: requestedContracts, newContracts, proofs: proofResult.proofs };
+            } else {
+                // Same contracts - only labels can differ
+                relabeledContracts = requestedContracts;
+            }
+        }
+
+        const inserted = await withTransaction(async client => {
+            for (const contract of relabeledContracts) {
+                await client.query(
+                    'UPDATE project_contracts SET label = $1 WHERE developer_id = $2 AND contract_address = $3',
+                    [contract.label, developer.id, contract.address]
+                );
+            }
+
+            await updateDeveloperColumns(developer.id, fieldResult.updates, client);
+
+            if (!requestedChange) return null;
+            return client.query(`
+                INSERT INTO profile_change_requests (developer_id, requested_contracts, ownership_proofs)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `, [developer.id, JSON.stringify(requestedChange.contracts), JSON.stringify(requestedChange.proofs)]);
+        });
+
+        const changeRequest = inserted ? formatChangeRequest(inserted.rows[0]) : null;
+        if (changeRequest) {
+            console.log('📝 Contract change request created:', { id: changeRequest.id, wallet: walletAddress });
+
+            refreshContractProxies(requestedChange.newContracts).catch(err => {
+                console.error('Proxy detection error:', err.message);
+            });
+        }
+
+        console.log('✏️  Profile updated:', { wallet: walletAddress, fields: columns, changeRequest: changeRequest?.id || null });
+
+        res.json({
+            success: true,
+            message: changeRequest
+                ? 'Profile updated. Your contract changes were sent for admin review.'
+                : 'Profile updated.',
+            changeRequest
+        });
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating profile',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Get own latest contract change request (signed-in developer)
+ * GET /api/change-requests/mine
+ */
+app.get('/api/change-requests/mine', checkDatabase, requireSession, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT r.* FROM profile_change_requests r
+            JOIN developers d ON d.id = r.developer_id
+            WHERE d.wallet_address = $1
+            ORDER BY r.date_submitted DESC
+            LIMIT 1
+        `, [req.session.address]);
+
+        res.json({
+            success: true,
+            changeRequest: result.rows.length > 0 ? formatChangeRequest(result.rows[0]) : null
+        });
+    } catch (error) {
+        console.error('Get change request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching change request',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Get project categories
+ * GET /api/categories
+ */
+app.get('/api/categories', (req, res) => {
+    res.json({
+        success: true,
+        categories: Object.entries(PROJECT_CATEGORIES).map(([value, label]) => ({ value, label }))
+    });
+});
+
+/**
+ * Serve an uploaded project logo
+ * GET /api/projects/:walletAddress/logo
+ */
+app.get('/api/projects/:walletAddress/logo', checkDatabase, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT logo_image, logo_mime FROM developers WHERE wallet_address = $1 AND is_approved = TRUE',
+            [req.params.walletAddress.toLowerCase()]
+        );
+
+        if (result.rows.length === 0 || !result.rows[0].logo_image) {
+            return res.status(404).json({
+                success: false,
+                message: 'Logo not found'
+            });
+        }
+
+        res.set('Content-Type', result.rows[0].logo_mime);
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.send(result.rows[0].logo_image);
+    } catch (error) {
+        console.error('Get logo error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching logo',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Get project statistics
+ * GET /api/stats/:walletAddress
+ * `windows` holds 24h / 7d / 30d activity and growth over the previous period of the same length.
+ * `scan` tells whether an update is queued or running and when the project was last scanned.
+ */
+app.get('/api/stats/:walletAddress', checkDatabase, async (req, res) => {
+    try {
+        const walletAddress = req.params.walletAddress.toLowerCase();
+
+        // Check if approved
+        const developer = await pool.query(
+            'SELECT id, main_contract FROM developers WHERE wallet_address = $1 AND is_approved = TRUE',
+            [walletAddress]
+        );
+
+        if (developer.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Profile not found or not approved'
+            });
+        }
+
+        // Get stats
+        const stats = await pool.query(
+            'SELECT * FROM project_stats WHERE wallet_address = $1',
+            [walletAddress]
+        );
+
+        // Ranks from the ranking engine, by ranking name
+        const ranks = await getProjectRanks(walletAddress);
+
+        const scan = await getScanStatus(walletAddress);
+
+        // Per-contract breakdown
+        const contracts = (await describeDeveloperContracts(developer.rows[0])).map(contract => ({
+            address: contract.address,
+            label: contract.label,
+            role: contract.role,
+            ...contract.stats
+        }));
+
+        if (stats.rows.length === 0) {
+            // Return default stats if not yet calculated
+            return res.json({
+                success: true,
+                stats: {
+                    totalTransactions: 0,
+                    transactionsLast12h: 0,
+                    uniqueWallets: 0,
+                    walletsLast12h: 0,
+                    growthRate: 0,
+                    windows: {},
+                    activity: { transactions: 0, tokenTransfers: 0, internalTransactions: 0 },
+                    activityTypes: LEADERBOARD_ACTIVITY_TYPES,
+                    gas: { gasUsed: '0', feesWei: '0', failedTransactions: 0, failureRate: null },
+                    ranks: {},
+                    rankTx: null,
+                    rankUnique: null,
+                    contracts,
+                    scan
+                }
+            });
+        }
+
+        res.json({
+            success: true,
+            stats: {
+                totalTransactions: parseInt(stats.rows[0].total_transactions) || 0,
+                transactionsLast12h: parseInt(stats.rows[0].transactions_last_12h) || 0,
+                uniqueWallets: parseInt(stats.rows[0].unique_wallets) || 0,
+                walletsLast12h: parseInt(stats.rows[0].wallets_last_12h) || 0,
+                growthRate: parseFloat(stats.rows[0].growth_rate) || 0,
+                windows: stats.rows[0].activity_windows || {},
+                activity: {
+                    transactions: parseInt(stats.rows[0].direct_transactions) || 0,
+                    tokenTransfers: parseInt(stats.rows[0].token_transfers) || 0,
+                    internalTransactions: parseInt(stats.rows[0].internal_transactions) || 0
+                },
+                activityTypes: LEADERBOARD_ACTIVITY_TYPES,
+                gas: describeGasMetrics(stats.rows[0]),
+                ranks,
+                rankTx: ranks.transactions ? ranks.transactions.rank : null,
+                rankUnique: ranks.wallets ? ranks.wallets.rank : null,
+                contracts,
+                scan
+            }
+        });
+    } catch (error) {
+        console.error('Get stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching stats',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Update a project's stats now instead of at the next scheduled run
+ * POST /api/stats/:walletAddress/rescan
+ * Open to moderators and to the project owner, who is limited to one rescan per OWNER_RESCAN_COOLDOWN_MINUTES.
+ */
+app.post('/api/stats/:walletAddress/rescan', checkDatabase, requireSession, async (req, res) => {
+    try {
+        const walletAddress = req.params.walletAddress.toLowerCase();
+        const role = await getAdminRole(req.session.address);
+        const isModerator = role === ADMIN_ROLES.SUPER_ADMIN || role === ADMIN_ROLES.REVIEWER;
+
+        if (!isModerator && req.session.address !== walletAddress) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the project owner or an admin can rescan this project'
+            });
+        }
+
+        const developer = await pool.query(
+            'SELECT id FROM developers WHERE wallet_address = $1 AND is_approved = TRUE',
+            [walletAddress]
+        );
+        if (developer.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Profile not found or not approved'
+            });
+        }
+
+        if (!isModerator) {
+            const lastRescan = await pool.query(`
+                SELECT EXTRACT(EPOCH FROM CURRENT_TIMESTAMP - MAX(r.started_at)) AS seconds_ago
+                FROM stats_runs r
+                JOIN stats_jobs j ON j.run_id = r.id
+                WHERE r.trigger = $1 AND j.wallet_address = $2
+            `, [RESCAN_TRIGGER, walletAddress]);
+
+            const secondsAgo = lastRescan.rows[0].seconds_ago;
+            const retryAfter = secondsAgo === null ? 0 : Math.ceil(OWNER_RESCAN_COOLDOWN_MINUTES * 60 - parseFloat(secondsAgo));
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    message: `This project was rescanned recently. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+                    retryAfter
+                });
+            }
+        }
+
+        const runId = await rescanProject(walletAddress);
+        if (runId === null) {
+            return res.status(409).json({
+                success: false,
+                message: 'A scan of this project is already in progress',
+                scan: await getScanStatus(walletAddress)
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Rescan started',
+            scan: await getScanStatus(walletAddress)
+        });
+    } catch (error) {
+        console.error('Rescan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error starting rescan',
+            error: error.message
+        });
+    }
+});
+
+// Metrics available from stats_history, by query name
+const HISTORY_METRICS = {
+    transactions: 'total_transactions',
+    transactionsLast12h: 'transactions_last_12h',
+    wallets: 'unique_wallets',
+    walletsLast12h: 'wallets_last_12h',
+    rankTx: 'rank_tx',
+    rankUnique: 'rank_unique'
+};
+const HISTORY_INTERVALS = ['raw', 'day', 'week'];
+const DEFAULT_HISTORY_DAYS = 30;
+
+/**
+ * Get a project's stats over time
+ * GET /api/stats/:walletAddress/history?metric=transactions,wallets&from=&to=&interval=raw|day|week
+ * Each metric is a list of { timestamp, value }. With day/week intervals the last snapshot of each period is used.
+ */
+app.get('/api/stats/:walletAddress/history', checkDatabase, async (req, res) => {
+    try {
+        const walletAddress = req.params.walletAddress.toLowerCase();
+
+        const requestedMetrics = req.query.metric
+            ? String(req.query.metric).split(',').map(metric => metric.trim()).filter(Boolean)
+            : Object.keys(HISTORY_METRICS);
+        const unknownMetric = requestedMetrics.find(metric => !HISTORY_METRICS[metric]);
+        if (unknownMetric) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown metric: ${unknownMetric}. Expected one of: ${Object.keys(HISTORY_METRICS).join(', ')}`
+            });
+        }
+
+        const interval = req.query.interval || 'raw';
+        if (!HISTORY_INTERVALS.includes(interval)) {
+            return res.status(400).json({
+                success: false,
+                message: `interval must be one of: ${HISTORY_INTERVALS.join(', ')}`
+            });
+        }
+
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to must be valid dates with from before to'
+            });
+        }
+
+        const developer = await pool.query(
+            'SELECT id FROM developers WHERE wallet_address = $1 AND is_approved = TRUE',
+            [walletAddress]
+        );
+
+        if (developer.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Profile not found or not approved'
+            });
+        }
+
+        const columns = requestedMetrics.map(metric => HISTORY_METRICS[metric]).join(', ');
+        const result = interval === 'raw'
+            ? await pool.query(`
+                SELECT recorded_at, ${columns}
+                FROM stats_history
+                WHERE wallet_address = $1 AND recorded_at BETWEEN $2 AND $3
+                ORDER BY recorded_at
+            `, [walletAddress, from, to])
+            : await pool.query(`
+                SELECT * FROM (
+                    SELECT DISTINCT ON (DATE_TRUNC('${interval}', recorded_at))
+                        DATE_TRUNC('${interval}', recorded_at) AS period, recorded_at, ${columns}
+                    FROM stats_history
+                    WHERE wallet_address = $1 AND recorded_at BETWEEN $2 AND $3
+                    ORDER BY DATE_TRUNC('${interval}', recorded_at), recorded_at DESC
+                ) snapshots
+                ORDER BY period
+            `, [walletAddress, from, to]);
+
+        const series = {};
+        for (const metric of requestedMetrics) {
+            series[metric] = result.rows.map(row => ({
+                timestamp: row.period || row.recorded_at,
+                value: row[HISTORY_METRICS[metric]] === null ? null : parseInt(row[HISTORY_METRICS[metric]])
+            }));
+        }
+
+        res.json({
+            success: true,
+            walletAddress,
+            interval,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            series
+        });
+    } catch (error) {
+        console.error('Get stats history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching stats history',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Contract addresses of an approved project, or null if the wallet has no approved profile
+ */
+async function getApprovedProjectContracts(walletAddress) {
+    const result = await pool.query(`
+        SELECT d.main_contract,
+               ARRAY_AGG(pc.contract_address) FILTER (WHERE pc.contract_address IS NOT NULL) AS contracts
+        FROM developers d
+        LEFT JOIN project_contracts pc ON pc.developer_id = d.id
+        WHERE d.wallet_address = $1 AND d.is_approved = TRUE
+        GROUP BY d.id
+    `, [walletAddress]);
+
+    if (result.rows.length === 0) return null;
+    return result.rows[0].contracts || [result.rows[0].main_contract];
+}
+
+/**
+ * Get active wallet metrics: DAU/WAU/MAU now, and active/new/returning wallets per period
+ * GET /api/stats/:walletAddress/active-wallets?interval=day|week|month&from=&to=
+ */
+app.get('/api/stats/:walletAddress/active-wallets', checkDatabase, async (req, res) => {
+    try {
+        const walletAddress = req.params.walletAddress.toLowerCase();
+
+        const interval = req.query.interval || 'day';
+        if (!metrics.ACTIVITY_INTERVALS.includes(interval)) {
+            return res.status(400).json({
+                success: false,
+                message: `interval must be one of: ${metrics.ACTIVITY_INTERVALS.join(', ')}`
+            });
+        }
+
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to must be valid dates with from before to'
+            });
+        }
+
+        const contractAddresses = await getApprovedProjectContracts(walletAddress);
+        if (!contractAddresses) {
+            return res.status(404).json({
+                success: false,
+                message: 'Profile not found or not approved'
+            });
+        }
+
+        const [current, series] = await Promise.all([
+            metrics.getActiveWallets(pool, contractAddresses, Math.floor(Date.now() / 1000)),
+            metrics.getActiveWalletSeries(pool, contractAddresses, {
+                interval,
+                fromTimestamp: Math.floor(from.getTime() / 1000),
+                toTimestamp: Math.floor(to.getTime() / 1000)
+            })
+        ]);
+
+        res.json({
+            success: true,
+            walletAddress,
+            interval,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            current,
+            series
+        });
+    } catch (error) {
+        console.error('Get active wallets error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching active wallets',
+            error: error.message
+        });
+    }
+});
+
+const MAX_RETENTION_WEEKS = 26;
+
+/**
+ * Get weekly retention cohorts
+ * GET /api/stats/:walletAddress/retention?weeks=8
+ */
+app.get('/api/stats/:walletAddress/retention', checkDatabase, async (req, res) => {
+    try {
+        const walletAddress = req.params.walletAddress.toLowerCase();
+
+        const weeks = req.query.weeks ? parseInt(req.query.weeks) : 8;
+        if (isNaN(weeks) || weeks < 1 || weeks > MAX_RETENTION_WEEKS) {
+            return res.status(400).json({
+                success: false,
+                message: `weeks must be between 1 and ${MAX_RETENTION_WEEKS}`
+            });
+        }
+
+        const contractAddresses = await getApprovedProjectContracts(walletAddress);
+        if (!contractAddresses) {
+            return res.status(404).json({
+                success: false,
+                message: 'Profile not found or not approved'
+            });
+        }
+
+        const cohorts = await metrics.getRetentionCohorts(pool, contractAddresses, {
+            weeks,
+            nowTimestamp: Math.floor(Date.now() / 1000)
+        });
+
+        res.json({
+            success: true,
+            walletAddress,
+            weeks,
+            cohorts
+        });
+    } catch (error) {
+        console.error('Get retention error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching retention cohorts',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// Ranking Formulas
+// ============================================
+// Formulas live in ranking_formulas and are applied by lib/ranking.js on every
+// stats update (or formula change); the results are stored in project_rankings.
+
+/**
+ * All ranking formulas: Map of name -> { formula, isDefault, updatedBy, updatedAt }.
+ * Stored formulas that no longer validate are skipped.
+ */
+async function getRankingFormulas() {
+    const result = await pool.query('SELECT name, formula, updated_by, updated_at FROM ranking_formulas ORDER BY name');
+    const formulas = new Map();
 
-        if (response.data.status === '1' && response.data.result) {
-            return response.data.result;
+    for (const row of result.rows) {
+        try {
+            formulas.set(row.name, {
+                formula: ranking.validateFormula(row.formula),
+                isDefault: Object.prototype.hasOwnProperty.call(ranking.DEFAULT_FORMULAS, row.name),
+                updatedBy: row.updated_by,
+                updatedAt: row.updated_at
+            });
+        } catch (error) {
+            console.error(`⚠️  Skipping invalid ranking formula "${row.name}":`, error.message);
         }
-        return [];
-    } catch (error) {
-        console.error('Error fetching contract transactions:', error);
-        return [];
     }
+    return formulas;
 }
 
 /**
- * Calculate unique wallets from transactions
+ * A project's persisted rank and score in every ranking
  */
-function calculateUniqueWallets(transactions) {
-    const wallets = new Set();
-    transactions.forEach(tx => {
-        if (tx.from) wallets.add(tx.from.toLowerCase());
-        if (tx.to) wallets.add(tx.to.toLowerCase());
-    });
-    return wallets.size;
+async function getProjectRanks(walletAddress) {
+    const result = await pool.query(`
+        SELECT r.ranking_name, r.rank, r.score, f.formula->>'label' AS label
+        FROM project_rankings r
+        JOIN ranking_formulas f ON f.name = r.ranking_name
+        WHERE r.wallet_address = $1
+    `, [walletAddress]);
+
+    return Object.fromEntries(result.rows.map(row => [row.ranking_name, {
+        label: row.label,
+        rank: row.rank,
+        score: row.score
+    }]));
 }
 
 // ============================================
-// API Routes
+// Leaderboard Filters
 // ============================================
 
 /**
- * Health check
+ * Parse leaderboard filter query parameters into SQL conditions on developers d / project_stats s.
+ * Returns { conditions, params, filters } or { error }.
  */
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        timestamp: new Date().toISOString(),
-        environment: NODE_ENV 
-    });
-});
+function parseLeaderboardFilters(query) {
+    const conditions = [];
+    const params = [];
+    const filters = {};
 
-/**
- * Register new developer
- * POST /api/register
- */
-app.post('/api/register', checkDatabase, async (req, res) => {
-    try {
-        const {
-            walletAddress,
-            xUsername,
-            projectX,
-            githubLink,
-            mainContract,
-            optionalContract1,
-            optionalContract2,
-            projectDescription
-        } = req.body;
+    if (query.category) {
+        if (!Object.prototype.hasOwnProperty.call(PROJECT_CATEGORIES, query.category)) {
+            return { error: `Unknown category: ${query.category}` };
+        }
+        params.push(query.category);
+        conditions.push(`d.category = $${params.length}`);
+        filters.category = query.category;
+    }
 
-        console.log('📝 Registration request received:', {
-            walletAddress,
-            xUsername,
-            mainContract,
-            hasDescription: !!projectDescription,
-            projectDescription: projectDescription ? `${projectDescription.substring(0, 50)}...` : 'MISSING',
-            allFields: Object.keys(req.body)
-        });
+    if (query.tag) {
+        const tag = String(query.tag).trim().toLowerCase();
+        params.push(tag);
+        conditions.push(`$${params.length} = ANY(d.tags)`);
+        filters.tag = tag;
+    }
 
-        // Validation
-        if (!walletAddress || !xUsername || !mainContract) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing required fields: walletAddress, xUsername, mainContract'
-            });
-        }
+    for (const [param, column] of [['minTransactions', 's.total_transactions'], ['minWallets', 's.unique_wallets']]) {
+        if (query[param] === undefined || query[param] === '') continue;
 
-        // Validate project description
-        if (!projectDescription || !projectDescription.trim()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Project description is required. Please provide a brief description of your project.'
-            });
+        const value = parseInt(query[param]);
+        if (isNaN(value) || value < 0) {
+            return { error: `${param} must be a non-negative number` };
         }
+        params.push(value);
+        conditions.push(`COALESCE(${column}, 0) >= $${params.length}`);
+        filters[param] = value;
+    }
 
-        // Validate project description length
-        const trimmedDescription = projectDescription.trim();
-        if (trimmedDescription.length < 50) {
-            return res.status(400).json({
-                success: false,
-                message: 'Project description must be at least 50 characters long. Please provide more details about your project.'
-            });
+    for (const [param, operator] of [['registeredAfter', '>='], ['registeredBefore', '<']]) {
+        if (!query[param]) continue;
+
+        const date = new Date(query[param]);
+        if (isNaN(date.getTime())) {
+            return { error: `${param} must be a valid date (YYYY-MM-DD)` };
         }
+        params.push(date.toISOString());
+        conditions.push(`d.date_submitted ${operator} $${params.length}`);
+        filters[param] = date.toISOString();
+    }
 
-        // Validate wallet address
-        if (!ethers.utils.isAddress(walletAddress)) {
+    return { conditions, params, filters };
+}
+
+/**
+ * Category and tag counts across all approved projects, for filter chips
+ */
+async function getLeaderboardFacets() {
+    const categories = await pool.query(`
+        SELECT category, COUNT(*) AS count
+        FROM developers
+        WHERE is_approved = TRUE AND category IS NOT NULL
+        GROUP BY category
+    `);
+
+    const tags = await pool.query(`
+        SELECT tag, COUNT(*) AS count
+        FROM developers, UNNEST(tags) AS tag
+        WHERE is_approved = TRUE
+        GROUP BY tag
+        ORDER BY count DESC, tag ASC
+        LIMIT 20
+    `);
+
+    return {
+        categories: categories.rows.map(row => ({
+            value: row.category,
+            label: PROJECT_CATEGORIES[row.category] || row.category,
+            count: parseInt(row.count)
+        })),
+        tags: tags.rows.map(row => ({
+            tag: row.tag,
+            count: parseInt(row.count)
+        }))
+    };
+}
+
+/**
+ * Get leaderboard
+ * GET /api/leaderboard?sort=<ranking name>&category=&tag=&minTransactions=&minWallets=&registeredAfter=&registeredBefore=
+ * Projects are ordered by the persisted ranks of the chosen ranking (see lib/ranking.js).
+ * `rank` is the position within the filtered set, so ?category=defi gives the top DeFi projects;
+ * `ranks` holds each project's overall rank in every ranking.
+ */
+app.get('/api/leaderboard', checkDatabase, async (req, res) => {
+    try {
+        // The overall ranking keeps the tx + 5 × wallets order the leaderboard had before rankings were configurable
+        const sortBy = req.query.sort || 'overall';
+        const limit = 100;
+
+        const formulas = await getRankingFormulas();
+        if (!formulas.has(sortBy)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid wallet address'
+                message: `Invalid sort. Must be one of: ${[...formulas.keys()].join(', ')}`
             });
         }
 
-        // Validate contract address format only (no ownership verification)
-        if (!ethers.utils.isAddress(mainContract)) {
+        const filterResult = parseLeaderboardFilters(req.query);
+        if (filterResult.error) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid main contract address'
+                message: filterResult.error
             });
         }
+        const { conditions, params, filters } = filterResult;
 
-        // ============================================
-        // NO CONTRACT VERIFICATION - MANUAL REVIEW ONLY
-        // ============================================
-        // All contract ownership verification has been removed.
-        // Submissions are accepted without checking deployer address.
-        // Admin will manually verify contract ownership during review.
-        // ============================================
-        console.log('📝 Submission received - NO automatic verification');
-        console.log('   Contract:', mainContract);
-        console.log('   Submitting wallet:', walletAddress);
-        console.log('   Status: Accepted for manual admin review');
+        // Get approved developers matching the filters, with stats, in the chosen ranking's order
+        const result = await pool.query(`
+            SELECT 
+                d.wallet_address,
+                d.x_username,
+                d.main_contract as contract_address,
+                d.project_name,
+                d.logo_url,
+                d.logo_mime,
+                d.website,
+                d.category,
+                d.tags,
+                COALESCE(s.total_transactions, 0) as total_transactions,
+                COALESCE(s.unique_wallets, 0) as unique_wallets,
+                COALESCE(s.activity_windows, '{}') as activity_windows,
+                COALESCE(s.direct_transactions, 0) as direct_transactions,
+                COALESCE(s.token_transfers, 0) as token_transfers,
+                COALESCE(s.internal_transactions, 0) as internal_transactions,
+                COALESCE(s.gas_used, 0) as gas_used,
+                COALESCE(s.fees_wei, 0) as fees_wei,
+                COALESCE(s.failed_transactions, 0) as failed_transactions,
+                s.failure_rate,
+                COALESCE(s.quality_score, 0) as quality_score,
+                COALESCE(s.suspicion_score, 0) as suspicion_score,
+                r.rank as ranking_rank,
+                r.score as ranking_score,
+                (
+                    SELECT COALESCE(JSONB_OBJECT_AGG(pr.ranking_name, pr.rank), '{}')
+                    FROM project_rankings pr
+                    WHERE pr.wallet_address = d.wallet_address
+                ) as ranks
+            FROM developers d
+            LEFT JOIN project_stats s ON d.wallet_address = s.wallet_address
+            LEFT JOIN project_rankings r ON r.wallet_address = d.wallet_address AND r.ranking_name = $${params.length + 1}
+            WHERE ${['d.is_approved = TRUE', ...conditions].join(' AND ')}
+            ORDER BY r.rank ASC NULLS LAST, d.wallet_address
+            LIMIT ${limit}
+        `, [...params, sortBy]);
 
-        // Check if wallet already exists
-        const existing = await pool.query(
-            'SELECT * FROM developers WHERE wallet_address = $1',
-            [walletAddress.toLowerCase()]
-        );
+        const leaderboard = result.rows.map((row, index) => ({
+            walletAddress: row.wallet_address,
+            ...describeProjectMetadata(row),
+            contractAddress: row.contract_address,
+            totalTransactions: parseInt(row.total_transactions) || 0,
+            uniqueWallets: parseInt(row.unique_wallets) || 0,
+            windows: row.activity_windows,
+            activity: {
+                transactions: parseInt(row.direct_transactions) || 0,
+                tokenTransfers: parseInt(row.token_transfers) || 0,
+                internalTransactions: parseInt(row.internal_transactions) || 0
+            },
+            gas: describeGasMetrics(row),
+            // The overall ranking's formula with suspicious activity discounted (see lib/ranking.js)
+            qualityScore: Math.round(parseFloat(row.quality_score) || 0),
+            suspicionScore: parseFloat(row.suspicion_score) || 0,
+            xUsername: row.x_username,
+            // Unranked projects (below a minimum, or missing a metric) are listed last without a rank
+            rank: row.ranking_rank !== null ? index + 1 : null,
+            score: row.ranking_score,
+            ranks: row.ranks,
+            rankTx: row.ranks.transactions || null,
+            rankUnique: row.ranks.wallets || null
+        }));
 
-        // Format X username
-        const formattedXUsername = xUsername.startsWith('@') ? xUsername : `@${xUsername}`;
+        res.json({
+            success: true,
+            sort: sortBy,
+            rankings: [...formulas].map(([name, { formula }]) => ({ name, label: formula.label })),
+            filters,
+            activityTypes: LEADERBOARD_ACTIVITY_TYPES,
+            facets: await getLeaderboardFacets(),
+            leaderboard
+        });
+    } catch (error) {
+        console.error('Get leaderboard error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching leaderboard',
+            error: error.message
+        });
+    }
+});
 
-        // Clean empty strings to null
-        const cleanProjectX = projectX && projectX.trim() ? projectX.trim() : null;
-        const cleanGithubLink = githubLink && githubLink.trim() ? githubLink.trim() : null;
-        const cleanOptional1 = optionalContract1 && optionalContract1.trim() ? optionalContract1.trim().toLowerCase() : null;
-        const cleanOptional2 = optionalContract2 && optionalContract2.trim() ? optionalContract2.trim().toLowerCase() : null;
-        const cleanProjectDescription = projectDescription && projectDescription.trim() ? projectDescription.trim() : null;
+// Developers with the number of contracts in their project
+const SUBMISSION_LIST_QUERY = `
+    SELECT d.*, (SELECT COUNT(*) FROM project_contracts pc WHERE pc.developer_id = d.id) AS contract_count
+    FROM developers d
+`;
 
-        let result;
-        let isResubmission = false;
+/**
+ * Get pending submissions (Admin only)
+ * GET /api/pending-submissions?status=pending|approved|rejected
+ */
+app.get('/api/pending-submissions', checkDatabase, requireRole(...ALL_ADMIN_ROLES), async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        console.log('📋 Fetching submissions with status:', status);
+        
+        let query;
 
-        if (existing.rows.length > 0) {
-            const existingRecord = existing.rows[0];
-            
-            // If already approved, don't allow resubmission
-            if (existingRecord.is_approved) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Your profile is already approved. No need to resubmit.'
-                });
-            }
-            
-            // If pending (not rejected), don't allow resubmission
-            if (!existingRecord.is_rejected) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Your profile is already pending review. Please wait for admin approval.'
-                });
-            }
-            
-            // If rejected, allow resubmission - UPDATE the existing record
-            isResubmission = true;
-            console.log('🔄 Resubmitting rejected profile. Updating existing record ID:', existingRecord.id);
-            
-            result = await pool.query(
-                `UPDATE developers SET
-                    x_username = $1,
-                    project_x = $2,
-                    github_link = $3,
-                    main_contract = $4,
-                    optional_contract_1 = $5,
-                    optional_contract_2 = $6,
-                    project_description = $7,
-                    is_approved = FALSE,
-                    is_rejected = FALSE,
-                    rejection_reason = NULL,
-                    date_submitted = CURRENT_TIMESTAMP,
-                    last_updated = CURRENT_TIMESTAMP
-                WHERE wallet_address = $8
-                RETURNING *`,
-                [
-                    formattedXUsername,
-                    cleanProjectX,
-                    cleanGithubLink,
-                    mainContract.toLowerCase(),
-                    cleanOptional1,
-                    cleanOptional2,
-                    cleanProjectDescription,
-                    walletAddress.toLowerCase()
-                ]
-            );
-            
-            console.log('✅ Rejected profile resubmitted successfully. ID:', result.rows[0].id);
+        if (status === 'approved') {
+            query = `${SUBMISSION_LIST_QUERY} WHERE is_approved = TRUE ORDER BY date_submitted DESC`;
+        } else if (status === 'rejected') {
+            query = `${SUBMISSION_LIST_QUERY} WHERE is_rejected = TRUE ORDER BY date_submitted DESC`;
         } else {
-            // New registration - INSERT new record
-            console.log('💾 Storing new developer data:', {
-                walletAddress: walletAddress.toLowerCase(),
-                xUsername: formattedXUsername,
-                mainContract: mainContract.toLowerCase(),
-                projectX: cleanProjectX,
-                githubLink: cleanGithubLink,
-                hasDescription: !!cleanProjectDescription
-            });
-
-            result = await pool.query(
-                `INSERT INTO developers (
-                    wallet_address, x_username, project_x, github_link,
-                    main_contract, optional_contract_1, optional_contract_2,
-                    project_description, is_approved, is_rejected
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-                RETURNING *`,
-                [
-                    walletAddress.toLowerCase(),
-                    formattedXUsername,
-                    cleanProjectX,
-                    cleanGithubLink,
-                    mainContract.toLowerCase(),
-                    cleanOptional1,
-                    cleanOptional2,
-                    cleanProjectDescription,
-                    false,
-                    false
-                ]
-            );
-
-            console.log('✅ Developer registered successfully. ID:', result.rows[0].id);
+            query = `${SUBMISSION_LIST_QUERY} WHERE is_approved = FALSE AND is_rejected = FALSE ORDER BY date_submitted DESC`;
         }
-        
+
+        console.log('🔍 Executing query:', query);
+        const result = await pool.query(query);
+        console.log('📊 Database returned', result.rows.length, 'rows');
+
+        // Map database columns to frontend expected format
+        const submissions = result.rows.map(row => {
+            const submission = {
+                id: row.id,
+                walletAddress: row.wallet_address,
+                xUsername: row.x_username,
+                projectX: row.project_x,
+                githubLink: row.github_link,
+                projectName: describeProjectMetadata(row).projectName,
+                mainContract: row.main_contract,
+                contractCount: parseInt(row.contract_count) || 0,
+                projectDescription: row.project_description,
+                isApproved: row.is_approved,
+                isRejected: row.is_rejected,
+                dateSubmitted: row.date_submitted
+            };
+            console.log('📝 Mapped submission:', submission.id, submission.walletAddress);
+            return submission;
+        });
+
+        console.log(`✅ Returning ${submissions.length} submissions for status: ${status}`);
+
         res.json({
             success: true,
-            message: isResubmission 
-                ? 'Profile resubmitted successfully. Waiting for admin approval.'
-                : 'Profile submitted successfully. Waiting for admin approval.',
-            profileId: result.rows[0].id,
-            isResubmission: isResubmission
+            submissions: submissions
         });
     } catch (error) {
-        console.error('❌ Register error:', error);
+        console.error('❌ Get pending submissions error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error registering developer',
+            message: 'Error fetching submissions',
             error: error.message
         });
     }
 });
 
 /**
- * Verify contract owner
- * POST /api/verify-contract-owner
+ * Get single submission (Admin only)
+ * GET /api/submission/:id
  */
-app.post('/api/verify-contract-owner', async (req, res) => {
+app.get('/api/submission/:id', checkDatabase, requireRole(...ALL_ADMIN_ROLES), async (req, res) => {
     try {
-        const { contractAddress, walletAddress } = req.body;
+        const submissionId = parseInt(req.params.id);
+        console.log('🔍 Fetching submission ID:', submissionId);
 
-        console.log('Verify contract owner request:', { contractAddress, walletAddress });
+        const result = await pool.query(
+            'SELECT * FROM developers WHERE id = $1',
+            [submissionId]
+        );
 
-        if (!contractAddress || !walletAddress) {
-            return res.status(400).json({
+        if (result.rows.length === 0) {
+            console.log('❌ Submission not found for ID:', submissionId);
+            return res.status(404).json({
                 success: false,
-                message: 'Missing contractAddress or walletAddress'
+                message: 'Submission not found'
             });
         }
 
-        // Validate contract address format
-        if (!contractAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+        const submission = result.rows[0];
+        console.log('✅ Submission found:', {
+            id: submission.id,
+            wallet: submission.wallet_address,
+            xUsername: submission.x_username
+        });
+
+        // Map database columns to frontend expected format
+        res.json({
+            success: true,
+            submission: {
+                id: submission.id,
+                walletAddress: submission.wallet_address,
+                xUsername: submission.x_username,
+                projectX: submission.project_x,
+                githubLink: submission.github_link,
+                mainContract: submission.main_contract,
+                projectDescription: submission.project_description,
+                ...describeProjectMetadata(submission),
+                // Inline so reviewers see uploaded logos before the profile is public
+                logoImage: submission.logo_image
+                    ? `data:${submission.logo_mime};base64,${submission.logo_image.toString('base64')}`
+                    : null,
+                ownershipProofs: describeOwnershipProofs(submission.wallet_address, submission.ownership_proofs),
+                contracts: await describeDeveloperContracts(submission),
+                sybil: await getSybilEvidence(submission.wallet_address),
+                isApproved: submission.is_approved,
+                isRejected: submission.is_rejected,
+                dateSubmitted: submission.date_submitted
+            }
+        });
+    } catch (error) {
+        console.error('Get submission error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching submission',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Approve submission (Admin only)
+ * POST /api/approve
+ */
+app.post('/api/approve', checkDatabase, requireRole(ADMIN_ROLES.SUPER_ADMIN, ADMIN_ROLES.REVIEWER), async (req, res) => {
+    try {
+        const { submissionId } = req.body;
+
+        if (!submissionId) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid contract address format'
+                message: 'Missing submissionId'
             });
         }
 
-        // Validate wallet address format
-        if (!walletAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-            return res.status(400).json({
+        const existing = await pool.query(
+            'SELECT * FROM developers WHERE id = $1',
+            [submissionId]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({
                 success: false,
-                message: 'Invalid wallet address format'
+                message: 'Submission not found'
             });
         }
 
-        // Get contract deployer
-        const deployer = await getContractDeployer(contractAddress);
+        // Don't list a contract that another developer already holds
+        const contracts = await describeDeveloperContracts(existing.rows[0]);
+        const { claims, result: updated } = await withContractClaims(
+            contracts.map(contract => contract.address),
+            existing.rows[0].wallet_address,
+            async client => {
+                // Read again under a row lock so the audit log records the state this approval replaced
+                const previous = await client.query('SELECT * FROM developers WHERE id = $1 FOR UPDATE', [submissionId]);
+                if (previous.rows.length === 0) return null;
 
-        // If deployer can't be found, allow for manual review
-        if (!deployer) {
-            console.log('⚠️  Deployer not found - allowing for manual review');
-            return res.json({
-                success: true,
-                deployerMatches: false,
-                deployerAddress: null,
-                requiresManualReview: true,
-                message: 'Contract deployer could not be automatically verified. Your submission will be reviewed manually by admin.'
-            });
-        }
+                const approved = await client.query(
+                    'UPDATE developers SET is_approved = TRUE, is_rejected = FALSE, last_updated = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+                    [submissionId]
+                );
 
-        const deployerMatches = deployer.toLowerCase() === walletAddress.toLowerCase();
+                await recordModerationEvent({
+                    actorWallet: req.session.address,
+                    action: 'approve',
+                    submissionId: previous.rows[0].id,
+                    previousState: getSubmissionState(previous.rows[0]),
+                    newState: getSubmissionState(approved.rows[0])
+                }, client);
 
-        console.log('🔍 Deployer check:', { 
-            deployer: deployer.toLowerCase(), 
-            walletAddress: walletAddress.toLowerCase(), 
-            deployerMatches 
-        });
+                return approved;
+            }
+        );
+        if (claims.length > 0) {
+            return res.status(409).json(contractClaimConflict(claims));
+        }
 
-        if (!deployerMatches) {
-            // Deployer doesn't match - REJECT
-            console.log('❌ Wallet mismatch - rejecting');
-            return res.json({
+        if (!updated) {
+            return res.status(404).json({
                 success: false,
-                deployerMatches: false,
-                deployerAddress: deployer,
-                message: `Contract ownership verification failed. Please use the wallet that deployed this contract (${deployer.slice(0, 6)}...${deployer.slice(-4)}).`
+                message: 'Submission not found'
             });
         }
 
-        // Deployer matches - ALLOW
-        console.log('✅ Wallet matches deployer - verification passed');
+        // Initialize stats for approved developer
+        const { wallet_address, main_contract } = updated.rows[0];
+
+        // Insert or update stats
+        await pool.query(`
+            INSERT INTO project_stats (wallet_address, main_contract, last_scanned)
+            VALUES ($1, $2, NULL)
+            ON CONFLICT (wallet_address) DO NOTHING
+        `, [wallet_address, main_contract]);
+
+        // Fill in real stats now rather than at the next scheduled update
+        rescanProject(wallet_address).catch(error => {
+            console.error(`Error queueing rescan for ${wallet_address}:`, error);
+        });
+
         res.json({
             success: true,
-            deployerMatches: true,
-            deployerAddress: deployer,
-            message: 'Contract ownership verified successfully.'
+            message: 'Submission approved successfully'
         });
     } catch (error) {
-        console.error('Verify contract owner error:', error);
+        console.error('Approve submission error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error verifying contract owner',
+            message: 'Error approving submission',
             error: error.message
         });
     }
 });
 
-
 /**
- * Check user status
- * GET /api/check-status/:walletAddress
+ * Reject submission (Admin only)
+ * POST /api/reject
  */
-app.get('/api/check-status/:walletAddress', checkDatabase, async (req, res) => {
+app.post('/api/reject', checkDatabase, requireRole(ADMIN_ROLES.SUPER_ADMIN, ADMIN_ROLES.REVIEWER), async (req, res) => {
     try {
-        const walletAddress = req.params.walletAddress.toLowerCase();
-
-        const result = await pool.query(
-            'SELECT is_approved, is_rejected FROM developers WHERE wallet_address = $1',
-            [walletAddress]
-        );
+        const { submissionId, reason } = req.body;
 
-        if (result.rows.length === 0) {
-            return res.json({
-                exists: false,
-                approved: false,
-                rejected: false
+        if (!submissionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing submissionId'
             });
         }
 
-        const developer = result.rows[0];
+        const found = await withTransaction(async client => {
+            // Locked so the audit log records the state this rejection replaced
+            const existing = await client.query('SELECT * FROM developers WHERE id = $1 FOR UPDATE', [submissionId]);
+            if (existing.rows.length === 0) return false;
+
+            const updated = await client.query(
+                'UPDATE developers SET is_approved = FALSE, is_rejected = TRUE, rejection_reason = $1, last_updated = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+                [reason || null, submissionId]
+            );
+
+            await recordModerationEvent({
+                actorWallet: req.session.address,
+                action: 'reject',
+                submissionId: existing.rows[0].id,
+                previousState: getSubmissionState(existing.rows[0]),
+                newState: getSubmissionState(updated.rows[0]),
+                reason: reason || null
+            }, client);
+            return true;
+        });
+
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission not found'
+            });
+        }
 
         res.json({
-            exists: true,
-            approved: developer.is_approved,
-            rejected: developer.is_rejected
+            success: true,
+            message: 'Submission rejected'
         });
     } catch (error) {
-        console.error('Check status error:', error);
+        console.error('Reject submission error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error checking status',
+            message: 'Error rejecting submission',
             error: error.message
         });
     }
 });
 
 /**
- * Get developer profile
- * GET /api/profile/:walletAddress
+ * Open a dispute over a contract registered by another developer
+ * POST /api/disputes
+ * Body: { walletAddress, contractAddress, ownershipProof: { nonce, signature }, evidence }
  */
-app.get('/api/profile/:walletAddress', checkDatabase, async (req, res) => {
+app.post('/api/disputes', checkDatabase, async (req, res) => {
     try {
-        const walletAddress = req.params.walletAddress.toLowerCase();
+        const { walletAddress, contractAddress, ownershipProof, evidence } = req.body;
 
-        const result = await pool.query(
-            `SELECT 
-                wallet_address, x_username, project_x, github_link,
-                main_contract, optional_contract_1, optional_contract_2
-            FROM developers 
-            WHERE wallet_address = $1 AND is_approved = TRUE`,
-            [walletAddress]
+        if (!walletAddress || !contractAddress || !ownershipProof) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: walletAddress, contractAddress, ownershipProof'
+            });
+        }
+
+        if (!ethers.utils.isAddress(walletAddress) || !ethers.utils.isAddress(contractAddress)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid wallet or contract address'
+            });
+        }
+
+        const normalizedWallet = walletAddress.toLowerCase();
+        const normalizedContract = contractAddress.toLowerCase();
+        const evidenceText = typeof evidence === 'string' ? evidence.trim().slice(0, 2000) : '';
+
+        const claims = await findContractClaims([normalizedContract], normalizedWallet);
+        if (claims.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This contract is not registered by another developer. You can register it directly.'
+            });
+        }
+
+        const pending = await pool.query(
+            `SELECT id FROM contract_disputes WHERE contract_address = $1 AND claimant_wallet = $2 AND status = 'pending'`,
+            [normalizedContract, normalizedWallet]
         );
+        if (pending.rows.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'You already have a pending dispute for this contract'
+            });
+        }
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({
+        const proofResult = await verifyOwnershipProofs(
+            normalizedWallet,
+            [normalizedContract],
+            [{ ...ownershipProof, contractAddress: normalizedContract }]
+        );
+        if (proofResult.error) {
+            return res.status(400).json({
                 success: false,
-                message: 'Profile not found or not approved'
+                message: proofResult.error
             });
         }
 
+        const result = await pool.query(`
+            INSERT INTO contract_disputes (contract_address, claimant_wallet, holder_developer_id, evidence, ownership_proof)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [
+            normalizedContract,
+            normalizedWallet,
+            claims[0].developerId,
+            evidenceText || null,
+            JSON.stringify(proofResult.proofs[0])
+        ]);
+
+        console.log('⚖️  Contract dispute opened:', { id: result.rows[0].id, contract: normalizedContract, claimant: normalizedWallet });
+
         res.json({
             success: true,
-            profile: result.rows[0]
+            message: 'Dispute submitted. An admin will review your ownership evidence.',
+            dispute: formatDispute(result.rows[0])
         });
     } catch (error) {
-        console.error('Get profile error:', error);
+        console.error('Open dispute error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching profile',
+            message: 'Error opening dispute',
             error: error.message
         });
     }
 });
 
 /**
- * Get project statistics
- * GET /api/stats/:walletAddress
+ * Get contract disputes (Admin only)
+ * GET /api/disputes?status=pending|upheld|dismissed
  */
-app.get('/api/stats/:walletAddress', checkDatabase, async (req, res) => {
+app.get('/api/disputes', checkDatabase, requireRole(...ALL_ADMIN_ROLES), async (req, res) => {
     try {
-        const walletAddress = req.params.walletAddress.toLowerCase();
-
-        // Check if approved
-        const developer = await pool.query(
-            'SELECT main_contract FROM developers WHERE wallet_address = $1 AND is_approved = TRUE',
-            [walletAddress]
-        );
-
-        if (developer.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Profile not found or not approved'
-            });
-        }
+        const status = ['pending', 'upheld', 'dismissed'].includes(req.query.status) ? req.query.status : 'pending';
 
-        // Get stats
-        const stats = await pool.query(
-            'SELECT * FROM project_stats WHERE wallet_address = $1',
-            [walletAddress]
-        );
+        const result = await pool.query(`
+            SELECT cd.*, d.wallet_address AS holder_wallet, d.x_username AS holder_x_username,
+                   d.ownership_proofs AS holder_proofs
+            FROM contract_disputes cd
+            LEFT JOIN developers d ON d.id = cd.holder_developer_id
+            WHERE cd.status = $1
+            ORDER BY cd.date_submitted DESC
+        `, [status]);
 
-        if (stats.rows.length === 0) {
-            // Return default stats if not yet calculated
-            return res.json({
-                success: true,
-                stats: {
-                    totalTransactions: 0,
-                    transactionsLast12h: 0,
-                    uniqueWallets: 0,
-                    walletsLast12h: 0,
-                    growthRate: 0,
-                    rankTx: null,
-                    rankUnique: null
-                }
-            });
-        }
+        const disputes = result.rows.map(row => ({
+            ...formatDispute(row),
+            holderWallet: row.holder_wallet,
+            holderXUsername: row.holder_x_username,
+            claimantProof: describeOwnershipProofs(row.claimant_wallet, [row.ownership_proof]),
+            // The holder's own proof for the contract, if they signed one
+            holderProof: row.holder_wallet
+                ? describeOwnershipProofs(
+                    row.holder_wallet,
+                    (row.holder_proofs || []).filter(proof => proof.contractAddress === row.contract_address)
+                )
+                : []
+        }));
 
         res.json({
             success: true,
-            stats: {
-                totalTransactions: parseInt(stats.rows[0].total_transactions) || 0,
-                transactionsLast12h: parseInt(stats.rows[0].transactions_last_12h) || 0,
-                uniqueWallets: parseInt(stats.rows[0].unique_wallets) || 0,
-                walletsLast12h: parseInt(stats.rows[0].wallets_last_12h) || 0,
-                growthRate: parseFloat(stats.rows[0].growth_rate) || 0,
-                rankTx: stats.rows[0].rank_tx,
-                rankUnique: stats.rows[0].rank_unique
-            }
+            disputes
         });
     } catch (error) {
-        console.error('Get stats error:', error);
+        console.error('Get disputes error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching stats',
+            message: 'Error fetching disputes',
             error: error.message
         });
     }
 });
 
 /**
- * Get leaderboard
- * GET /api/leaderboard?sort=transactions|wallets
+ * Resolve a contract dispute (Admin only)
+ * POST /api/disputes/:id/resolve
+ * Body: { decision: 'uphold' | 'dismiss', note }
+ * Upholding removes the contract from the current holder's project.
  */
-app.get('/api/leaderboard', checkDatabase, async (req, res) => {
+app.post('/api/disputes/:id/resolve', checkDatabase, requireRole(ADMIN_ROLES.SUPER_ADMIN, ADMIN_ROLES.REVIEWER), async (req, res) => {
     try {
-        const sortBy = req.query.sort || 'transactions';
-        const limit = 100;
+        const disputeId = parseInt(req.params.id);
+        const { decision, note } = req.body;
 
-        // Get all approved developers with stats
-        const result = await pool.query(`
-            SELECT 
-                d.wallet_address,
-                d.x_username,
-                d.main_contract as contract_address,
-                COALESCE(s.total_transactions, 0) as total_transactions,
-                COALESCE(s.unique_wallets, 0) as unique_wallets,
-                COALESCE(s.rank_tx, 999) as rank_tx,
-                COALESCE(s.rank_unique, 999) as rank_unique
-            FROM developers d
-            LEFT JOIN project_stats s ON d.wallet_address = s.wallet_address
-            WHERE d.is_approved = TRUE
-        `);
+        if (!['uphold', 'dismiss'].includes(decision)) {
+            return res.status(400).json({
+                success: false,
+                message: 'decision must be "uphold" or "dismiss"'
+            });
+        }
 
-        // Calculate weighted score for each project
-        // Formula: Score = (TX_COUNT × 1) + (UNIQUE_WALLETS × 5)
-        const projects = result.rows.map(row => {
-            const txCount = parseInt(row.total_transactions) || 0;
-            const uniqueWallets = parseInt(row.unique_wallets) || 0;
-            const weightedScore = (txCount * 1) + (uniqueWallets * 5);
-            
-            return {
-                walletAddress: row.wallet_address,
-                projectName: row.x_username.replace('@', ''),
-                contractAddress: row.contract_address,
-                totalTransactions: txCount,
-                uniqueWallets: uniqueWallets,
-                xUsername: row.x_username,
-                weightedScore: weightedScore,
-                rankTx: parseInt(row.rank_tx) || 999,
-                rankUnique: parseInt(row.rank_unique) || 999
-            };
-        });
+        const status = decision === 'uphold' ? 'upheld' : 'dismissed';
+
+        // Claiming the dispute inside the transaction lets only one of two concurrent resolves act on it
+        const dispute = await withTransaction(async client => {
+            const claimed = await client.query(`
+                UPDATE contract_disputes
+                SET status = $1, resolved_by = $2, resolution_note = $3, date_resolved = CURRENT_TIMESTAMP
+                WHERE id = $4 AND status = 'pending'
+                RETURNING *
+            `, [status, req.session.address, note || null, disputeId]);
+
+            if (claimed.rows.length === 0) return null;
+            const resolved = claimed.rows[0];
+
+            if (status === 'upheld' && resolved.holder_developer_id) {
+                await releaseContractClaim(
+                    resolved.holder_developer_id,
+                    resolved.contract_address,
+                    `Contract ${resolved.contract_address} was claimed by ${resolved.claimant_wallet} in an ownership dispute`,
+                    client
+                );
+            }
 
-        // Sort by weighted score (descending) for overall ranking
-        projects.sort((a, b) => b.weightedScore - a.weightedScore);
+            await recordModerationEvent({
+                actorWallet: req.session.address,
+                action: status === 'upheld' ? 'dispute_upheld' : 'dispute_dismissed',
+                submissionId: resolved.holder_developer_id,
+                previousState: { disputeId, status: 'pending', contractAddress: resolved.contract_address },
+                newState: { disputeId, status, contractAddress: resolved.contract_address, claimantWallet: resolved.claimant_wallet },
+                reason: note || null
+            }, client);
 
-        // Assign overall rank based on weighted score
-        projects.forEach((project, index) => {
-            project.rank = index + 1;
+            return resolved;
         });
 
-        // If sortBy is 'wallets', re-sort by unique wallets
-        // If sortBy is 'transactions', re-sort by transactions
-        // But still show the weighted rank
-        let sortedProjects;
-        if (sortBy === 'wallets') {
-            sortedProjects = [...projects].sort((a, b) => {
-                if (b.uniqueWallets !== a.uniqueWallets) {
-                    return b.uniqueWallets - a.uniqueWallets;
-                }
-                return b.totalTransactions - a.totalTransactions;
-            });
-        } else {
-            sortedProjects = [...projects].sort((a, b) => {
-                if (b.totalTransactions !== a.totalTransactions) {
-                    return b.totalTransactions - a.totalTransactions;
-                }
-                return b.uniqueWallets - a.uniqueWallets;
+        if (!dispute) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending dispute not found'
             });
         }
 
-        // Limit results
-        const leaderboard = sortedProjects.slice(0, limit).map(project => ({
-            walletAddress: project.walletAddress,
-            projectName: project.projectName,
-            contractAddress: project.contractAddress,
-            totalTransactions: project.totalTransactions,
-            uniqueWallets: project.uniqueWallets,
-            xUsername: project.xUsername,
-            rank: project.rank, // Overall rank based on weighted score
-            rankTx: project.rankTx,
-            rankUnique: project.rankUnique
-        }));
-
         res.json({
             success: true,
-            leaderboard
+            message: status === 'upheld'
+                ? 'Dispute upheld. The contract was removed from the current holder\'s profile.'
+                : 'Dispute dismissed'
         });
     } catch (error) {
-        console.error('Get leaderboard error:', error);
+        console.error('Resolve dispute error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching leaderboard',
+            message: 'Error resolving dispute',
             error: error.message
         });
     }
 });
 
 /**
- * Get pending submissions (Admin only)
- * GET /api/pending-submissions?status=pending|approved|rejected
+ * Get contract change requests (Admin only)
+ * GET /api/change-requests?status=pending|approved|rejected
  */
-app.get('/api/pending-submissions', checkDatabase, async (req, res) => {
+app.get('/api/change-requests', checkDatabase, requireRole(...ALL_ADMIN_ROLES), async (req, res) => {
     try {
-        // Check admin wallet (in production, verify from request headers/auth)
-        const adminWallet = req.headers['x-admin-wallet']?.toLowerCase();
-        
-        console.log('🔐 Admin check:', {
-            received: adminWallet,
-            expected: ADMIN_WALLET,
-            match: adminWallet === ADMIN_WALLET,
-            receivedType: typeof adminWallet,
-            expectedType: typeof ADMIN_WALLET
-        });
-        
-        if (!adminWallet || adminWallet !== ADMIN_WALLET) {
-            console.log('❌ Admin access denied - wallet mismatch');
-            return res.status(403).json({
-                success: false,
-                message: 'Admin access required. Please connect the admin wallet.'
-            });
-        }
-
-        const status = req.query.status || 'pending';
-        console.log('📋 Fetching submissions with status:', status);
-        
-        let query;
+        const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
 
-        if (status === 'approved') {
-            query = 'SELECT * FROM developers WHERE is_approved = TRUE ORDER BY date_submitted DESC';
-        } else if (status === 'rejected') {
-            query = 'SELECT * FROM developers WHERE is_rejected = TRUE ORDER BY date_submitted DESC';
-        } else {
-            query = 'SELECT * FROM developers WHERE is_approved = FALSE AND is_rejected = FALSE ORDER BY date_submitted DESC';
-        }
+        const result = await pool.query(`
+            SELECT r.*, d.wallet_address, d.x_username
+            FROM profile_change_requests r
+            JOIN developers d ON d.id = r.developer_id
+            WHERE r.status = $1
+            ORDER BY r.date_submitted DESC
+        `, [status]);
 
-        console.log('🔍 Executing query:', query);
-        const result = await pool.query(query);
-        console.log('📊 Database returned', result.rows.length, 'rows');
+        const changeRequests = [];
+        for (const row of result.rows) {
+            const currentContracts = await describeDeveloperContracts({ id: row.developer_id });
+            const proxies = await getContractProxies(row.requested_contracts.map(contract => contract.address));
 
-        // Map database columns to frontend expected format
-        const submissions = result.rows.map(row => {
-            const submission = {
-                id: row.id,
+            changeRequests.push({
+                ...formatChangeRequest(row),
                 walletAddress: row.wallet_address,
                 xUsername: row.x_username,
-                projectX: row.project_x,
-                githubLink: row.github_link,
-                mainContract: row.main_contract,
-                optionalContract1: row.optional_contract_1,
-                optionalContract2: row.optional_contract_2,
-                projectDescription: row.project_description,
-                isApproved: row.is_approved,
-                isRejected: row.is_rejected,
-                dateSubmitted: row.date_submitted
-            };
-            console.log('📝 Mapped submission:', submission.id, submission.walletAddress);
-            return submission;
-        });
-
-        console.log(`✅ Returning ${submissions.length} submissions for status: ${status}`);
+                currentContracts: currentContracts.map(contract => ({
+                    address: contract.address,
+                    label: contract.label,
+                    role: contract.role
+                })),
+                requestedContracts: row.requested_contracts.map(contract => ({
+                    ...contract,
+                    proxy: proxies[contract.address] || null
+                })),
+                ownershipProofs: describeOwnershipProofs(row.wallet_address, row.ownership_proofs)
+            });
+        }
 
         res.json({
             success: true,
-            submissions: submissions
+            changeRequests
         });
     } catch (error) {
-        console.error('❌ Get pending submissions error:', error);
+        console.error('Get change requests error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching submissions',
+            message: 'Error fetching change requests',
             error: error.message
         });
     }
 });
 
 /**
- * Get single submission (Admin only)
- * GET /api/submission/:id
+ * Approve a contract change request (Admin only)
+ * POST /api/change-requests/:id/approve
  */
-app.get('/api/submission/:id', checkDatabase, async (req, res) => {
+app.post('/api/change-requests/:id/approve', checkDatabase, requireRole(ADMIN_ROLES.SUPER_ADMIN, ADMIN_ROLES.REVIEWER), async (req, res) => {
     try {
-        const adminWallet = req.headers['x-admin-wallet']?.toLowerCase();
-        
-        if (adminWallet !== ADMIN_WALLET) {
-            return res.status(403).json({
+        const requestId = parseInt(req.params.id);
+
+        const pendingRequest = await pool.query(`
+            SELECT r.developer_id, r.requested_contracts, d.wallet_address
+            FROM profile_change_requests r
+            JOIN developers d ON d.id = r.developer_id
+            WHERE r.id = $1 AND r.status = 'pending'
+        `, [requestId]);
+
+        if (pendingRequest.rows.length === 0) {
+            return res.status(404).json({
                 success: false,
-                message: 'Admin access required'
+                message: 'Pending change request not found'
             });
         }
 
-        const submissionId = parseInt(req.params.id);
-        console.log('🔍 Fetching submission ID:', submissionId);
+        const { developer_id, requested_contracts, wallet_address } = pendingRequest.rows[0];
+        const addresses = requested_contracts.map(contract => contract.address);
+        const previousContracts = await describeDeveloperContracts({ id: developer_id });
+
+        // A contract in the request may have been registered by someone else since it was submitted.
+        // The request is claimed and applied in the same transaction, so two reviewers can't apply it twice.
+        const { claims, result: changeRequest } = await withContractClaims(addresses, wallet_address, async client => {
+            const claimed = await client.query(`
+                UPDATE profile_change_requests
+                SET status = 'approved', reviewed_by = $1, date_reviewed = CURRENT_TIMESTAMP
+                WHERE id = $2 AND status = 'pending'
+                RETURNING *
+            `, [req.session.address, requestId]);
+
+            if (claimed.rows.length === 0) return null;
+
+            const developer = await client.query(
+                'SELECT ownership_proofs FROM developers WHERE id = $1',
+                [developer_id]
+            );
+
+            // Keep proofs for contracts that stay and add the ones signed with this request
+            const newProofs = claimed.rows[0].ownership_proofs || [];
+            const proofs = [
+                ...(developer.rows[0].ownership_proofs || []).filter(proof =>
+                    addresses.includes(proof.contractAddress)
+                    && !newProofs.some(newProof => newProof.contractAddress === proof.contractAddress)
+                ),
+                ...newProofs
+            ];
 
-        const result = await pool.query(
-            'SELECT * FROM developers WHERE id = $1',
-            [submissionId]
-        );
+            await saveProjectContracts(developer_id, wallet_address, requested_contracts, proofs, client);
 
-        if (result.rows.length === 0) {
-            console.log('❌ Submission not found for ID:', submissionId);
+            await client.query(
+                'UPDATE developers SET main_contract = $1, ownership_proofs = $2, last_updated = CURRENT_TIMESTAMP WHERE id = $3',
+                [addresses[0], JSON.stringify(proofs), developer_id]
+            );
+            await client.query(
+                'UPDATE project_stats SET main_contract = $1 WHERE wallet_address = $2',
+                [addresses[0], wallet_address]
+            );
+
+            await recordModerationEvent({
+                actorWallet: req.session.address,
+                action: 'approve_change',
+                submissionId: developer_id,
+                previousState: { changeRequestId: requestId, status: 'pending', contracts: previousContracts.map(contract => contract.address) },
+                newState: { changeRequestId: requestId, status: 'approved', contracts: addresses }
+            }, client);
+
+            return claimed.rows[0];
+        });
+
+        if (claims.length > 0) {
+            return res.status(409).json(contractClaimConflict(claims));
+        }
+
+        if (!changeRequest) {
             return res.status(404).json({
                 success: false,
-                message: 'Submission not found'
+                message: 'Pending change request not found'
             });
         }
 
-        const submission = result.rows[0];
-        console.log('✅ Submission found:', {
-            id: submission.id,
-            wallet: submission.wallet_address,
-            xUsername: submission.x_username
-        });
-
-        // Map database columns to frontend expected format
         res.json({
             success: true,
-            submission: {
-                id: submission.id,
-                walletAddress: submission.wallet_address,
-                xUsername: submission.x_username,
-                projectX: submission.project_x,
-                githubLink: submission.github_link,
-                mainContract: submission.main_contract,
-                optionalContract1: submission.optional_contract_1,
-                optionalContract2: submission.optional_contract_2,
-                projectDescription: submission.project_description,
-                isApproved: submission.is_approved,
-                isRejected: submission.is_rejected,
-                dateSubmitted: submission.date_submitted
-            }
+            message: 'Change request approved'
         });
     } catch (error) {
-        console.error('Get submission error:', error);
+        console.error('Approve change request error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching submission',
+            message: 'Error approving change request',
             error: error.message
         });
     }
 });
 
 /**
- * Approve submission (Admin only)
- * POST /api/approve
+ * Reject a contract change request (Admin only)
+ * POST /api/change-requests/:id/reject
  */
-app.post('/api/approve', async (req, res) => {
+app.post('/api/change-requests/:id/reject', checkDatabase, requireRole(ADMIN_ROLES.SUPER_ADMIN, ADMIN_ROLES.REVIEWER), async (req, res) => {
     try {
-        const adminWallet = req.headers['x-admin-wallet']?.toLowerCase();
-        
-        if (adminWallet !== ADMIN_WALLET) {
-            return res.status(403).json({
-                success: false,
-                message: 'Admin access required'
-            });
-        }
+        const requestId = parseInt(req.params.id);
+        const { reason } = req.body;
 
-        const { submissionId } = req.body;
+        const rejected = await withTransaction(async client => {
+            const result = await client.query(`
+                UPDATE profile_change_requests
+                SET status = 'rejected', reviewed_by = $1, rejection_reason = $2, date_reviewed = CURRENT_TIMESTAMP
+                WHERE id = $3 AND status = 'pending'
+                RETURNING *
+            `, [req.session.address, reason || null, requestId]);
+            if (result.rows.length === 0) return result;
 
-        if (!submissionId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing submissionId'
-            });
-        }
+            const changeRequest = result.rows[0];
+            const requestedAddresses = changeRequest.requested_contracts.map(contract => contract.address);
 
-        await pool.query(
-            'UPDATE developers SET is_approved = TRUE, is_rejected = FALSE, last_updated = CURRENT_TIMESTAMP WHERE id = $1',
-            [submissionId]
-        );
+            await recordModerationEvent({
+                actorWallet: req.session.address,
+                action: 'reject_change',
+                submissionId: changeRequest.developer_id,
+                previousState: { changeRequestId: changeRequest.id, status: 'pending', contracts: requestedAddresses },
+                newState: { changeRequestId: changeRequest.id, status: 'rejected', contracts: requestedAddresses },
+                reason: reason || null
+            }, client);
 
-        // Initialize stats for approved developer
-        const developer = await pool.query(
-            'SELECT wallet_address, main_contract FROM developers WHERE id = $1',
-            [submissionId]
-        );
+            return result;
+        });
 
-        if (developer.rows.length > 0) {
-            const { wallet_address, main_contract } = developer.rows[0];
-            
-            // Insert or update stats
-            await pool.query(`
-                INSERT INTO project_stats (wallet_address, main_contract)
-                VALUES ($1, $2)
-                ON CONFLICT (wallet_address) DO NOTHING
-            `, [wallet_address, main_contract]);
+        if (rejected.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending change request not found'
+            });
         }
 
         res.json({
             success: true,
-            message: 'Submission approved successfully'
+            message: 'Change request rejected'
         });
     } catch (error) {
-        console.error('Approve submission error:', error);
+        console.error('Reject change request error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error approving submission',
+            message: 'Error rejecting change request',
             error: error.message
         });
     }
 });
 
 /**
- * Reject submission (Admin only)
- * POST /api/reject
+ * Get moderation history (Admin only)
+ * GET /api/moderation-events?submissionId=&actor=&action=&limit=&offset=
  */
-app.post('/api/reject', async (req, res) => {
+app.get('/api/moderation-events', checkDatabase, requireRole(...ALL_ADMIN_ROLES), async (req, res) => {
     try {
-        const adminWallet = req.headers['x-admin-wallet']?.toLowerCase();
-        
-        if (adminWallet !== ADMIN_WALLET) {
-            return res.status(403).json({
-                success: false,
-                message: 'Admin access required'
-            });
-        }
+        const { submissionId, actor, action } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
 
-        const { submissionId, reason } = req.body;
+        const conditions = [];
+        const params = [];
 
-        if (!submissionId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing submissionId'
-            });
+        if (submissionId) {
+            params.push(parseInt(submissionId));
+            conditions.push(`e.submission_id = $${params.length}`);
+        }
+        if (actor) {
+            params.push(actor.toLowerCase());
+            conditions.push(`e.actor_wallet = $${params.length}`);
+        }
+        if (action) {
+            params.push(action);
+            conditions.push(`e.action = $${params.length}`);
         }
 
-        await pool.query(
-            'UPDATE developers SET is_approved = FALSE, is_rejected = TRUE, rejection_reason = $1, last_updated = CURRENT_TIMESTAMP WHERE id = $2',
-            [reason || null, submissionId]
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const total = await pool.query(
+            `SELECT COUNT(*) as count FROM moderation_events e ${whereClause}`,
+            params
         );
 
+        params.push(limit, offset);
+        const result = await pool.query(`
+            SELECT e.*, d.wallet_address as submission_wallet, d.x_username as submission_x_username
+            FROM moderation_events e
+            LEFT JOIN developers d ON d.id = e.submission_id
+            ${whereClause}
+            ORDER BY e.created_at DESC, e.id DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
         res.json({
             success: true,
-            message: 'Submission rejected'
+            total: parseInt(total.rows[0].count) || 0,
+            events: result.rows.map(row => ({
+                id: row.id,
+                actorWallet: row.actor_wallet,
+                action: row.action,
+                submissionId: row.submission_id,
+                submissionWallet: row.submission_wallet,
+                submissionXUsername: row.submission_x_username,
+                previousState: row.previous_state,
+                newState: row.new_state,
+                reason: row.reason,
+                createdAt: row.created_at
+            }))
         });
     } catch (error) {
-        console.error('Reject submission error:', error);
+        console.error('Get moderation events error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error rejecting submission',
+            message: 'Error fetching moderation history',
             error: error.message
         });
     }
@@ -1223,119 +5577,541 @@ app.get('/api/stats', checkDatabase, async (req, res) => {
 // ============================================
 // Stats Update Function (Cron Job)
 // ============================================
+// Each stats update is a run in stats_runs with one job per approved project in
+// stats_jobs. Up to STATS_JOB_CONCURRENCY workers claim pending jobs, failed jobs
+// are retried up to STATS_JOB_MAX_ATTEMPTS times, and a run cut short by a restart
+// is resumed on startup. Rankings and the history snapshot are computed once every
+// job of the run has finished.
 
-async function updateAllStats() {
-    console.log('🔄 Starting stats update...');
-    
+const STATS_JOB_CONCURRENCY = parseInt(process.env.STATS_JOB_CONCURRENCY) || 4;
+const STATS_JOB_MAX_ATTEMPTS = parseInt(process.env.STATS_JOB_MAX_ATTEMPTS) || 3;
+// Wait before a failed job is retried, multiplied by its attempts so far
+const STATS_JOB_RETRY_DELAY_MS = 30 * 1000;
+// How often idle workers check for retries that became due
+const STATS_JOB_POLL_MS = 5 * 1000;
+
+// The run this process is working on, so overlapping triggers don't start a second one
+let activeStatsRun = null;
+
+/**
+ * Approved developers with their contract addresses, optionally just one
+ */
+async function getApprovedDevelopers(walletAddress = null) {
+    const result = await pool.query(`
+        SELECT d.id, d.wallet_address, d.main_contract,
+               ARRAY_AGG(pc.contract_address ORDER BY pc.id) FILTER (WHERE pc.contract_address IS NOT NULL) AS contracts
+        FROM developers d
+        LEFT JOIN project_contracts pc ON pc.developer_id = d.id
+        WHERE d.is_approved = TRUE AND ($1::varchar IS NULL OR d.wallet_address = $1)
+        GROUP BY d.id
+    `, [walletAddress]);
+    return result.rows;
+}
+
+const developerContracts = dev => (dev.contracts && dev.contracts.length > 0 ? dev.contracts : [dev.main_contract]);
+
+/**
+ * Recompute and store one project's stats from indexed activity
+ */
+async function updateProjectStats(dev) {
+    const contractAddress = dev.main_contract;
+    const contractAddresses = developerContracts(dev);
+    const twelveHoursAgo = Math.floor(Date.now() / 1000) - (12 * 60 * 60);
+
+    // Per-contract breakdown
+    for (const address of contractAddresses) {
+        const activity = await getIndexedActivity([address], twelveHoursAgo);
+
+        await pool.query(`
+            UPDATE project_contracts SET
+                total_transactions = $1,
+                transactions_last_12h = $2,
+                unique_wallets = $3,
+                wallets_last_12h = $4,
+                last_scanned = CURRENT_TIMESTAMP
+            WHERE developer_id = $5 AND contract_address = $6
+        `, [
+            activity.totalTransactions,
+            activity.recentTransactions,
+            activity.uniqueWallets,
+            activity.recentWallets,
+            dev.id,
+            address
+        ]);
+    }
+
+    // Project totals across all contracts
+    const totals = await getIndexedActivity(contractAddresses, twelveHoursAgo);
+    const totalTransactions = totals.totalTransactions;
+    const uniqueWallets = totals.uniqueWallets;
+    const transactionsLast12h = totals.recentTransactions;
+    const walletsLast12h = totals.recentWallets;
+
+    // Windowed activity; growth_rate is the 7d transaction growth over the previous 7 days
+    const activityWindows = await getActivityWindows(contractAddresses, Math.floor(Date.now() / 1000));
+    const growthRate = activityWindows['7d'].transactionGrowth;
+
+    // Counters per activity type, shown regardless of LEADERBOARD_ACTIVITY_TYPES
+    const breakdown = await getActivityBreakdown(contractAddresses);
+
+    // Gas, fees and failures, all-time and added to each activity window
+    const gas = await getGasMetrics(contractAddresses, Math.floor(Date.now() / 1000));
+    for (const name of Object.keys(activityWindows)) {
+        Object.assign(activityWindows[name], gas.windows[name]);
+    }
+
+    // Suspicious wallets and their calls, discounted by each wallet's suspicion in the
+    // quality-adjusted score (computed with the rankings, see recalculateRankings)
+    const analysis = await sybil.analyzeProject(pool, contractAddresses);
+    await storeSybilFlags(dev.wallet_address, analysis.flags);
+    const discountedWallets = [...analysis.walletSuspicion.values()].reduce((sum, suspicion) => sum + suspicion, 0);
+
+    // Update or insert stats
+    await pool.query(`
+        INSERT INTO project_stats (
+            wallet_address, main_contract, total_transactions,
+            transactions_last_12h, unique_wallets, wallets_last_12h,
+            growth_rate, activity_windows, direct_transactions,
+            token_transfers, internal_transactions, gas_used, fees_wei,
+            failed_transactions, failure_rate, suspicion_score, flagged_wallets,
+            flagged_transactions, discounted_wallets, last_activity_at, last_scanned
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, CURRENT_TIMESTAMP)
+        ON CONFLICT (wallet_address) 
+        DO UPDATE SET
+            total_transactions = $3,
+            transactions_last_12h = $4,
+            unique_wallets = $5,
+            wallets_last_12h = $6,
+            growth_rate = $7,
+            activity_windows = $8,
+            direct_transactions = $9,
+            token_transfers = $10,
+            internal_transactions = $11,
+            gas_used = $12,
+            fees_wei = $13,
+            failed_transactions = $14,
+            failure_rate = $15,
+            suspicion_score = $16,
+            flagged_wallets = $17,
+            flagged_transactions = $18,
+            discounted_wallets = $19,
+            last_activity_at = $20,
+            last_scanned = CURRENT_TIMESTAMP
+    `, [
+        dev.wallet_address,
+        contractAddress,
+        totalTransactions,
+        transactionsLast12h,
+        uniqueWallets,
+        walletsLast12h,
+        growthRate,
+        JSON.stringify(activityWindows),
+        breakdown.transactions,
+        breakdown.tokenTransfers,
+        breakdown.internalTransactions,
+        gas.total.gasUsed,
+        gas.total.feesWei,
+        gas.total.failedTransactions,
+        gas.total.failureRate,
+        analysis.suspicionScore,
+        analysis.walletSuspicion.size,
+        analysis.flaggedTransactions,
+        discountedWallets,
+        totals.lastActivityAt
+    ]);
+}
+
+/**
+ * Index, analyse and update one project (the work of a stats job).
+ * `indexed` skips indexing when the run already indexed every contract.
+ */
+async function processProject(dev, { indexed = false } = {}) {
+    const contractAddresses = developerContracts(dev);
+
+    if (!indexed) {
+        await indexContracts(contractAddresses);
+    }
+    await refreshWalletFunding(contractAddresses);
+    await updateProjectStats(dev);
+
+    // Re-detect proxies so upgraded implementations are picked up
+    await refreshContractProxies(contractAddresses);
+}
+
+/**
+ * Start a run with a pending job for every approved project
+ */
+async function createStatsRun(trigger) {
+    const run = await pool.query(
+        "INSERT INTO stats_runs (trigger, status) VALUES ($1, 'running') RETURNING id",
+        [trigger]
+    );
+    const runId = run.rows[0].id;
+
+    const jobs = await pool.query(`
+        INSERT INTO stats_jobs (run_id, wallet_address)
+        SELECT $1, wallet_address FROM developers WHERE is_approved = TRUE
+    `, [runId]);
+    await pool.query('UPDATE stats_runs SET total_jobs = $2 WHERE id = $1', [runId, jobs.rowCount]);
+
+    console.log(`🗂️  Stats run #${runId} (${trigger}) queued ${jobs.rowCount} projects`);
+    return runId;
+}
+
+/**
+ * Claim the next due pending job of a run, or null
+ */
+async function claimStatsJob(runId) {
+    const result = await pool.query(`
+        UPDATE stats_jobs
+        SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP
+        WHERE id = (
+            SELECT id FROM stats_jobs
+            WHERE run_id = $1 AND status = 'pending' AND available_at <= CURRENT_TIMESTAMP
+            ORDER BY id
+            LIMIT 1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, wallet_address, attempts
+    `, [runId]);
+    return result.rows[0] || null;
+}
+
+async function processStatsJob(job, options) {
+    const startedAt = Date.now();
     try {
-        // Get all approved developers
-        const developers = await pool.query(
-            'SELECT wallet_address, main_contract FROM developers WHERE is_approved = TRUE'
+        const [dev] = await getApprovedDevelopers(job.wallet_address);
+        // Projects unapproved since the run started are simply skipped
+        if (dev) await processProject(dev, options);
+
+        await pool.query(`
+            UPDATE stats_jobs
+            SET status = 'done', last_error = NULL, finished_at = CURRENT_TIMESTAMP, duration_ms = $2
+            WHERE id = $1
+        `, [job.id, Date.now() - startedAt]);
+    } catch (error) {
+        const retry = job.attempts < STATS_JOB_MAX_ATTEMPTS;
+        console.error(`Error updating stats for ${job.wallet_address} (attempt ${job.attempts}/${STATS_JOB_MAX_ATTEMPTS}):`, error.message);
+
+        await pool.query(`
+            UPDATE stats_jobs
+            SET status = $2, last_error = $3, duration_ms = $4,
+                available_at = CURRENT_TIMESTAMP + ($5 * INTERVAL '1 millisecond'),
+                finished_at = CASE WHEN $2 = 'failed' THEN CURRENT_TIMESTAMP ELSE NULL END
+            WHERE id = $1
+        `, [job.id, retry ? 'pending' : 'failed', error.message, Date.now() - startedAt, STATS_JOB_RETRY_DELAY_MS * job.attempts]);
+    }
+}
+
+/**
+ * Work through a run's jobs until none are pending
+ */
+async function runStatsWorker(runId, options = {}) {
+    for (;;) {
+        const job = await claimStatsJob(runId);
+        if (job) {
+            await processStatsJob(job, options);
+            continue;
+        }
+
+        // Nothing due: wait for retries, or stop when nothing is left
+        const pending = await pool.query(
+            "SELECT 1 FROM stats_jobs WHERE run_id = $1 AND status = 'pending' LIMIT 1",
+            [runId]
         );
+        if (pending.rows.length === 0) return;
+        await new Promise(resolve => setTimeout(resolve, STATS_JOB_POLL_MS));
+    }
+}
 
-        for (const dev of developers.rows) {
-            try {
-                const contractAddress = dev.main_contract;
-                
-                // Get all transactions
-                const transactions = await getContractTransactions(contractAddress);
-                const totalTransactions = transactions.length;
-                
-                // Calculate unique wallets
-                const uniqueWallets = calculateUniqueWallets(transactions);
-                
-                // Get transactions from last 12 hours
-                const twelveHoursAgo = Math.floor(Date.now() / 1000) - (12 * 60 * 60);
-                const recentTransactions = transactions.filter(tx => 
-                    parseInt(tx.timeStamp) >= twelveHoursAgo
-                );
-                const transactionsLast12h = recentTransactions.length;
-                
-                // Calculate unique wallets from last 12 hours
-                const walletsLast12h = calculateUniqueWallets(recentTransactions);
-                
-                // Get previous stats for growth calculation
-                const prevStats = await pool.query(
-                    'SELECT total_transactions, unique_wallets FROM project_stats WHERE wallet_address = $1',
-                    [dev.wallet_address]
-                );
-                
-                let growthRate = 0;
-                if (prevStats.rows.length > 0) {
-                    const prevTx = parseInt(prevStats.rows[0].total_transactions) || 0;
-                    if (prevTx > 0) {
-                        growthRate = ((totalTransactions - prevTx) / prevTx) * 100;
-                    }
-                }
-                
-                // Update or insert stats
-                await pool.query(`
-                    INSERT INTO project_stats (
-                        wallet_address, main_contract, total_transactions,
-                        transactions_last_12h, unique_wallets, wallets_last_12h,
-                        growth_rate, last_scanned
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
-                    ON CONFLICT (wallet_address) 
-                    DO UPDATE SET
-                        total_transactions = $3,
-                        transactions_last_12h = $4,
-                        unique_wallets = $5,
-                        wallets_last_12h = $6,
-                        growth_rate = $7,
-                        last_scanned = CURRENT_TIMESTAMP
-                `, [
-                    dev.wallet_address,
-                    contractAddress,
-                    totalTransactions,
-                    transactionsLast12h,
-                    uniqueWallets,
-                    walletsLast12h,
-                    growthRate
-                ]);
-                
-                // Small delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 200));
-            } catch (error) {
-                console.error(`Error updating stats for ${dev.wallet_address}:`, error);
-            }
+async function executeStatsRun(runId) {
+    const startedAt = Date.now();
+
+    // The RPC source scans every contract together once rather than per project
+    const indexed = CHAIN_DATA_SOURCE === 'rpc';
+    if (indexed) {
+        const developers = await getApprovedDevelopers();
+        await indexContracts([...new Set(developers.flatMap(developerContracts))]);
+    }
+
+    const workers = [];
+    for (let i = 0; i < STATS_JOB_CONCURRENCY; i++) {
+        workers.push(runStatsWorker(runId, { indexed }));
+    }
+    await Promise.all(workers);
+
+    // Recalculate rankings
+    await recalculateRankings();
+
+    // Keep a snapshot of this run for the history charts
+    await recordStatsSnapshot();
+
+    const jobs = await pool.query(
+        "SELECT COUNT(*) FILTER (WHERE status = 'done') AS done, COUNT(*) FILTER (WHERE status = 'failed') AS failed FROM stats_jobs WHERE run_id = $1",
+        [runId]
+    );
+    await pool.query(
+        "UPDATE stats_runs SET status = 'completed', finished_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [runId]
+    );
+
+    console.log(`✅ Stats run #${runId} completed: ${jobs.rows[0].done} updated, ${jobs.rows[0].failed} failed (${Math.round((Date.now() - startedAt) / 1000)}s)`);
+}
+
+/**
+ * Run a stats update, or resume the one a restart interrupted.
+ * Returns the promise of the run already in progress when called during one.
+ */
+function updateAllStats(trigger = 'cron') {
+    if (!pool) {
+        console.log(`⚠️  Stats update (${trigger}) skipped - no database connection`);
+        return Promise.resolve();
+    }
+    if (activeStatsRun) {
+        console.log(`⏭️  Stats update (${trigger}) skipped - a run is already in progress`);
+        return activeStatsRun;
+    }
+
+    activeStatsRun = (async () => {
+        console.log('🔄 Starting stats update...');
+
+        // This process holds no full-run jobs yet, so 'running' ones belonged to a process that died
+        const interrupted = await pool.query(
+            "SELECT id FROM stats_runs WHERE status = 'running' AND trigger <> $1 ORDER BY id LIMIT 1",
+            [RESCAN_TRIGGER]
+        );
+        let runId;
+        if (interrupted.rows.length > 0) {
+            runId = interrupted.rows[0].id;
+            const restarted = await restartInterruptedJobs(runId);
+            console.log(`♻️  Resuming interrupted stats run #${runId} (${restarted} jobs restarted)`);
+        } else {
+            runId = await createStatsRun(trigger);
         }
-        
-        // Recalculate rankings
+
+        try {
+            await executeStatsRun(runId);
+        } catch (error) {
+            // Left 'running' so the next update resumes it
+            await pool.query('UPDATE stats_runs SET last_error = $2 WHERE id = $1', [runId, error.message]);
+            throw error;
+        }
+    })()
+        .catch(error => console.error('❌ Stats update error:', error))
+        .finally(() => { activeStatsRun = null; });
+
+    return activeStatsRun;
+}
+
+/**
+ * Put a run's jobs that were mid-update back in the queue. Returns how many there were.
+ */
+async function restartInterruptedJobs(runId) {
+    const reset = await pool.query(
+        "UPDATE stats_jobs SET status = 'pending' WHERE run_id = $1 AND status = 'running'",
+        [runId]
+    );
+    return reset.rowCount;
+}
+
+/**
+ * Resume the stats run and rescans left unfinished by a restart
+ */
+async function resumeInterruptedStatsRun() {
+    if (!pool) return;
+
+    const interrupted = await pool.query("SELECT id, trigger FROM stats_runs WHERE status = 'running' ORDER BY id");
+
+    for (const run of interrupted.rows.filter(run => run.trigger === RESCAN_TRIGGER)) {
+        await restartInterruptedJobs(run.id);
+        executeRescan(run.id);
+    }
+    if (interrupted.rows.some(run => run.trigger !== RESCAN_TRIGGER)) {
+        updateAllStats('resume');
+    }
+}
+
+// ============================================
+// On-Demand Rescans
+// ============================================
+// A rescan updates one project right away as a single-job run, so it shows up in
+// stats_jobs (and as "scan in progress" on the profile) like scheduled updates do.
+
+const RESCAN_TRIGGER = 'rescan';
+// Minutes a project owner has to wait between rescans they request (admins aren't limited)
+const OWNER_RESCAN_COOLDOWN_MINUTES = parseInt(process.env.OWNER_RESCAN_COOLDOWN_MINUTES) || 60;
+// First key of the per-project advisory locks taken while queueing a rescan
+const RESCAN_LOCK = 1002;
+
+async function executeRescan(runId) {
+    try {
+        await runStatsWorker(runId);
         await recalculateRankings();
-        
-        console.log('✅ Stats update completed');
+        await pool.query(
+            "UPDATE stats_runs SET status = 'completed', finished_at = CURRENT_TIMESTAMP WHERE id = $1",
+            [runId]
+        );
     } catch (error) {
-        console.error('❌ Stats update error:', error);
+        console.error(`❌ Rescan #${runId} error:`, error);
+        await pool.query(
+            "UPDATE stats_runs SET status = 'failed', last_error = $2, finished_at = CURRENT_TIMESTAMP WHERE id = $1",
+            [runId, error.message]
+        ).catch(() => {});
     }
 }
 
-async function recalculateRankings() {
+/**
+ * Queue an immediate stats update for one approved project and start it in the background.
+ * Returns the run id, or null when the project is already queued or being scanned.
+ */
+async function rescanProject(walletAddress) {
+    const client = await pool.connect();
+    let runId;
     try {
-        // Rank by transactions
-        await pool.query(`
-            UPDATE project_stats
-            SET rank_tx = sub.rank
-            FROM (
-                SELECT wallet_address, 
-                       ROW_NUMBER() OVER (ORDER BY total_transactions DESC) as rank
-                FROM project_stats
-            ) sub
-            WHERE project_stats.wallet_address = sub.wallet_address
-        `);
-        
-        // Rank by unique wallets
-        await pool.query(`
-            UPDATE project_stats
-            SET rank_unique = sub.rank
-            FROM (
-                SELECT wallet_address,
-                       ROW_NUMBER() OVER (ORDER BY unique_wallets DESC) as rank
-                FROM project_stats
-            ) sub
-            WHERE project_stats.wallet_address = sub.wallet_address
+        await client.query('BEGIN');
+
+        // Concurrent requests for the same project wait here, then see the rescan queued by the first one
+        await client.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [RESCAN_LOCK, walletAddress]);
+
+        const queued = await client.query(`
+            WITH run AS (
+                INSERT INTO stats_runs (trigger, status, total_jobs)
+                SELECT $1, 'running', 1
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM stats_jobs j JOIN stats_runs r ON r.id = j.run_id
+                    WHERE j.wallet_address = $2 AND r.status = 'running' AND j.status IN ('pending', 'running')
+                )
+                RETURNING id
+            )
+            INSERT INTO stats_jobs (run_id, wallet_address)
+            SELECT id, $2 FROM run
+            RETURNING run_id
+        `, [RESCAN_TRIGGER, walletAddress]);
+
+        await client.query('COMMIT');
+        if (queued.rows.length === 0) return null;
+        runId = queued.rows[0].run_id;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    console.log(`🔁 Rescan #${runId} queued for ${walletAddress}`);
+    executeRescan(runId);
+    return runId;
+}
+
+/**
+ * Whether a project is queued or being scanned (by a scheduled run or a rescan), and when it was last scanned
+ */
+async function getScanStatus(walletAddress) {
+    const result = await pool.query(`
+        SELECT
+            (SELECT j.status FROM stats_jobs j JOIN stats_runs r ON r.id = j.run_id
+             WHERE j.wallet_address = $1 AND r.status = 'running' AND j.status IN ('pending', 'running')
+             ORDER BY (j.status = 'running') DESC
+             LIMIT 1) AS job_status,
+            (SELECT last_scanned FROM project_stats WHERE wallet_address = $1) AS last_scanned
+    `, [walletAddress]);
+    const { job_status: jobStatus, last_scanned: lastScanned } = result.rows[0];
+
+    return {
+        inProgress: jobStatus !== null,
+        state: jobStatus === 'running' ? 'scanning' : jobStatus === 'pending' ? 'queued' : null,
+        lastScannedAt: lastScanned
+    };
+}
+
+/**
+ * Copy the current stats and ranks of every approved project into stats_history
+ */
+async function recordStatsSnapshot() {
+    try {
+        const result = await pool.query(`
+            INSERT INTO stats_history (
+                wallet_address, total_transactions, transactions_last_12h,
+                unique_wallets, wallets_last_12h, rank_tx, rank_unique
+            )
+            SELECT s.wallet_address, s.total_transactions, s.transactions_last_12h,
+                   s.unique_wallets, s.wallets_last_12h, rt.rank, ru.rank
+            FROM project_stats s
+            JOIN developers d ON d.wallet_address = s.wallet_address
+            LEFT JOIN project_rankings rt ON rt.wallet_address = s.wallet_address AND rt.ranking_name = 'transactions'
+            LEFT JOIN project_rankings ru ON ru.wallet_address = s.wallet_address AND ru.ranking_name = 'wallets'
+            WHERE d.is_approved = TRUE
         `);
-        
-        console.log('✅ Rankings recalculated');
+        console.log(`✅ Stats snapshot recorded for ${result.rowCount} projects`);
+    } catch (error) {
+        console.error('❌ Stats snapshot error:', error);
+    }
+}
+
+// Advisory lock held while project_rankings is rebuilt
+const RANKINGS_LOCK = 1003;
+
+async function recalculateRankings() {
+    try {
+        const client = await pool.connect();
+        let formulaCount;
+        try {
+            await client.query('BEGIN');
+
+            // Scheduled runs, rescans and formula edits can finish together: each waits for the
+            // previous recalculation and then ranks the stats as they are after it
+            await client.query('SELECT pg_advisory_xact_lock($1)', [RANKINGS_LOCK]);
+
+            const formulas = await getRankingFormulas();
+            const stats = await client.query(`
+                SELECT s.*
+                FROM project_stats s
+                JOIN developers d ON d.wallet_address = s.wallet_address
+                WHERE d.is_approved = TRUE
+            `);
+            const nowTimestamp = Math.floor(Date.now() / 1000);
+            formulaCount = formulas.size;
+
+            // Quality scores follow the current overall formula, so they're refreshed before ranking
+            const qualityBase = formulas.get(ranking.QUALITY_BASE_RANKING);
+            const qualityFormula = qualityBase ? qualityBase.formula : ranking.DEFAULT_FORMULAS[ranking.QUALITY_BASE_RANKING];
+            stats.rows.forEach(row => {
+                row.quality_score = ranking.qualityScore(qualityFormula, row, nowTimestamp);
+            });
+
+            await client.query(`
+                UPDATE project_stats s SET quality_score = q.score
+                FROM UNNEST($1::varchar[], $2::numeric[]) AS q(wallet_address, score)
+                WHERE s.wallet_address = q.wallet_address
+            `, [stats.rows.map(row => row.wallet_address), stats.rows.map(row => row.quality_score)]);
+
+            // Rankings are replaced as a whole so removed formulas and projects drop out
+            await client.query('DELETE FROM project_rankings');
+
+            for (const [name, { formula }] of formulas) {
+                const ranks = ranking.rankProjects(formula, stats.rows, nowTimestamp);
+                if (ranks.length === 0) continue;
+
+                await client.query(`
+                    INSERT INTO project_rankings (ranking_name, wallet_address, score, rank)
+                    SELECT $1, * FROM UNNEST($2::varchar[], $3::double precision[], $4::int[])
+                `, [
+                    name,
+                    ranks.map(entry => entry.walletAddress),
+                    ranks.map(entry => entry.score),
+                    ranks.map(entry => entry.rank)
+                ]);
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`✅ Rankings recalculated (${formulaCount} rankings)`);
     } catch (error) {
         console.error('❌ Ranking calculation error:', error);
     }
@@ -1345,15 +6121,15 @@ async function recalculateRankings() {
 // Cron Job - Run every 12 hours
 // ============================================
 // Schedule: Run at 00:00 and 12:00 UTC
-cron.schedule('0 */12 * * *', () => {
+cron.schedule(`0 */${STATS_UPDATE_INTERVAL_HOURS} * * *`, () => {
     console.log('⏰ Cron job triggered - Updating stats...');
-    updateAllStats();
+    updateAllStats('cron');
 });
 
 // Run immediately on startup (for testing)
 if (NODE_ENV === 'development') {
     console.log('🔧 Development mode - Running initial stats update...');
-    setTimeout(() => updateAllStats(), 5000);
+    setTimeout(() => updateAllStats('startup'), 5000);
 }
 
 // ============================================
@@ -1362,10 +6138,11 @@ if (NODE_ENV === 'development') {
 const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Environment: ${NODE_ENV}`);
-    console.log(`🔑 Admin wallet: ${ADMIN_WALLET}`);
+    console.log(`🔑 Primary admin wallet: ${ADMIN_WALLET}`);
     console.log(`🌐 Base RPC: ${BASE_RPC_URL}`);
     console.log(`🗄️  Database: ${DATABASE_URL ? 'Connected' : 'Not configured'}`);
-    console.log(`🔑 BaseScan API: ${BASESCAN_API_KEY ? 'Configured' : 'Not configured'}`);
+    console.log(`🔑 Explorer APIs: ${chainData.hasExplorer ? chainData.explorerNames.join(', ') : 'Not configured'}`);
+    console.log(`🔗 Chain providers: ${CHAIN_PROVIDERS.join(' → ')} (activity source: ${CHAIN_DATA_SOURCE})`);
 });
 
 // Handle server errors
@@ -1394,7 +6171,7 @@ process.on('SIGTERM', async () => {
     server.close(() => {
         console.log('HTTP server closed');
     });
-    await pool.end();
+    if (pool) await pool.end();
     process.exit(0);
 });
 
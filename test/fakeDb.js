@@ -0,0 +1,21 @@
+// ============================================
+// Fake pg client for lib tests
+// ============================================
+// `respond(sql, params)` returns the rows for each query. Every query is kept in
+// `queries` so tests can check the parameters a lib function sent.
+
+function createFakeDb(respond = () => []) {
+    const queries = [];
+
+    return {
+        queries,
+        async query(sql, params = []) {
+            queries.push({ sql, params });
+            return { rows: respond(sql, params) || [] };
+        }
+    };
+}
+
+module.exports = {
+    createFakeDb
+};
@@ -0,0 +1,69 @@
+// ============================================
+// Fake ethers provider for lib tests
+// ============================================
+// Serves bytecode, storage slots and view calls from plain objects:
+//
+//   createFakeProvider({
+//       code: { [address]: '0x...' },
+//       storage: { [address]: { [slot]: '0x...' } },
+//       contracts: { [address]: { owner: () => '0x...' } }
+//   })
+//
+// A view function missing from `contracts` reverts, like a contract that doesn't implement it.
+
+const ethers = require('ethers');
+
+const FAKE_ABI = new ethers.utils.Interface([
+    'function owner() view returns (address)',
+    'function hasRole(bytes32 role, address account) view returns (bool)',
+    'function getRoleMemberCount(bytes32 role) view returns (uint256)',
+    'function getRoleMember(bytes32 role, uint256 index) view returns (address)',
+    'function getOwners() view returns (address[])',
+    'function implementation() view returns (address)',
+    'function proxiableUUID() view returns (bytes32)'
+]);
+
+function createFakeProvider({ code = {}, storage = {}, contracts = {}, failing = {} } = {}) {
+    const lower = map => Object.fromEntries(Object.entries(map).map(([key, value]) => [key.toLowerCase(), value]));
+    const codeByAddress = lower(code);
+    const storageByAddress = lower(storage);
+    const contractsByAddress = lower(contracts);
+
+    function fail(method) {
+        if (failing[method]) throw new Error(`${method} failed`);
+    }
+
+    return {
+        _isProvider: true,
+        calls: [],
+
+        async getCode(address) {
+            fail('getCode');
+            return codeByAddress[address.toLowerCase()] || '0x';
+        },
+
+        async getStorageAt(address, slot) {
+            fail('getStorageAt');
+            const slots = storageByAddress[address.toLowerCase()] || {};
+            return slots[slot] || '0x';
+        },
+
+        async call(transaction) {
+            fail('call');
+            const parsed = FAKE_ABI.parseTransaction({ data: transaction.data });
+            this.calls.push({ to: transaction.to.toLowerCase(), method: parsed.name });
+
+            const handler = (contractsByAddress[transaction.to.toLowerCase()] || {})[parsed.name];
+            if (!handler) {
+                const error = new Error('execution reverted');
+                error.code = 'CALL_EXCEPTION';
+                throw error;
+            }
+            return FAKE_ABI.encodeFunctionResult(parsed.name, [handler(...parsed.args)]);
+        }
+    };
+}
+
+module.exports = {
+    createFakeProvider
+};
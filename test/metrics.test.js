@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const metrics = require('../lib/metrics');
+const { createFakeDb } = require('./fakeDb');
+
+const DAY = 24 * 60 * 60;
+const CONTRACTS = ['0xAbCdEf0000000000000000000000000000000001'];
+// Monday 2026-01-26 00:00 UTC
+const NOW = Date.UTC(2026, 0, 26) / 1000;
+
+test('getActiveWallets with no activity is all zero with no stickiness', async () => {
+    const db = createFakeDb(() => [{ dau: '0', wau: '0', mau: '0' }]);
+
+    assert.deepEqual(await metrics.getActiveWallets(db, CONTRACTS, NOW), {
+        dau: 0,
+        wau: 0,
+        mau: 0,
+        stickiness: null
+    });
+});
+
+test('getActiveWallets parses counts and computes DAU / MAU as a percentage', async () => {
+    const db = createFakeDb(() => [{ dau: '3', wau: '7', mau: '9' }]);
+
+    const result = await metrics.getActiveWallets(db, CONTRACTS, NOW);
+
+    assert.deepEqual(result, { dau: 3, wau: 7, mau: 9, stickiness: 33.33 });
+});
+
+test('getActiveWallets queries lowercase contracts, system addresses and 1/7/30-day windows', async () => {
+    const db = createFakeDb(() => [{ dau: '0', wau: '0', mau: '0' }]);
+
+    await metrics.getActiveWallets(db, CONTRACTS, NOW);
+
+    assert.deepEqual(db.queries[0].params, [
+        [CONTRACTS[0].toLowerCase()],
+        metrics.SYSTEM_ADDRESSES,
+        NOW - DAY,
+        NOW - 7 * DAY,
+        NOW - 30 * DAY
+    ]);
+});
+
+test('getActiveWalletSeries rejects an unknown interval before querying', async () => {
+    const db = createFakeDb();
+
+    await assert.rejects(
+        metrics.getActiveWalletSeries(db, CONTRACTS, { interval: 'year', fromTimestamp: 0, toTimestamp: NOW }),
+        /interval must be one of: day, week, month/
+    );
+    assert.equal(db.queries.length, 0);
+});
+
+test('getActiveWalletSeries with no activity is an empty series', async () => {
+    const db = createFakeDb(() => []);
+
+    assert.deepEqual(await metrics.getActiveWalletSeries(db, CONTRACTS, { interval: 'day', fromTimestamp: NOW - 30 * DAY, toTimestamp: NOW }), []);
+});
+
+test('getActiveWalletSeries splits active wallets into new and returning', async () => {
+    const periodStart = new Date(Date.UTC(2026, 0, 25));
+    const db = createFakeDb(() => [{ period_start: periodStart, active_wallets: '10', new_wallets: '4', transactions: '25' }]);
+
+    const series = await metrics.getActiveWalletSeries(db, CONTRACTS, { interval: 'day', fromTimestamp: NOW - 7 * DAY, toTimestamp: NOW });
+
+    assert.deepEqual(series, [{ periodStart, activeWallets: 10, newWallets: 4, returningWallets: 6, transactions: 25 }]);
+    assert.deepEqual(db.queries[0].params.slice(2), [NOW - 7 * DAY, NOW]);
+});
+
+test('getRetentionCohorts with no activity has no cohorts', async () => {
+    const db = createFakeDb(() => []);
+
+    assert.deepEqual(await metrics.getRetentionCohorts(db, CONTRACTS, { weeks: 8, nowTimestamp: NOW }), []);
+    assert.equal(db.queries[0].params[2], NOW - 7 * 7 * DAY);
+});
+
+test('getRetentionCohorts reports every elapsed week, with 0 for weeks nobody came back', async () => {
+    const cohortWeek = new Date(Date.UTC(2026, 0, 5));
+    const db = createFakeDb(() => [
+        { cohort_week: cohortWeek, week_offset: 0, wallets: '8' },
+        { cohort_week: cohortWeek, week_offset: 2, wallets: '2' }
+    ]);
+
+    const cohorts = await metrics.getRetentionCohorts(db, CONTRACTS, { weeks: 8, nowTimestamp: NOW });
+
+    assert.deepEqual(cohorts, [{ cohortWeek, size: 8, retention: [100, 0, 25, 0] }]);
+});
+
+test('getRetentionCohorts only reports weeks that have started', async () => {
+    const cohortWeek = new Date(NOW * 1000);
+    const db = createFakeDb(() => [{ cohort_week: cohortWeek, week_offset: 0, wallets: '5' }]);
+
+    const cohorts = await metrics.getRetentionCohorts(db, CONTRACTS, { weeks: 4, nowTimestamp: NOW + 3 * DAY });
+
+    assert.deepEqual(cohorts[0].retention, [100]);
+});
+
+test('getRetentionCohorts keeps cohorts apart', async () => {
+    const first = new Date(Date.UTC(2026, 0, 12));
+    const second = new Date(Date.UTC(2026, 0, 19));
+    const db = createFakeDb(() => [
+        { cohort_week: first, week_offset: 0, wallets: '4' },
+        { cohort_week: first, week_offset: 1, wallets: '1' },
+        { cohort_week: second, week_offset: 0, wallets: '2' },
+        { cohort_week: second, week_offset: 1, wallets: '2' }
+    ]);
+
+    const cohorts = await metrics.getRetentionCohorts(db, CONTRACTS, { weeks: 4, nowTimestamp: NOW });
+
+    assert.deepEqual(cohorts.map(cohort => [cohort.size, cohort.retention]), [
+        [4, [100, 25, 0]],
+        [2, [100, 100]]
+    ]);
+});
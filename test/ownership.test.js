@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ethers = require('ethers');
+
+const { collectOwnershipEvidence } = require('../lib/ownership');
+const { createFakeProvider } = require('./fakeProvider');
+
+const CONTRACT = '0x1111111111111111111111111111111111111111';
+const WALLET = '0x2222222222222222222222222222222222222222';
+const OTHER = '0x3333333333333333333333333333333333333333';
+const SAFE = '0x4444444444444444444444444444444444444444';
+const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+
+const checkNamed = (evidence, name) => evidence.checks.find(check => check.check.startsWith(name));
+
+test('a contract with no ownership functions is not verified', async () => {
+    const provider = createFakeProvider({ code: { [CONTRACT]: '0x6080' } });
+
+    const evidence = await collectOwnershipEvidence(provider, CONTRACT, WALLET);
+
+    assert.equal(evidence.verified, false);
+    assert.deepEqual(evidence.passedChecks, []);
+    assert.ok(evidence.checks.every(check => !check.supported));
+});
+
+test('owner() equal to the wallet verifies, whatever the address casing', async () => {
+    const provider = createFakeProvider({
+        code: { [CONTRACT]: '0x6080' },
+        contracts: { [CONTRACT]: { owner: () => ethers.utils.getAddress(WALLET) } }
+    });
+
+    const evidence = await collectOwnershipEvidence(provider, CONTRACT.toUpperCase().replace('0X', '0x'), ethers.utils.getAddress(WALLET));
+
+    assert.equal(evidence.verified, true);
+    assert.deepEqual(evidence.passedChecks, ['owner']);
+    assert.deepEqual(checkNamed(evidence, 'owner').detail, { owner: WALLET });
+});
+
+test('owner() of someone else does not verify', async () => {
+    const provider = createFakeProvider({
+        code: { [CONTRACT]: '0x6080' },
+        contracts: { [CONTRACT]: { owner: () => OTHER } }
+    });
+
+    const evidence = await collectOwnershipEvidence(provider, CONTRACT, WALLET);
+
+    assert.equal(evidence.verified, false);
+    assert.equal(checkNamed(evidence, 'owner').supported, true);
+});
+
+test('a renounced owner (zero address) does not verify', async () => {
+    const provider = createFakeProvider({
+        code: { [CONTRACT]: '0x6080' },
+        contracts: { [CONTRACT]: { owner: () => ethers.constants.AddressZero } }
+    });
+
+    const evidence = await collectOwnershipEvidence(provider, CONTRACT, ethers.constants.AddressZero);
+
+    assert.equal(evidence.verified, false);
+});
+
+test('owner() that is a Safe the wallet co-owns verifies as owner_safe', async () => {
+    const provider = createFakeProvider({
+        code: { [CONTRACT]: '0x6080', [SAFE]: '0x6080' },
+        contracts: {
+            [CONTRACT]: { owner: () => SAFE },
+            [SAFE]: { getOwners: () => [OTHER, WALLET] }
+        }
+    });
+
+    const evidence = await collectOwnershipEvidence(provider, CONTRACT, WALLET);
+
+    assert.deepEqual(evidence.passedChecks, ['owner_safe']);
+});
+
+test('an owner address without code is not treated as a Safe', async () => {
+    const provider = createFakeProvider({
+        code: { [CONTRACT]: '0x6080' },
+        contracts: {
+            [CONTRACT]: { owner: () => SAFE },
+            // getOwners would match, but SAFE has no code so it is never called
+            [SAFE]: { getOwners: () => [WALLET] }
+        }
+    });
+
+    const evidence = await collectOwnershipEvidence(provider, CONTRACT, WALLET);
+
+    assert.equal(evidence.verified, false);
+});
+
+test('DEFAULT_ADMIN_ROLE held by the wallet verifies', async () => {
+    const provider = createFakeProvider({
+        code: { [CONTRACT]: '0x6080' },
+        contracts: {
+            [CONTRACT]: {
+                hasRole: (role, account) => role === DEFAULT_ADMIN_ROLE && account.toLowerCase() === WALLET
+            }
+        }
+    });
+
+    const evidence = await collectOwnershipEvidence(provider, CONTRACT, WALLET);
+
+    assert.deepEqual(evidence.passedChecks, ['default_admin_role']);
+});
+
+test('an enumerable admin that is a Safe the wallet co-owns verifies as default_admin_role_safe', async () => {
+    const provider = createFakeProvider({
+        code: { [CONTRACT]: '0x6080', [SAFE]: '0x6080' },
+        contracts: {
+            [CONTRACT]: {
+                hasRole: () => false,
+                getRoleMemberCount: () => 2,
+                getRoleMember: (role, index) => [OTHER, SAFE][index.toNumber()]
+            },
+            [SAFE]: { getOwners: () => [WALLET] }
+        }
+    });
+
+    const evidence = await collectOwnershipEvidence(provider, CONTRACT, WALLET);
+
+    assert.deepEqual(evidence.passedChecks, ['default_admin_role_safe']);
+    assert.deepEqual(checkNamed(evidence, 'default_admin_role').detail, { member: SAFE });
+});
+
+test('the registered contract being a Safe the wallet owns verifies as safe_owner', async () => {
+    const provider = createFakeProvider({
+        code: { [CONTRACT]: '0x6080' },
+        contracts: { [CONTRACT]: { getOwners: () => [WALLET, OTHER] } }
+    });
+
+    const evidence = await collectOwnershipEvidence(provider, CONTRACT, WALLET);
+
+    assert.deepEqual(evidence.passedChecks, ['safe_owner']);
+    assert.deepEqual(checkNamed(evidence, 'safe_owner').detail, { owners: [WALLET, OTHER] });
+});
+
+test('an RPC failure in one check is recorded without hiding the others', async () => {
+    const provider = createFakeProvider({
+        contracts: { [CONTRACT]: { owner: () => WALLET } },
+        failing: { getCode: true }
+    });
+
+    const evidence = await collectOwnershipEvidence(provider, CONTRACT, WALLET);
+
+    assert.deepEqual(evidence.passedChecks, ['owner']);
+    const safeCheck = checkNamed(evidence, 'safe_owner');
+    assert.equal(safeCheck.supported, false);
+    assert.equal(safeCheck.detail.error, 'getCode failed');
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ethers = require('ethers');
+
+const { PROXY_TYPES, detectProxy } = require('../lib/proxy');
+const { createFakeProvider } = require('./fakeProvider');
+
+const PROXY = '0x1111111111111111111111111111111111111111';
+const IMPLEMENTATION = '0x2222222222222222222222222222222222222222';
+const ADMIN = '0x3333333333333333333333333333333333333333';
+const BEACON = '0x4444444444444444444444444444444444444444';
+
+// bytes32(uint256(keccak256(name)) - 1), as defined by EIP-1967
+const eip1967Slot = name => ethers.BigNumber.from(ethers.utils.id(name)).sub(1).toHexString();
+const IMPLEMENTATION_SLOT = eip1967Slot('eip1967.proxy.implementation');
+const ADMIN_SLOT = eip1967Slot('eip1967.proxy.admin');
+const BEACON_SLOT = eip1967Slot('eip1967.proxy.beacon');
+const PROXIABLE_SLOT = ethers.utils.id('PROXIABLE');
+
+// An address left-padded to a 32-byte storage word
+const word = address => ethers.utils.hexZeroPad(address, 32);
+
+test('a contract with empty slots is not a proxy', async () => {
+    const provider = createFakeProvider({ code: { [PROXY]: '0x6080' } });
+
+    assert.deepEqual(await detectProxy(provider, PROXY), {
+        isProxy: false,
+        proxyType: null,
+        implementationAddress: null,
+        adminAddress: null,
+        beaconAddress: null
+    });
+});
+
+test('zero-filled slots count as empty', async () => {
+    const provider = createFakeProvider({
+        storage: { [PROXY]: { [IMPLEMENTATION_SLOT]: ethers.constants.HashZero, [BEACON_SLOT]: ethers.constants.HashZero } }
+    });
+
+    assert.equal((await detectProxy(provider, PROXY)).isProxy, false);
+});
+
+test('an implementation slot with no admin is a plain EIP-1967 proxy', async () => {
+    const provider = createFakeProvider({ storage: { [PROXY]: { [IMPLEMENTATION_SLOT]: word(IMPLEMENTATION) } } });
+
+    const result = await detectProxy(provider, PROXY);
+
+    assert.equal(result.proxyType, PROXY_TYPES.EIP1967);
+    assert.equal(result.implementationAddress, IMPLEMENTATION);
+    assert.equal(result.adminAddress, null);
+});
+
+test('only the low 20 bytes of a slot are the address', async () => {
+    const dirtyWord = `0xffffffffffffffffffffffff${IMPLEMENTATION.slice(2)}`;
+    const provider = createFakeProvider({ storage: { [PROXY]: { [IMPLEMENTATION_SLOT]: dirtyWord } } });
+
+    assert.equal((await detectProxy(provider, PROXY)).implementationAddress, IMPLEMENTATION);
+});
+
+test('a short (unpadded) slot value is decoded', async () => {
+    const provider = createFakeProvider({ storage: { [PROXY]: { [IMPLEMENTATION_SLOT]: IMPLEMENTATION } } });
+
+    assert.equal((await detectProxy(provider, PROXY)).implementationAddress, IMPLEMENTATION);
+});
+
+test('slot addresses are returned lowercase', async () => {
+    const provider = createFakeProvider({
+        storage: { [PROXY]: { [IMPLEMENTATION_SLOT]: word(ethers.utils.getAddress('0xabcdefabcdefabcdefabcdefabcdefabcdefabcd')) } }
+    });
+
+    assert.equal((await detectProxy(provider, PROXY)).implementationAddress, '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd');
+});
+
+test('an admin slot makes it a transparent proxy', async () => {
+    const provider = createFakeProvider({
+        storage: { [PROXY]: { [IMPLEMENTATION_SLOT]: word(IMPLEMENTATION), [ADMIN_SLOT]: word(ADMIN) } }
+    });
+
+    const result = await detectProxy(provider, PROXY);
+
+    assert.equal(result.proxyType, PROXY_TYPES.TRANSPARENT);
+    assert.equal(result.adminAddress, ADMIN);
+});
+
+test('an implementation whose proxiableUUID() is the implementation slot makes it UUPS', async () => {
+    const provider = createFakeProvider({
+        storage: { [PROXY]: { [IMPLEMENTATION_SLOT]: word(IMPLEMENTATION) } },
+        contracts: { [IMPLEMENTATION]: { proxiableUUID: () => IMPLEMENTATION_SLOT } }
+    });
+
+    assert.equal((await detectProxy(provider, PROXY)).proxyType, PROXY_TYPES.UUPS);
+});
+
+test('a proxiableUUID() for another slot is not UUPS', async () => {
+    const provider = createFakeProvider({
+        storage: { [PROXY]: { [IMPLEMENTATION_SLOT]: word(IMPLEMENTATION) } },
+        contracts: { [IMPLEMENTATION]: { proxiableUUID: () => PROXIABLE_SLOT } }
+    });
+
+    assert.equal((await detectProxy(provider, PROXY)).proxyType, PROXY_TYPES.EIP1967);
+});
+
+test('a beacon proxy resolves its implementation through the beacon', async () => {
+    const provider = createFakeProvider({
+        storage: { [PROXY]: { [BEACON_SLOT]: word(BEACON) } },
+        contracts: { [BEACON]: { implementation: () => ethers.utils.getAddress(IMPLEMENTATION) } }
+    });
+
+    const result = await detectProxy(provider, PROXY);
+
+    assert.equal(result.proxyType, PROXY_TYPES.BEACON);
+    assert.equal(result.beaconAddress, BEACON);
+    assert.equal(result.implementationAddress, IMPLEMENTATION);
+});
+
+test('a beacon without implementation() still reports the beacon', async () => {
+    const provider = createFakeProvider({ storage: { [PROXY]: { [BEACON_SLOT]: word(BEACON) } } });
+
+    const result = await detectProxy(provider, PROXY);
+
+    assert.equal(result.proxyType, PROXY_TYPES.BEACON);
+    assert.equal(result.implementationAddress, null);
+});
+
+test('the legacy PROXIABLE slot makes it an EIP-1822 proxy', async () => {
+    const provider = createFakeProvider({ storage: { [PROXY]: { [PROXIABLE_SLOT]: word(IMPLEMENTATION) } } });
+
+    const result = await detectProxy(provider, PROXY);
+
+    assert.equal(result.proxyType, PROXY_TYPES.EIP1822);
+    assert.equal(result.implementationAddress, IMPLEMENTATION);
+});
+
+test('the implementation slot wins over beacon and PROXIABLE slots', async () => {
+    const provider = createFakeProvider({
+        storage: {
+            [PROXY]: {
+                [IMPLEMENTATION_SLOT]: word(IMPLEMENTATION),
+                [BEACON_SLOT]: word(BEACON),
+                [PROXIABLE_SLOT]: word(ADMIN)
+            }
+        }
+    });
+
+    assert.equal((await detectProxy(provider, PROXY)).proxyType, PROXY_TYPES.EIP1967);
+});
+
+test('EIP-1167 minimal clones are recognised from bytecode, in any case', async () => {
+    const clone = `0x363d3d373d3d3d363d73${IMPLEMENTATION.slice(2)}5af43d82803e903d91602b57fd5bf3`.toUpperCase().replace('0X', '0x');
+    const provider = createFakeProvider({ code: { [PROXY]: clone } });
+
+    const result = await detectProxy(provider, PROXY);
+
+    assert.equal(result.proxyType, PROXY_TYPES.EIP1167);
+    assert.equal(result.implementationAddress, IMPLEMENTATION);
+});
+
+test('bytecode that only contains the clone pattern is not a clone', async () => {
+    const code = `0x60806040363d3d373d3d3d363d73${IMPLEMENTATION.slice(2)}5af43d82803e903d91602b57fd5bf3`;
+    const provider = createFakeProvider({ code: { [PROXY]: code } });
+
+    assert.equal((await detectProxy(provider, PROXY)).isProxy, false);
+});
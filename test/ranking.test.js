@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_FORMULAS,
+    QUALITY_BASE_RANKING,
+    RankingFormulaError,
+    validateRankingName,
+    validateFormula,
+    rankProjects,
+    qualityScore
+} = require('../lib/ranking');
+
+const DAY = 24 * 60 * 60;
+const NOW = 1700000000;
+
+const stats = (walletAddress, fields = {}) => ({ wallet_address: walletAddress, ...fields });
+const ranks = results => results.map(({ walletAddress, rank }) => [walletAddress, rank]);
+
+test('projects are ranked by score, highest first', () => {
+    const results = rankProjects(DEFAULT_FORMULAS.transactions, [
+        stats('0xa', { total_transactions: '5' }),
+        stats('0xb', { total_transactions: '50' }),
+        stats('0xc', { total_transactions: '20' })
+    ], NOW);
+
+    assert.deepEqual(ranks(results), [['0xb', 1], ['0xc', 2], ['0xa', 3]]);
+    assert.equal(results[0].score, 50);
+});
+
+test('tied scores are broken by the tie-breakers', () => {
+    const results = rankProjects(DEFAULT_FORMULAS.transactions, [
+        stats('0xa', { total_transactions: '10', unique_wallets: '2' }),
+        stats('0xb', { total_transactions: '10', unique_wallets: '8' })
+    ], NOW);
+
+    assert.deepEqual(ranks(results), [['0xb', 1], ['0xa', 2]]);
+});
+
+test('an asc tie-breaker ranks the lower value first', () => {
+    const results = rankProjects(DEFAULT_FORMULAS.quality, [
+        stats('0xa', { quality_score: 40, suspicion_score: '12.5' }),
+        stats('0xb', { quality_score: 40, suspicion_score: '3' })
+    ], NOW);
+
+    assert.deepEqual(ranks(results), [['0xb', 1], ['0xa', 2]]);
+});
+
+test('projects tied on everything are ordered by wallet address', () => {
+    const results = rankProjects(DEFAULT_FORMULAS.overall, [
+        stats('0xc'),
+        stats('0xa'),
+        stats('0xb')
+    ], NOW);
+
+    assert.deepEqual(ranks(results), [['0xa', 1], ['0xb', 2], ['0xc', 3]]);
+    assert.ok(results.every(result => result.score === 0));
+});
+
+test('projects with no stats yet still rank, with a score of 0', () => {
+    const results = rankProjects(DEFAULT_FORMULAS.overall, [
+        stats('0xa', { total_transactions: '0', unique_wallets: '0' })
+    ], NOW);
+
+    assert.deepEqual(results, [{ walletAddress: '0xa', score: 0, rank: 1 }]);
+});
+
+test('a project missing a term metric is unranked and listed last', () => {
+    const results = rankProjects(DEFAULT_FORMULAS.momentum, [
+        stats('0xa', { activity_windows: { '7d': { transactionGrowth: null } } }),
+        stats('0xb', { activity_windows: { '7d': { transactionGrowth: -20 } } }),
+        stats('0xc', {})
+    ], NOW);
+
+    assert.deepEqual(results, [
+        { walletAddress: '0xb', score: -20, rank: 1 },
+        { walletAddress: '0xa', score: null, rank: null },
+        { walletAddress: '0xc', score: null, rank: null }
+    ]);
+});
+
+test('a project below a minimum is unranked', () => {
+    const formula = validateFormula({
+        label: 'Established',
+        terms: [{ metric: 'totalTransactions' }],
+        minimums: { uniqueWallets: 10 }
+    });
+
+    const results = rankProjects(formula, [
+        stats('0xa', { total_transactions: '1000', unique_wallets: '9' }),
+        stats('0xb', { total_transactions: '100', unique_wallets: '10' })
+    ], NOW);
+
+    assert.deepEqual(ranks(results), [['0xb', 1], ['0xa', null]]);
+});
+
+test('log terms score log10(1 + value)', () => {
+    const formula = validateFormula({ label: 'Log', terms: [{ metric: 'totalTransactions', weight: 2, scale: 'log' }] });
+
+    const [result] = rankProjects(formula, [stats('0xa', { total_transactions: '99' })], NOW);
+
+    assert.equal(result.score, 4);
+});
+
+test('decay halves the score every half-life of inactivity', () => {
+    const formula = validateFormula({ label: 'Recent', terms: [{ metric: 'totalTransactions' }], decayHalfLifeDays: 30 });
+
+    const results = rankProjects(formula, [
+        stats('0xidle', { total_transactions: '100', last_activity_at: NOW - 60 * DAY }),
+        stats('0xactive', { total_transactions: '100', last_activity_at: NOW }),
+        stats('0xnever', { total_transactions: '100' })
+    ], NOW);
+
+    assert.deepEqual(results.map(({ walletAddress, score }) => [walletAddress, score]), [
+        ['0xactive', 100],
+        ['0xidle', 25],
+        ['0xnever', 100 * Math.pow(0.5, NOW / DAY / 30)]
+    ]);
+});
+
+test('validateFormula fills in defaults', () => {
+    assert.deepEqual(validateFormula({ label: '  Simple  ', terms: [{ metric: 'uniqueWallets' }] }), {
+        label: 'Simple',
+        terms: [{ metric: 'uniqueWallets', weight: 1, scale: 'linear' }],
+        minimums: {},
+        decayHalfLifeDays: null,
+        tieBreakers: []
+    });
+});
+
+test('validateFormula accepts every built-in formula unchanged', () => {
+    Object.values(DEFAULT_FORMULAS).forEach(formula => {
+        assert.deepEqual(validateFormula(formula), formula);
+    });
+});
+
+test('validateFormula rejects invalid formulas with a RankingFormulaError', () => {
+    const invalid = [
+        [null, /Formula must be an object/],
+        [{ terms: [{ metric: 'uniqueWallets' }] }, /label is required/],
+        [{ label: 'X', terms: [] }, /terms must be a list of 1-10 terms/],
+        [{ label: 'X', terms: [{ metric: 'followers' }] }, /terms\[0\]: unknown metric "followers"/],
+        [{ label: 'X', terms: [{ metric: 'uniqueWallets', weight: '2' }] }, /terms\[0\]\.weight must be a number/],
+        [{ label: 'X', terms: [{ metric: 'uniqueWallets', scale: 'sqrt' }] }, /terms\[0\]\.scale must be one of: linear, log/],
+        [{ label: 'X', terms: [{ metric: 'uniqueWallets' }], minimums: { uniqueWallets: Infinity } }, /minimums\.uniqueWallets must be a number/],
+        [{ label: 'X', terms: [{ metric: 'uniqueWallets' }], decayHalfLifeDays: 0 }, /decayHalfLifeDays must be positive/],
+        [{ label: 'X', terms: [{ metric: 'uniqueWallets' }], tieBreakers: [{ metric: 'fees', order: 'up' }] }, /tieBreakers\[0\]\.order must be one of: desc, asc/]
+    ];
+
+    invalid.forEach(([formula, message]) => {
+        assert.throws(() => validateFormula(formula), error => error instanceof RankingFormulaError && message.test(error.message));
+    });
+});
+
+test('validateRankingName accepts identifiers and rejects anything else', () => {
+    assert.equal(validateRankingName('weekly_active2'), 'weekly_active2');
+
+    ['', '2fast', 'has space', 'a'.repeat(31), undefined].forEach(name => {
+        assert.throws(() => validateRankingName(name), RankingFormulaError);
+    });
+});
+
+test('qualityScore takes flagged activity out before scoring', () => {
+    const formula = DEFAULT_FORMULAS[QUALITY_BASE_RANKING];
+    const row = stats('0xa', { total_transactions: '100', unique_wallets: '10', flagged_transactions: '40', discounted_wallets: '4' });
+
+    assert.equal(qualityScore(formula, row, NOW), 60 + 6 * 5);
+});
+
+test('qualityScore never discounts below zero', () => {
+    const formula = DEFAULT_FORMULAS[QUALITY_BASE_RANKING];
+    const row = stats('0xa', { total_transactions: '10', unique_wallets: '1', flagged_transactions: '25', discounted_wallets: '3' });
+
+    assert.equal(qualityScore(formula, row, NOW), 0);
+});
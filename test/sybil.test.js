@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SIGNAL_WEIGHTS, DEFAULT_THRESHOLDS, analyzeProject } = require('../lib/sybil');
+const { SYSTEM_ADDRESSES } = require('../lib/metrics');
+const { createFakeDb } = require('./fakeDb');
+
+const CONTRACTS = ['0xAbCdEf0000000000000000000000000000000001'];
+const WALLET_A = '0x00000000000000000000000000000000000000aa';
+const WALLET_B = '0x00000000000000000000000000000000000000bb';
+const WALLET_C = '0x00000000000000000000000000000000000000cc';
+const FUNDER = '0x00000000000000000000000000000000000000ff';
+
+// Which detector a query belongs to, from its SQL
+function queryKind(sql) {
+    if (sql.includes('wallet_funding')) return 'funding';
+    if (sql.includes('STRING_AGG')) return 'patterns';
+    if (sql.includes('value > 0')) return 'tinyValue';
+    if (sql.includes('contract_token_transfers')) return 'roundTrips';
+    if (sql.includes('first_calls')) return 'bursts';
+    return 'counts';
+}
+
+// A fake db answering each detector query from `rowsByKind`
+const fakeProjectDb = (rowsByKind = {}) => createFakeDb(sql => rowsByKind[queryKind(sql)]);
+
+test('a project with no activity has no flags and a score of 0', async () => {
+    const result = await analyzeProject(fakeProjectDb(), CONTRACTS);
+
+    assert.deepEqual(result.flags, []);
+    assert.equal(result.walletSuspicion.size, 0);
+    assert.equal(result.directTransactions, 0);
+    assert.equal(result.flaggedTransactions, 0);
+    assert.equal(result.suspicionScore, 0);
+});
+
+test('activity without flags has a score of 0', async () => {
+    const db = fakeProjectDb({ counts: [{ wallet: WALLET_A, calls: '12' }] });
+
+    const result = await analyzeProject(db, CONTRACTS);
+
+    assert.equal(result.directTransactions, 12);
+    assert.equal(result.suspicionScore, 0);
+});
+
+test('every query gets lowercase contracts and the system addresses', async () => {
+    const db = fakeProjectDb();
+
+    await analyzeProject(db, CONTRACTS);
+
+    assert.equal(db.queries.length, 6);
+    db.queries.forEach(({ params }) => {
+        assert.deepEqual(params.slice(0, 2), [[CONTRACTS[0].toLowerCase()], SYSTEM_ADDRESSES]);
+    });
+});
+
+test('threshold overrides are merged with the defaults', async () => {
+    const db = fakeProjectDb();
+
+    await analyzeProject(db, CONTRACTS, { minClusterSize: 3, burstSeconds: 30 });
+
+    const paramsFor = kind => db.queries.find(query => queryKind(query.sql) === kind).params.slice(2);
+    assert.deepEqual(paramsFor('funding'), [3]);
+    assert.deepEqual(paramsFor('patterns'), [DEFAULT_THRESHOLDS.minPatternCalls, 3]);
+    assert.deepEqual(paramsFor('tinyValue'), [DEFAULT_THRESHOLDS.dustWei, DEFAULT_THRESHOLDS.minTinyValueCalls]);
+    assert.deepEqual(paramsFor('bursts'), [30, DEFAULT_THRESHOLDS.minBurstWallets]);
+});
+
+test('each clustered wallet is flagged with the cluster as evidence', async () => {
+    const db = fakeProjectDb({
+        funding: [{ funder: FUNDER, wallets: [WALLET_A, WALLET_B] }],
+        bursts: [{ window_start: '1700000040', wallets: [WALLET_C] }]
+    });
+
+    const { flags } = await analyzeProject(db, CONTRACTS);
+
+    assert.deepEqual(flags, [
+        { wallet: WALLET_A, signal: 'funding_cluster', evidence: { funder: FUNDER, clusterSize: 2 } },
+        { wallet: WALLET_B, signal: 'funding_cluster', evidence: { funder: FUNDER, clusterSize: 2 } },
+        {
+            wallet: WALLET_C,
+            signal: 'burst',
+            evidence: { windowStart: 1700000040, windowSeconds: DEFAULT_THRESHOLDS.burstSeconds, newWallets: 1 }
+        }
+    ]);
+});
+
+test('signal weights add up per wallet and are capped at 1', async () => {
+    const db = fakeProjectDb({
+        funding: [{ funder: FUNDER, wallets: [WALLET_A, WALLET_B] }],
+        patterns: [{ pattern: '0xa9059cbb', calls: '3', wallets: [WALLET_A] }],
+        tinyValue: [{ wallet: WALLET_A, tiny_calls: '6', total_value: '600' }],
+        bursts: [{ window_start: '0', wallets: [WALLET_B] }]
+    });
+
+    const { walletSuspicion } = await analyzeProject(db, CONTRACTS);
+
+    assert.equal(walletSuspicion.get(WALLET_A), 1);
+    assert.equal(walletSuspicion.get(WALLET_B), SIGNAL_WEIGHTS.funding_cluster + SIGNAL_WEIGHTS.burst);
+});
+
+test('a signal found twice for the same wallet only counts once', async () => {
+    const db = fakeProjectDb({
+        tinyValue: [{ wallet: WALLET_A, tiny_calls: '6', total_value: '600' }],
+        roundTrips: [{ wallet: WALLET_A, counterparty: WALLET_B, sent: '2', received: '3' }]
+    });
+
+    const { flags, walletSuspicion } = await analyzeProject(db, CONTRACTS);
+
+    assert.equal(flags.length, 2);
+    assert.deepEqual(flags[1].evidence, { counterparty: WALLET_B, transfersSent: 2, transfersReceived: 3 });
+    assert.equal(walletSuspicion.get(WALLET_A), SIGNAL_WEIGHTS.value_loop);
+});
+
+test('flagged transactions are weighted by suspicion and scored against all direct calls', async () => {
+    const db = fakeProjectDb({
+        patterns: [{ pattern: '0xa9059cbb,0xa9059cbb,0xa9059cbb', calls: '3', wallets: [WALLET_A] }],
+        counts: [
+            { wallet: WALLET_A, calls: '10' },
+            { wallet: WALLET_B, calls: '20' }
+        ]
+    });
+
+    const result = await analyzeProject(db, CONTRACTS);
+
+    assert.deepEqual(result.flags[0].evidence, { methods: ['0xa9059cbb', '0xa9059cbb', '0xa9059cbb'], calls: 3, clusterSize: 1 });
+    assert.equal(result.directTransactions, 30);
+    assert.equal(result.flaggedTransactions, 3);
+    assert.equal(result.suspicionScore, 10);
+});